@@ -0,0 +1,71 @@
+// <stablecoin-map> for third-party pages. Load this script from the site that hosts
+// the map; the element frames that site's /embed.html with its attributes as query
+// params and grows the frame to the height the map reports.
+//
+//   <script src="https://stablecoinreg.org/embed/stablecoin-map.js" async></script>
+//   <stablecoin-map state="TX" filter="pending" theme="light"></stablecoin-map>
+(() => {
+  const ELEMENT_NAME = "stablecoin-map";
+  const RESIZE_MESSAGE = "stablecoin-map:resize";
+  const ATTRIBUTES = ["state", "filter", "theme", "panel", "link-back", "lang"];
+  const DEFAULT_HEIGHT = 520;
+
+  if (typeof window === "undefined" || !window.customElements || window.customElements.get(ELEMENT_NAME)) return;
+
+  const scriptUrl = document.currentScript ? document.currentScript.src : "https://stablecoinreg.org/embed/stablecoin-map.js";
+  const embedOrigin = new URL(scriptUrl).origin;
+
+  class StablecoinMap extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      const root = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = ":host{display:block;width:100%}iframe{display:block;width:100%;border:0}";
+      this.frame = document.createElement("iframe");
+      this.frame.title = "U.S. stablecoin regulation map";
+      this.frame.loading = "lazy";
+      this.frame.style.height = `${DEFAULT_HEIGHT}px`;
+      this.handleMessage = this.handleMessage.bind(this);
+      root.append(style, this.frame);
+    }
+
+    connectedCallback() {
+      window.addEventListener("message", this.handleMessage);
+      this.updateSource();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener("message", this.handleMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.updateSource();
+    }
+
+    updateSource() {
+      const params = new URLSearchParams();
+      ATTRIBUTES.forEach((name) => {
+        const value = this.getAttribute(name);
+        if (value) params.set(name, value);
+      });
+      // The frame posts its height to this origin only.
+      params.set("parent", window.location.origin);
+      const query = params.toString();
+      const src = `${embedOrigin}/embed.html${query ? `?${query}` : ""}`;
+      if (this.frame.src !== src) this.frame.src = src;
+    }
+
+    handleMessage(event) {
+      if (event.origin !== embedOrigin || event.source !== this.frame.contentWindow) return;
+      if (!event.data || event.data.type !== RESIZE_MESSAGE) return;
+      const height = Number(event.data.height);
+      if (Number.isFinite(height) && height > 0) this.frame.style.height = `${height}px`;
+    }
+  }
+
+  window.customElements.define(ELEMENT_NAME, StablecoinMap);
+})();
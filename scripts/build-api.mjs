@@ -0,0 +1,31 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      server: { type: "string", default: path.join(rootDir, "dist-ssr", "entry-server.js") },
+      out: { type: "string", default: path.join(rootDir, "dist") }
+    }
+  });
+  const { getApiDocuments } = await import(pathToFileURL(path.resolve(values.server)).href);
+  const { basePath, documents } = getApiDocuments();
+  const outputDir = path.join(path.resolve(values.out), basePath);
+
+  for (const document of documents) {
+    const outputPath = path.join(outputDir, document.path);
+    await mkdir(path.dirname(outputPath), { recursive: true });
+    await writeFile(outputPath, `${JSON.stringify(document.body, null, 2)}\n`);
+  }
+
+  console.log(`api: wrote ${documents.length} documents to ${path.relative(process.cwd(), outputDir) || "."}/`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdir, mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, test } from "node:test";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+let workDir;
+let ssrDir;
+let apiDir;
+
+async function readJson(filePath) {
+  return JSON.parse(await readFile(filePath, "utf8"));
+}
+
+// Builds a fresh server bundle and runs the real generator on it, so the test covers
+// what `npm run build` would publish. The bundle goes under node_modules/.cache so its
+// bare imports (react, ...) still resolve.
+before(async () => {
+  workDir = await mkdtemp(path.join(tmpdir(), "build-api-"));
+  const cacheDir = path.join(rootDir, "node_modules", ".cache");
+  await mkdir(cacheDir, { recursive: true });
+  ssrDir = await mkdtemp(path.join(cacheDir, "build-api-test-"));
+  execFileSync(process.execPath, [
+    path.join(rootDir, "node_modules", "vite", "bin", "vite.js"),
+    "build", "--ssr", "src/entry-server.jsx", "--outDir", ssrDir, "--emptyOutDir", "--logLevel", "error"
+  ], { cwd: rootDir, stdio: "inherit" });
+  execFileSync(process.execPath, [
+    path.join(rootDir, "scripts", "build-api.mjs"),
+    "--server", path.join(ssrDir, "entry-server.js"),
+    "--out", path.join(workDir, "dist")
+  ], { cwd: rootDir, stdio: ["ignore", "ignore", "inherit"] });
+  apiDir = path.join(workDir, "dist", "api", "v1");
+});
+
+after(async () => {
+  await rm(workDir, { recursive: true, force: true });
+  await rm(ssrDir, { recursive: true, force: true });
+});
+
+test("every generated document validates against the published schema", async () => {
+  const schema = await readJson(path.join(apiDir, "schema.json"));
+  const ajv = new Ajv2020({ allErrors: true });
+  addFormats(ajv);
+  const validate = ajv.compile(schema);
+
+  const files = (await readdir(apiDir, { recursive: true }))
+    .filter((file) => file.endsWith(".json") && file !== "schema.json");
+  assert.ok(files.length > 100, `expected every state document, found ${files.length} files`);
+
+  for (const file of files) {
+    const document = await readJson(path.join(apiDir, file));
+    assert.ok(validate(document), `${file}: ${ajv.errorsText(validate.errors)}`);
+  }
+});
+
+test("state documents are published under both the uppercase and lowercase abbreviation", async () => {
+  const { states } = await readJson(path.join(apiDir, "states.json"));
+  assert.equal(states.length, 56);
+
+  for (const { abbr, apiUrl } of states) {
+    assert.ok(apiUrl.endsWith(`/states/${abbr}.json`), `${abbr}: apiUrl ${apiUrl}`);
+    const upper = await readFile(path.join(apiDir, "states", `${abbr}.json`), "utf8");
+    const lower = await readFile(path.join(apiDir, "states", `${abbr.toLowerCase()}.json`), "utf8");
+    assert.equal(lower, upper, `${abbr}: lowercase copy differs`);
+    assert.equal(JSON.parse(upper).state.abbr, abbr);
+  }
+});
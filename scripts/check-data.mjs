@@ -0,0 +1,22 @@
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const serverEntry = path.join(rootDir, "dist-ssr", "entry-server.js");
+
+async function main() {
+  const { getBillDataErrors, getImplementationDataErrors } = await import(pathToFileURL(serverEntry).href);
+  const errors = [...getBillDataErrors(), ...getImplementationDataErrors()];
+
+  if (errors.length) {
+    errors.forEach((error) => console.error(`check:data: ${error.id}: ${error.message}`));
+    throw new Error(`check:data: found ${errors.length} data error(s)`);
+  }
+
+  console.log("check:data: bill stages and GENIUS implementation OK");
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,223 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const MAX_REDIRECTS = 10;
+const USER_AGENT = "us-stablecoin-regulation-map source checker";
+const ARCHIVE_EXTENSIONS = {
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "application/pdf": "pdf",
+  "text/plain": "txt",
+  "application/json": "json"
+};
+
+// Every http(s) string in the dataset, with the JSON paths that cite it
+// (e.g. `states.NY.timeline[2].source`, `bills.FL-HB175.sourceUrl`).
+export function collectSourceUrls(data) {
+  const citations = new Map();
+  const visit = (value, pathLabel) => {
+    if (typeof value === "string") {
+      const url = value.trim();
+      if (!/^https?:\/\//i.test(url)) return;
+      if (!citations.has(url)) citations.set(url, []);
+      citations.get(url).push(pathLabel);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${pathLabel}[${index}]`));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, item]) => visit(item, pathLabel ? `${pathLabel}.${key}` : key));
+    }
+  };
+  visit(data, "");
+  return citations;
+}
+
+export function getArchiveFileName(url, contentType) {
+  const id = createHash("sha256").update(url).digest("hex").slice(0, 16);
+  const mimeType = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return `${id}.${ARCHIVE_EXTENSIONS[mimeType] || "bin"}`;
+}
+
+// Redirects are followed by hand so each hop's status and location end up in the record.
+export async function checkSource(url, { timeoutMs = 15000, fetchImpl = fetch } = {}) {
+  const redirects = [];
+  let currentUrl = url;
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      const response = await fetchImpl(currentUrl, {
+        redirect: "manual",
+        headers: { "user-agent": USER_AGENT, accept: "text/html,application/xhtml+xml,application/pdf,*/*;q=0.8" },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const location = response.headers.get("location");
+      if (response.status >= 300 && response.status < 400 && location) {
+        const nextUrl = new URL(location, currentUrl).href;
+        redirects.push({ status: response.status, from: currentUrl, to: nextUrl });
+        await response.body?.cancel();
+        currentUrl = nextUrl;
+        continue;
+      }
+
+      const body = Buffer.from(await response.arrayBuffer());
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        url,
+        state: !ok ? "broken" : (redirects.length ? "moved" : "ok"),
+        status: response.status,
+        finalUrl: currentUrl,
+        redirects,
+        contentType: response.headers.get("content-type") || "",
+        contentHash: ok ? `sha256:${createHash("sha256").update(body).digest("hex")}` : null,
+        body: ok ? body : null
+      };
+    }
+    throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+  } catch (error) {
+    return {
+      url,
+      state: "broken",
+      status: null,
+      finalUrl: currentUrl,
+      redirects,
+      error: error.name === "TimeoutError"
+        ? `timed out after ${timeoutMs} ms`
+        : `${error.message}${error.cause ? ` (${error.cause.code || error.cause.message})` : ""}`
+    };
+  }
+}
+
+async function mapWithConcurrency(items, limit, callback) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await callback(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// A dead link keeps the snapshot and hash from its last good check, which is what the
+// UI's "archived copy" link points at.
+export async function checkSources(citations, {
+  previous = {},
+  archiveDir,
+  concurrency = 4,
+  timeoutMs,
+  fetchImpl,
+  now = new Date()
+} = {}) {
+  const checkedAt = now.toISOString();
+  if (archiveDir) await mkdir(archiveDir, { recursive: true });
+
+  const results = await mapWithConcurrency([...citations.keys()], concurrency, async (url) => {
+    const { body, ...result } = await checkSource(url, { timeoutMs, fetchImpl });
+    const last = previous[url] || {};
+    const record = { ...result, citedBy: citations.get(url), checkedAt };
+    if (body && archiveDir) {
+      const archive = getArchiveFileName(url, result.contentType);
+      await writeFile(path.join(archiveDir, archive), body);
+      Object.assign(record, { archive, archivedAt: checkedAt, lastOkAt: checkedAt });
+    } else if (body) {
+      record.lastOkAt = checkedAt;
+    } else {
+      Object.assign(record, {
+        contentHash: last.contentHash || null,
+        archive: last.archive || null,
+        archivedAt: last.archivedAt || null,
+        lastOkAt: last.lastOkAt || null
+      });
+    }
+    record.contentChanged = Boolean(body && last.contentHash && last.contentHash !== result.contentHash);
+    return record;
+  });
+
+  return { checkedAt, sources: Object.fromEntries(results.map((record) => [record.url, record])) };
+}
+
+export function formatSourceReport(manifest) {
+  const records = Object.values(manifest.sources);
+  const broken = records.filter((record) => record.state === "broken");
+  const moved = records.filter((record) => record.state === "moved");
+  const changed = records.filter((record) => record.contentChanged);
+  const lines = [
+    "# Source link health",
+    "",
+    `Checked ${records.length} URLs on ${manifest.checkedAt}: ${broken.length} broken, ${moved.length} moved, ${changed.length} with changed content.`
+  ];
+  const addSection = (title, items, describe) => {
+    if (!items.length) return;
+    lines.push("", `## ${title}`, "");
+    items.forEach((record) => {
+      lines.push(`- ${record.url}`, `  - ${describe(record)}`, `  - cited by ${record.citedBy.join(", ")}`);
+    });
+  };
+  addSection("Broken", broken, (record) => (
+    `${record.error || `HTTP ${record.status}`}${record.archive ? ` (archived copy from ${record.archivedAt})` : " (no archived copy)"}`
+  ));
+  addSection("Moved", moved, (record) => (
+    `${record.redirects.map((hop) => `${hop.status} → ${hop.to}`).join(", ")}`
+  ));
+  addSection("Content changed since last check", changed, (record) => `now ${record.contentHash}`);
+  return `${lines.join("\n")}\n`;
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      data: { type: "string", default: path.join(rootDir, "src", "data", "stablecoinRegulation.json") },
+      manifest: { type: "string", default: path.join(rootDir, "src", "data", "sourceHealth.json") },
+      archive: { type: "string", default: path.join(rootDir, "public", "source-archive") },
+      report: { type: "string", default: path.join(rootDir, "reports", "source-health.md") },
+      concurrency: { type: "string", default: "4" },
+      timeout: { type: "string", default: "15000" }
+    }
+  });
+
+  const data = await readJson(values.data, null);
+  if (!data) throw new Error(`check:sources: ${values.data} not found`);
+  const previous = await readJson(values.manifest, { sources: {} });
+  const citations = collectSourceUrls(data);
+  console.log(`check:sources: checking ${citations.size} URLs`);
+
+  const manifest = await checkSources(citations, {
+    previous: previous.sources,
+    archiveDir: values.archive,
+    concurrency: Number(values.concurrency),
+    timeoutMs: Number(values.timeout)
+  });
+  const report = formatSourceReport(manifest);
+
+  await writeFile(values.manifest, `${JSON.stringify(manifest, null, 2)}\n`);
+  await mkdir(path.dirname(values.report), { recursive: true });
+  await writeFile(values.report, report);
+  console.log(report);
+
+  const brokenCount = Object.values(manifest.sources).filter((record) => record.state === "broken").length;
+  if (brokenCount) {
+    console.error(`check:sources: ${brokenCount} broken source link(s); see ${path.relative(process.cwd(), values.report)}`);
+    process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
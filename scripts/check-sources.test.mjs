@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { checkSources, formatSourceReport, getArchiveFileName } from "./check-sources.mjs";
+
+// A local server with one route per link state the checker has to tell apart.
+const server = createServer((request, response) => {
+  if (request.url === "/ok") {
+    response.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+    response.end("<p>ok</p>");
+  } else if (request.url === "/old") {
+    response.writeHead(301, { location: "/ok" });
+    response.end();
+  } else if (request.url === "/missing") {
+    response.writeHead(404, { "content-type": "text/plain" });
+    response.end("not found");
+  }
+  // `/slow` never answers, so the checker's timeout fires.
+});
+let baseUrl;
+let archiveDir;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  archiveDir = await mkdtemp(path.join(tmpdir(), "check-sources-"));
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await rm(archiveDir, { recursive: true, force: true });
+});
+
+test("checkSources records each link's state and keeps the last good copy of dead links", async () => {
+  const url = (route) => `${baseUrl}${route}`;
+  const citations = new Map([
+    [url("/ok"), ["states.NY.sources[0]"]],
+    [url("/old"), ["bills.FL-HB175.sourceUrl"]],
+    [url("/missing"), ["states.TX.timeline[1].source"]],
+    [url("/slow"), ["pendingFederalBills[0].sources[0]"]]
+  ]);
+  const previous = {
+    [url("/ok")]: { contentHash: "sha256:stale" },
+    [url("/missing")]: {
+      contentHash: "sha256:before",
+      archive: "missing.html",
+      archivedAt: "2026-01-02T00:00:00.000Z",
+      lastOkAt: "2026-01-02T00:00:00.000Z"
+    }
+  };
+  const manifest = await checkSources(citations, {
+    previous,
+    archiveDir,
+    timeoutMs: 300,
+    now: new Date("2026-03-01T12:00:00.000Z")
+  });
+  const { sources } = manifest;
+
+  assert.equal(manifest.checkedAt, "2026-03-01T12:00:00.000Z");
+
+  const ok = sources[url("/ok")];
+  assert.equal(ok.state, "ok");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.contentChanged, true);
+  assert.match(ok.contentHash, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(ok.archive, getArchiveFileName(url("/ok"), "text/html"));
+  assert.equal(await readFile(path.join(archiveDir, ok.archive), "utf8"), "<p>ok</p>");
+
+  const moved = sources[url("/old")];
+  assert.equal(moved.state, "moved");
+  assert.equal(moved.status, 200);
+  assert.equal(moved.finalUrl, url("/ok"));
+  assert.deepEqual(moved.redirects, [{ status: 301, from: url("/old"), to: url("/ok") }]);
+  assert.equal(moved.contentHash, ok.contentHash);
+
+  const missing = sources[url("/missing")];
+  assert.equal(missing.state, "broken");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.contentHash, "sha256:before");
+  assert.equal(missing.archive, "missing.html");
+  assert.equal(missing.lastOkAt, "2026-01-02T00:00:00.000Z");
+  assert.equal(missing.contentChanged, false);
+
+  const slow = sources[url("/slow")];
+  assert.equal(slow.state, "broken");
+  assert.equal(slow.status, null);
+  assert.equal(slow.error, "timed out after 300 ms");
+  assert.equal(slow.archive, null);
+  assert.deepEqual(slow.citedBy, ["pendingFederalBills[0].sources[0]"]);
+
+  const report = formatSourceReport(manifest);
+  assert.match(report, /^# Source link health\n/);
+  assert.match(report, /Checked 4 URLs on 2026-03-01T12:00:00\.000Z: 2 broken, 1 moved, 1 with changed content\./);
+  assert.ok(report.includes(`## Broken\n\n- ${url("/missing")}\n  - HTTP 404 (archived copy from 2026-01-02T00:00:00.000Z)\n  - cited by states.TX.timeline[1].source`));
+  assert.ok(report.includes(`- ${url("/slow")}\n  - timed out after 300 ms (no archived copy)`));
+  assert.ok(report.includes(`## Moved\n\n- ${url("/old")}\n  - 301 → ${url("/ok")}\n  - cited by bills.FL-HB175.sourceUrl`));
+  assert.ok(report.includes(`## Content changed since last check\n\n- ${url("/ok")}\n  - now ${ok.contentHash}`));
+});
+
+test("formatSourceReport leaves out empty sections", () => {
+  const report = formatSourceReport({
+    checkedAt: "2026-03-01T12:00:00.000Z",
+    sources: {
+      "https://example.com/": { url: "https://example.com/", state: "ok", redirects: [], citedBy: ["states.NY.sources[0]"], contentChanged: false }
+    }
+  });
+  assert.equal(report, "# Source link health\n\nChecked 1 URLs on 2026-03-01T12:00:00.000Z: 0 broken, 0 moved, 0 with changed content.\n");
+});
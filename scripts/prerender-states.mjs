@@ -0,0 +1,74 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const distDir = path.join(rootDir, "dist");
+const serverEntry = path.join(rootDir, "dist-ssr", "entry-server.js");
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function replaceOrFail(html, pattern, replacement, label) {
+  if (!pattern.test(html)) throw new Error(`prerender: could not find ${label} in dist/index.html`);
+  return html.replace(pattern, replacement);
+}
+
+function setMetaContent(html, attribute, key, value) {
+  const pattern = new RegExp(`(<meta\\s+${attribute}="${key.replace(/[.:]/g, "\\$&")}"\\s+content=")[^"]*(")`);
+  return replaceOrFail(html, pattern, `$1${escapeHtml(value)}$2`, `${attribute}="${key}"`);
+}
+
+function renderPage(template, meta, appHtml) {
+  let html = template;
+  html = replaceOrFail(html, /<title>[^<]*<\/title>/, `<title>${escapeHtml(meta.title)}</title>`, "<title>");
+  html = replaceOrFail(
+    html,
+    /(<meta\s+name="description"\s+content=")[^"]*(")/,
+    `$1${escapeHtml(meta.description)}$2`,
+    "meta description"
+  );
+  html = replaceOrFail(
+    html,
+    /(<link\s+rel="canonical"\s+href=")[^"]*(")/,
+    `$1${escapeHtml(meta.canonicalUrl)}$2`,
+    "canonical link"
+  );
+  html = setMetaContent(html, "property", "og:title", meta.title);
+  html = setMetaContent(html, "property", "og:description", meta.description);
+  html = setMetaContent(html, "property", "og:url", meta.canonicalUrl);
+  html = setMetaContent(html, "property", "og:image", meta.imageUrl);
+  html = setMetaContent(html, "property", "og:image:alt", meta.imageAlt);
+  html = setMetaContent(html, "property", "twitter:title", meta.title);
+  html = setMetaContent(html, "property", "twitter:description", meta.description);
+  html = setMetaContent(html, "property", "twitter:image", meta.imageUrl);
+
+  const jsonLd = JSON.stringify(meta.jsonLd).replace(/</g, "\\u003c");
+  html = replaceOrFail(html, /<\/head>/, `  <script type="application/ld+json">${jsonLd}</script>\n  </head>`, "</head>");
+  html = replaceOrFail(html, /<div id="root"><\/div>/, `<div id="root">${appHtml}</div>`, "#root");
+  return html;
+}
+
+async function main() {
+  const template = await readFile(path.join(distDir, "index.html"), "utf8");
+  const { getPrerenderPages, render } = await import(pathToFileURL(serverEntry).href);
+  const pages = getPrerenderPages();
+
+  for (const page of pages) {
+    const outputDir = path.join(distDir, page.path);
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(path.join(outputDir, "index.html"), renderPage(template, page.meta, render(page.abbr)));
+  }
+
+  console.log(`prerender: wrote ${pages.length} state pages to dist/states/`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
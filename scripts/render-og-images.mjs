@@ -0,0 +1,174 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { Resvg } from "@resvg/resvg-js";
+import { geoAlbersUsa, geoMercator, geoPath } from "d3-geo";
+import { feature } from "topojson-client";
+
+const require = createRequire(import.meta.url);
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const distDir = path.join(rootDir, "dist");
+const serverEntry = path.join(rootDir, "dist-ssr", "entry-server.js");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MAP_BOX = { x: 40, y: 60, width: 700, height: 410 };
+// Territory insets sit in a row under the map, mirroring the site layout.
+const INSET_ROW = { x: 40, y: 490, width: 700, height: 76, gap: 12 };
+const MUTED_FILL = "#2f3744";
+const FONT_STACK = "Inter, sans-serif";
+// Bundled from npm so the cards render identically on machines without Inter installed.
+const FONT_FILES = [
+  "@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf",
+  "@expo-google-fonts/inter/600SemiBold/Inter_600SemiBold.ttf",
+  "@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf"
+].map((file) => require.resolve(file));
+// States smaller than this (in square pixels on the card) also get a ring so they stay visible.
+const SMALL_STATE_AREA = 900;
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function wrapText(value, maxChars) {
+  const lines = [];
+  let current = "";
+  String(value).split(/\s+/).forEach((word) => {
+    const next = current ? `${current} ${word}` : word;
+    if (next.length > maxChars && current) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+}
+
+function renderCardSvg(card, shapes, insets) {
+  const highlighted = shapes.find((shape) => shape.abbr === card.abbr);
+  const statePaths = shapes
+    .filter((shape) => shape.abbr !== card.abbr)
+    .map((shape) => `<path d="${shape.d}" fill="${MUTED_FILL}" stroke="#111111" stroke-width="1" stroke-linejoin="round" />`)
+    .join("");
+  const insetFrames = insets
+    .map((inset) => {
+      const isHighlighted = inset.abbr === card.abbr;
+      return `<clipPath id="inset-${inset.abbr}"><rect x="${inset.box.x}" y="${inset.box.y}" width="${inset.box.width}" height="${inset.box.height}" rx="8" /></clipPath>`
+        + `<rect x="${inset.box.x}" y="${inset.box.y}" width="${inset.box.width}" height="${inset.box.height}" rx="8" fill="none" stroke="${isHighlighted ? card.colors.chipBorder : "#27272a"}" stroke-width="${isHighlighted ? 2 : 1}" />`
+        + `<text x="${inset.box.x + 8}" y="${inset.box.y + 18}" fill="#71717a" font-family="${FONT_STACK}" font-size="13" font-weight="600">${inset.abbr}</text>`;
+    })
+    .join("");
+  const insetPaths = insets
+    .map((inset) => {
+      const isHighlighted = inset.abbr === card.abbr;
+      const fill = isHighlighted ? card.colors.fill : MUTED_FILL;
+      const stroke = isHighlighted ? card.colors.chipBorder : "#111111";
+      return `<path d="${inset.d}" clip-path="url(#inset-${inset.abbr})" fill="${fill}" stroke="${stroke}" stroke-width="${isHighlighted ? 1.5 : 0.6}" stroke-linejoin="round" />`;
+    })
+    .join("");
+
+  let highlight = "";
+  if (highlighted) {
+    highlight = `<path d="${highlighted.d}" fill="${card.colors.fill}" stroke="${card.colors.chipBorder}" stroke-width="2" stroke-linejoin="round" />`;
+    if (highlighted.area < SMALL_STATE_AREA) {
+      const [cx, cy] = highlighted.centroid;
+      highlight += `<circle cx="${cx}" cy="${cy}" r="16" fill="none" stroke="${card.colors.chipBorder}" stroke-width="3" />`;
+    }
+  }
+
+  const nameLines = wrapText(card.name, 11);
+  const longestLine = Math.max(...nameLines.map((line) => line.length));
+  // Inter Bold averages ~0.6em per glyph; shrink long names to fit the 390px text column.
+  const nameSize = Math.min(nameLines.length > 1 ? 56 : 64, Math.floor(390 / (longestLine * 0.6)));
+  const nameText = nameLines
+    .map((line, index) => `<tspan x="780" dy="${index === 0 ? 0 : nameSize * 1.05}">${escapeXml(line)}</tspan>`)
+    .join("");
+  const chipTop = 250 + (nameLines.length - 1) * nameSize * 1.05;
+  const chipWidth = Math.max(180, card.statusLabel.length * 15 + 40);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="#080b12" />
+  <g>${statePaths}${highlight}</g>
+  <g>${insetFrames}${insetPaths}</g>
+  <text x="780" y="110" fill="#a1a1aa" font-family="${FONT_STACK}" font-size="24" font-weight="600" letter-spacing="3">${escapeXml(card.siteName.toUpperCase())}</text>
+  <text x="780" y="200" fill="#f4f4f5" font-family="${FONT_STACK}" font-size="${nameSize}" font-weight="700">${nameText}</text>
+  <rect x="780" y="${chipTop}" width="${chipWidth}" height="48" rx="24" fill="${card.colors.chipBg}" stroke="${card.colors.chipBorder}" stroke-width="2" />
+  <text x="${780 + chipWidth / 2}" y="${chipTop + 31}" fill="${card.colors.chipText}" font-family="${FONT_STACK}" font-size="22" font-weight="600" text-anchor="middle">${escapeXml(card.statusLabel)}</text>
+  ${card.lastUpdatedLabel ? `<text x="780" y="${chipTop + 110}" fill="#a1a1aa" font-family="${FONT_STACK}" font-size="22">Last updated</text>
+  <text x="780" y="${chipTop + 142}" fill="#e4e4e7" font-family="${FONT_STACK}" font-size="26" font-weight="600">${escapeXml(card.lastUpdatedLabel)}</text>` : ""}
+  <text x="780" y="580" fill="#71717a" font-family="${FONT_STACK}" font-size="20">U.S. stablecoin regulation tracker</text>
+</svg>`;
+}
+
+async function loadStateShapes(fipsToAbbr, territoryInsets) {
+  const topology = JSON.parse(await readFile(require.resolve("us-atlas/states-10m.json"), "utf8"));
+  const states = feature(topology, topology.objects.states);
+  const territoryAbbrs = territoryInsets.map((inset) => inset.abbr);
+  const mainland = {
+    ...states,
+    features: states.features.filter((geo) => !territoryAbbrs.includes(fipsToAbbr[String(geo.id).padStart(2, "0")]))
+  };
+  const projection = geoAlbersUsa().fitExtent(
+    [[MAP_BOX.x, MAP_BOX.y], [MAP_BOX.x + MAP_BOX.width, MAP_BOX.y + MAP_BOX.height]],
+    mainland
+  );
+  const pathGenerator = geoPath(projection);
+
+  const insetWidth = (INSET_ROW.width - INSET_ROW.gap * (territoryInsets.length - 1)) / territoryInsets.length;
+  const insets = territoryInsets.map(({ abbr, bounds }, index) => {
+    const box = { x: INSET_ROW.x + index * (insetWidth + INSET_ROW.gap), y: INSET_ROW.y, width: insetWidth, height: INSET_ROW.height };
+    const insetProjection = geoMercator().fitExtent(
+      [[box.x + 28, box.y + 8], [box.x + box.width - 8, box.y + box.height - 8]],
+      { type: "MultiPoint", coordinates: bounds }
+    );
+    const geo = states.features.find((item) => fipsToAbbr[String(item.id).padStart(2, "0")] === abbr);
+    return { abbr, box, d: geo ? geoPath(insetProjection)(geo) : "" };
+  });
+
+  const shapes = mainland.features
+    .map((geo) => {
+      const d = pathGenerator(geo);
+      if (!d) return null;
+      return {
+        abbr: fipsToAbbr[String(geo.id).padStart(2, "0")],
+        d,
+        area: pathGenerator.area(geo),
+        centroid: pathGenerator.centroid(geo).map((value) => Math.round(value * 10) / 10)
+      };
+    })
+    .filter((shape) => shape?.abbr);
+
+  return { shapes, insets };
+}
+
+async function main() {
+  const { FIPS_TO_ABBR, TERRITORY_INSETS, getOgImageCards } = await import(pathToFileURL(serverEntry).href);
+  const { shapes, insets } = await loadStateShapes(FIPS_TO_ABBR, TERRITORY_INSETS);
+  const cards = getOgImageCards();
+
+  for (const card of cards) {
+    const svg = renderCardSvg(card, shapes, insets);
+    const png = new Resvg(svg, {
+      fitTo: { mode: "width", value: WIDTH },
+      font: { fontFiles: FONT_FILES, loadSystemFonts: false, defaultFontFamily: "Inter", sansSerifFamily: "Inter" }
+    }).render().asPng();
+
+    const outputFile = path.join(distDir, card.outputPath);
+    await mkdir(path.dirname(outputFile), { recursive: true });
+    await writeFile(outputFile, png);
+  }
+
+  console.log(`og: wrote ${cards.length} preview images to dist/og/`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
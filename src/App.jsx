@@ -1,271 +1,302 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { ComposableMap, Geographies, Geography } from "react-simple-maps";
 import geoUrl from "us-atlas/states-10m.json?url";
 import regulationData from "./data/stablecoinRegulation.json";
-import { ALL_STATES, FIPS_TO_ABBR, STATE_NAME_TO_ABBR } from "./data/stateMappings";
-
-const STATUS_META = {
-  clear_friendly: {
-    label: "Clear + Favorable",
-    mobileLabel: "Clear + Favorable",
-    description: "has stablecoin-relevant frameworks, charters, or explicit exemptions that support operations",
-    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
-    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
-    color: "#0f766e",
-    chipBg: "#134e4a",
-    chipBorder: "#2dd4bf",
-    chipText: "#99f6e4"
-  },
-  clear_restrictive: {
-    label: "Clear + Strict",
-    mobileLabel: "Clear + Strict",
-    description: "clear framework with higher licensing burden and compliance cost",
-    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
-    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
-    color: "#35508f",
-    chipBg: "#1e3a6b",
-    chipBorder: "#7aa2ff",
-    chipText: "#dbe7ff"
-  },
-  pending: {
-    label: "Pending",
-    mobileLabel: "Pending",
-    description: "active stablecoin-related bills, pilots, or money-transmission modernization",
-    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
-    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
-    color: "#b45309",
-    chipBg: "#78350f",
-    chipBorder: "#fbbf24",
-    chipText: "#fde68a"
-  },
-  federal_default: {
-    label: "No State Framework",
-    mobileLabel: "No State Framework",
-    description: "no meaningful state stablecoin framework identified; current baseline is existing money-transmission rules plus applicable federal law",
-    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
-    tooltipPositionClass: "sm:right-0 sm:left-auto sm:translate-x-0",
-    color: "#5b667a",
-    chipBg: "#273244",
-    chipBorder: "#a7b0bf",
-    chipText: "#e5e7eb"
-  }
-};
+import {
+  ALL_STATES,
+  NORTHEAST_CALLOUTS,
+  TERRITORY_ABBRS,
+  TERRITORY_INSETS
+} from "./data/stateMappings";
+import MapCallout from "./MapCallout";
+import {
+  CITATION_FORMATS,
+  DEFAULT_CITATION_FORMAT,
+  formatCitation,
+  formatCitationList,
+  getSourceCitation,
+  getStateCitations
+} from "./lib/citations";
+import { DEFAULT_EMBED_OPTIONS, EMBED_THEMES, buildEmbedSnippet, getEmbedPageUrl } from "./lib/embed";
+import { buildStateBrief, getStateBriefFileName } from "./lib/brief";
+import { rasterizeSvg, renderStateBriefPdf } from "./lib/briefPdf";
+import { downloadFile, toCsv, toJson, toSpreadsheetXml } from "./lib/exportFormats";
+import {
+  buildGeniusTimeline,
+  getCommentPeriodState,
+  getGeniusCountdowns,
+  getRulemakings
+} from "./lib/genius";
+import {
+  DATA_AGE_LAYER,
+  DEFAULT_FRESHNESS_THRESHOLDS,
+  FRESHNESS_KINDS,
+  FRESHNESS_LEVEL_ORDER,
+  buildFreshnessRows,
+  countFreshnessLevels,
+  getDataAgeDays,
+  getFreshnessLevel,
+  normalizeFreshnessThresholds,
+  readFreshnessThresholds,
+  toLocalIsoDate,
+  writeFreshnessThresholds
+} from "./lib/freshness";
+import {
+  BILL_DATA_ERROR_META,
+  buildBillReferences,
+  countPendingBills,
+  formatKeyLaw,
+  getBillDataErrors,
+  getBillProgressSteps,
+  getBillStageLabel,
+  getBillStageMeta,
+  getBillIdFromParam,
+  getBillJurisdictionName,
+  getBillsByIds,
+  getKeyLawBillIds,
+  getKeyLawText
+} from "./lib/bills";
+import {
+  DEFAULT_LEGISLATION_FILTERS,
+  LEGISLATION_FACETS,
+  LEGISLATION_GROUPS,
+  LEGISLATION_SORTS,
+  clearLegislationFilterFacets,
+  filterLegislationRows,
+  getLegislationFacetOptions,
+  getLegislationFiltersFromParams,
+  groupLegislationRows,
+  hasActiveLegislationFilters,
+  isLegislationFilterOnlyChange,
+  setLegislationFilterParams,
+  sortLegislationRows
+} from "./lib/legislationFilters";
+import { MAP_ARROW_DIRECTIONS, findNeighborInDirection, getElementCenter } from "./lib/mapNavigation";
+import {
+  TERRITORY_INSET_HEIGHT,
+  TERRITORY_INSET_PROJECTIONS,
+  TERRITORY_INSET_WIDTH,
+  getGeographyAbbr,
+  getStateFills,
+  getStateGeographyStyle
+} from "./lib/mapStyle";
+import {
+  DEFAULT_MAP_LAYER,
+  MAP_LAYERS,
+  PROFILE_DIMENSIONS,
+  getMapLayer,
+  getMapLayerFromParam,
+  getMapLayerValue,
+  getProfileValue,
+  toMapLayerParam
+} from "./lib/regulatoryProfile";
+import { SITE_URL, applyPageMeta, getStatePageMeta, getStatePagePath, getStateSlugFromPath } from "./lib/pageMeta";
+import { getSourceArchiveUrl, getSourceHealth, isSourceDead } from "./lib/sourceHealth";
+import { getSourceDisplayItems } from "./lib/sources";
+import {
+  DEFAULT_STATE_TABLE_SORT,
+  filterStateTableRows,
+  getNextStateTableSort,
+  sortStateTableRows
+} from "./lib/stateTable";
+import {
+  STATUS_META,
+  formatDate,
+  getAbbrFromStateParam,
+  getStateEntry,
+  getStateDevelopmentRowId,
+  getStateIssuedPrograms,
+  getLatestDataDate,
+  normalizeLookup,
+  normalizeStatus,
+  toComparableDate,
+  toStateSlug
+} from "./lib/regulation";
+import {
+  DEFAULT_LOCALE,
+  I18nContext,
+  LOCALES,
+  createI18n,
+  getLocaleFromParam,
+  useI18n
+} from "./lib/i18n";
+import { buildVisitSnapshot, diffVisitSnapshots, readVisitSnapshot, writeVisitSnapshot } from "./lib/visitChanges";
+import {
+  EMPTY_WATCHLIST,
+  isWatchlistEmpty,
+  parseWatchlistFile,
+  readWatchlist,
+  serializeWatchlist,
+  toggleWatchlistItem,
+  writeWatchlist
+} from "./lib/watchlist";
 
-const STATUS_ORDER = ["clear_friendly", "clear_restrictive", "pending", "federal_default"];
+const SEARCH_GROUPS = ["state-field", "bill", "federal-bill", "state-development", "state-issued"];
+const SEARCH_RESULTS_PER_GROUP = 4;
+const STATE_EXPORT_COLUMNS = [
+  { key: "abbr", label: "Abbreviation" },
+  { key: "name", label: "State" },
+  { key: "status", label: "Status" },
+  { key: "statusLabel", label: "Status Label" },
+  { key: "regulatoryBody", label: "Regulatory Body" },
+  { key: "keyLaws", label: "Key Laws" },
+  { key: "summary", label: "Summary" },
+  { key: "recentDevelopments", label: "Recent Developments" },
+  ...PROFILE_DIMENSIONS.map((dimension) => ({ key: dimension.key, label: dimension.label })),
+  { key: "lastUpdated", label: "Last Updated" },
+  { key: "sources", label: "Sources" }
+];
+const LEGISLATION_EXPORT_COLUMNS = [
+  { key: "level", label: "Level" },
+  { key: "id", label: "ID" },
+  { key: "title", label: "Title" },
+  { key: "bills", label: "Bills" },
+  { key: "jurisdiction", label: "Jurisdiction" },
+  { key: "category", label: "Category" },
+  { key: "stage", label: "Stage" },
+  { key: "status", label: "Status" },
+  { key: "what", label: "What It Does" },
+  { key: "latest", label: "Latest" },
+  { key: "lastUpdated", label: "Last Updated" },
+  { key: "sources", label: "Sources" }
+];
+const LEGISLATION_LEVEL_EXPORT_LABELS = { federal: "Federal", state: "State" };
+const TIMELINE_EXPORT_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "label", label: "Event" },
+  { key: "detail", label: "Detail" },
+  { key: "source", label: "Source" }
+];
+const EXPORT_MIME_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json;charset=utf-8",
+  xml: "application/vnd.ms-excel;charset=utf-8"
+};
 const DEFAULT_STATE_ABBR = "NY";
-const BILL_ID_PATTERN = /\b(?:CS\/CS\/|CS\/)?(?:H\.?R\.?|S\.?|HB|SB|AB|A|HR)\s*\.?-?\s*\d+[A-Z0-9-]*\b/gi;
+const DEFAULT_PANEL_SECTION = "summary";
+const PANEL_SECTIONS = ["summary", "profile", "key-laws", "regulator", "recent", "state-issued", "timeline", "sources"];
+const MAX_COMPARE_STATES = 4;
+const DEFAULT_MAP_VIEW = "map";
+const MAP_VIEWS = [DEFAULT_MAP_VIEW, "table"];
+const REPLAY_START_DATE = "2015-01-01";
+const REPLAY_STEP_MS = 220;
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_MOVE_TOLERANCE = 10;
+const TOOLTIP_GAP = 12;
+const TOOLTIP_MARGIN = 8;
+const NORTHEAST_CALLOUT_ABBRS = NORTHEAST_CALLOUTS.map(({ abbr }) => abbr);
+const COPY_FEEDBACK_MS = 2000;
 
-function normalizeLookup(value) {
-  return String(value || "").trim().toLowerCase();
-}
+// Lets every SourceDisclosure open the app-level citation dialog without threading a
+// callback through each panel, row and dialog that lists sources.
+const CitationContext = createContext(null);
 
-function toStateSlug(value) {
-  return normalizeLookup(value).replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+function getBrowserStorage() {
+  if (typeof window === "undefined") return null;
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
 }
 
-function getAbbrFromStateParam(stateParam) {
-  if (!stateParam) return null;
-  const trimmed = String(stateParam).trim();
-  const upper = trimmed.toUpperCase();
-  if (ALL_STATES[upper]) return upper;
-
-  const normalized = normalizeLookup(trimmed);
-  const match = Object.entries(ALL_STATES).find(([, name]) => toStateSlug(name) === normalized);
-  return match?.[0] || null;
+// Falls back to a hidden textarea where the async clipboard API is missing or blocked.
+function copyText(text) {
+  const fallback = () => {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.remove();
+    return copied;
+  };
+  if (!navigator.clipboard?.writeText) return Promise.resolve(fallback());
+  return navigator.clipboard.writeText(text).then(() => true, fallback);
 }
 
-function formatDate(isoDate) {
-  if (!isoDate) return "N/A";
-  const value = new Date(`${isoDate}T00:00:00`);
-  if (Number.isNaN(value.getTime())) return isoDate;
-  return new Intl.DateTimeFormat("en-US", {
-    year: "numeric",
-    month: "long",
-    day: "numeric"
-  }).format(value);
+function getCompareAbbrsFromParam(compareParam) {
+  if (!compareParam) return [];
+  const abbrs = String(compareParam)
+    .split(",")
+    .map((part) => getAbbrFromStateParam(part))
+    .filter(Boolean);
+  const unique = [...new Set(abbrs)].slice(0, MAX_COMPARE_STATES);
+  return unique.length >= 2 ? unique : [];
 }
 
-function normalizeStatus(input) {
-  if (!input) return "federal_default";
-  if (Object.hasOwn(STATUS_META, input)) return input;
-
-  const legacyMap = {
-    friendly: "clear_friendly",
-    restrictive: "clear_restrictive",
-    none: "federal_default",
-    unclear: "pending"
-  };
-
-  return legacyMap[input] || "federal_default";
+function getPanelSectionFromParam(sectionParam) {
+  if (sectionParam === "none") return null;
+  return PANEL_SECTIONS.includes(sectionParam) ? sectionParam : DEFAULT_PANEL_SECTION;
 }
 
-function shiftHexColor(hex, amount) {
-  const normalized = hex.replace("#", "");
-  if (normalized.length !== 6) return hex;
-  const num = Number.parseInt(normalized, 16);
-  if (Number.isNaN(num)) return hex;
-
-  const clamp = (value) => Math.min(255, Math.max(0, value));
-  const r = clamp((num >> 16) + amount);
-  const g = clamp(((num >> 8) & 0x00ff) + amount);
-  const b = clamp((num & 0x0000ff) + amount);
-
-  return `#${(r << 16 | g << 8 | b).toString(16).padStart(6, "0")}`;
+function getLegendFilterFromParam(layerKey, filterParam) {
+  const key = String(filterParam || "").trim().toLowerCase().replace(/-/g, "_");
+  return getMapLayer(layerKey).values[key] ? key : null;
 }
 
-function hexToRgba(hex, alpha = 1) {
-  const normalized = String(hex || "").replace("#", "");
-  if (normalized.length !== 6) return `rgba(255,255,255,${alpha})`;
-  const num = Number.parseInt(normalized, 16);
-  if (Number.isNaN(num)) return `rgba(255,255,255,${alpha})`;
-  const r = (num >> 16) & 255;
-  const g = (num >> 8) & 255;
-  const b = num & 255;
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+function getBillIdFromHash(bills, hash) {
+  const match = String(hash || "").match(/^#bill-(.+)$/);
+  return match ? getBillIdFromParam(bills, decodeURIComponent(match[1])) : null;
 }
 
-function getSourceLabel(source) {
-  try {
-    const parsed = new URL(source);
-    const hostname = parsed.hostname.replace(/^www\./, "");
-    const overrides = [
-      { pattern: /congress\.gov$/i, label: "United States Congress (Congress.gov)" },
-      { pattern: /whitehouse\.gov$/i, label: "White House (United States)" },
-      { pattern: /occ\.gov$/i, label: "Office of the Comptroller of the Currency (OCC)" },
-      { pattern: /fdic\.gov$/i, label: "Federal Deposit Insurance Corporation (FDIC)" },
-      { pattern: /treasury\.gov$/i, label: "U.S. Department of the Treasury" },
-      { pattern: /federalreserve\.gov$/i, label: "Federal Reserve" },
-      { pattern: /nysenate\.gov$/i, label: "New York State Senate" },
-      { pattern: /dfs\.ny\.gov$/i, label: "New York Department of Financial Services (NYDFS)" },
-      { pattern: /dfpi\.ca\.gov$/i, label: "California Department of Financial Protection and Innovation (DFPI)" },
-      { pattern: /stabletoken\.wyo\.gov$/i, label: "Wyoming Stable Token Commission" }
-    ];
-
-    const matched = overrides.find((item) => item.pattern.test(hostname));
-    if (matched) return matched.label;
-
-    if (hostname.endsWith(".gov")) {
-      if (hostname.includes(".state.")) return `U.S. State Government (${hostname})`;
-      return `Government Source (${hostname})`;
-    }
+function buildReplayMonths(startIso, endIso) {
+  const start = new Date(`${toComparableDate(startIso)}T00:00:00`);
+  const end = new Date(`${toComparableDate(endIso)}T00:00:00`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) return [];
 
-    const domainLabel = hostname
-      .split(".")
-      .slice(0, -1)
-      .join(" ")
-      .replace(/[-_]/g, " ")
-      .replace(/\b\w/g, (char) => char.toUpperCase())
-      .trim();
-    return domainLabel || hostname;
-  } catch {
-    return source;
+  const months = [];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+  while (cursor <= end) {
+    const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+    const capped = monthEnd > end ? end : monthEnd;
+    const month = String(capped.getMonth() + 1).padStart(2, "0");
+    const day = String(capped.getDate()).padStart(2, "0");
+    months.push(`${capped.getFullYear()}-${month}-${day}`);
+    cursor.setMonth(cursor.getMonth() + 1);
   }
+  return months;
 }
 
-function formatPathText(value) {
-  const cleaned = decodeURIComponent(String(value || ""))
-    .replace(/\.[a-z0-9]+$/i, "")
-    .replace(/[-_]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!cleaned) return "";
-  return cleaned.replace(/\b\w/g, (char) => char.toUpperCase());
-}
-
-function getSourceContextLabel(source) {
-  try {
-    const parsed = new URL(source);
-    const hostname = parsed.hostname.replace(/^www\./, "");
-    const pathname = parsed.pathname.replace(/\/+$/, "");
-    const segments = pathname.split("/").filter(Boolean);
-
-    if (/congress\.gov$/i.test(hostname)) {
-      const billMatch = pathname.match(/\/bill\/\d+th-congress\/(senate-bill|house-bill)\/(\d+)(?:\/([^/]+))?/i);
-      if (billMatch) {
-        const section = billMatch[3]?.toLowerCase();
-        const sectionLabelMap = {
-          text: "bill text",
-          actions: "bill actions",
-          "all-info": "bill overview"
-        };
-        const sectionLabel = section ? (sectionLabelMap[section] || formatPathText(section)) : "bill page";
-        return `Congress ${sectionLabel}`;
-      }
-    }
-
-    if (/nysenate\.gov$/i.test(hostname)) {
-      const billMatch = pathname.match(/\/legislation\/bills\/\d{4}\/([A-Z]\d+[A-Z0-9]*)/i);
-      if (billMatch) return "bill page";
-      if (pathname.includes("/newsroom/")) return "newsroom update";
-    }
-
-    if (/dfs\.ny\.gov$/i.test(hostname)) {
-      if (pathname.includes("industry_letters")) return "industry guidance";
-      if (pathname.includes("virtual_currency_businesses")) return "virtual currency businesses page";
-      if (pathname.includes("application_fee_schedule")) return "fee schedule";
-    }
-
-    if (/dfpi\.ca\.gov$/i.test(hostname)) {
-      if (pathname.includes("digital-financial-assets-law-regulations-opinions-releases")) return "DFAL regulations and releases";
-      if (pathname.includes("digital-financial-assets")) return "digital financial assets framework";
-    }
-
-    if (/flsenate\.gov$/i.test(hostname)) {
-      const billSummaryMatch = pathname.match(/\/billsummaries\/\d+\/html\/(\d+)/i);
-      if (billSummaryMatch) return "bill summary";
-      if (pathname.includes("/laws/statutes/")) return "statutes reference";
-    }
-
-    if (segments.length) {
-      const last = segments[segments.length - 1];
-      const prev = segments.length > 1 ? segments[segments.length - 2] : "";
-      if (/^\d+$/.test(last) && prev) return formatPathText(`${prev} ${last}`);
-      return formatPathText(last);
-    }
-  } catch {
-    return "";
+// Pointer anchors sit beside the cursor; focus anchors are centered under the state.
+// Either way the tooltip flips above or to the left before it would leave the viewport.
+function getTooltipPosition(anchor, size, viewport) {
+  let left = anchor.isCentered ? anchor.x - size.width / 2 : anchor.x + TOOLTIP_GAP;
+  if (!anchor.isCentered && left + size.width > viewport.width - TOOLTIP_MARGIN) {
+    left = anchor.x - TOOLTIP_GAP - size.width;
   }
+  let top = anchor.bottom + TOOLTIP_GAP;
+  if (top + size.height > viewport.height - TOOLTIP_MARGIN) top = anchor.top - TOOLTIP_GAP - size.height;
+  const clamp = (value, max) => Math.max(TOOLTIP_MARGIN, Math.min(value, max - TOOLTIP_MARGIN));
+  return { left: clamp(left, viewport.width - size.width), top: clamp(top, viewport.height - size.height) };
+}
 
-  return "";
+function getFirstSentence(text) {
+  const value = String(text || "").trim();
+  return value.match(/^.*?[.!?](?=\s+[A-Z¿¡"“(]|$)/s)?.[0] || value;
 }
 
-function getSourceConflictHint(source) {
+// Clicks and taps also focus the state; only keyboard focus should open the tooltip there.
+function isKeyboardFocus(element) {
   try {
-    const parsed = new URL(source);
-    const segments = parsed.pathname.split("/").filter(Boolean);
-    if (!segments.length) return parsed.hostname.replace(/^www\./, "");
-    const hint = formatPathText(segments.slice(-2).join(" "));
-    return hint || parsed.hostname.replace(/^www\./, "");
+    return element.matches(":focus-visible");
   } catch {
-    return "link";
+    return true;
   }
 }
 
-function getSourceDisplayItems(sources) {
-  const grouped = new Map();
-  const uniqueSources = [...new Set((sources || []).map((item) => String(item || "").trim()).filter(Boolean))];
-
-  uniqueSources.forEach((source) => {
-    const providerLabel = getSourceLabel(source);
-    const contextLabel = getSourceContextLabel(source);
-    let label = contextLabel ? `${providerLabel}: ${contextLabel}` : providerLabel;
-
-    if (grouped.has(label) && grouped.get(label).url !== source) {
-      const hint = getSourceConflictHint(source);
-      label = `${label} (${hint})`;
-    }
-
-    if (grouped.has(label) && grouped.get(label).url === source) {
-      return;
-    }
-
-    grouped.set(label, {
-      label,
-      url: source
-    });
-  });
-
-  return Array.from(grouped.values());
+function hexToRgba(hex, alpha = 1) {
+  const normalized = String(hex || "").replace("#", "");
+  if (normalized.length !== 6) return `rgba(255,255,255,${alpha})`;
+  const num = Number.parseInt(normalized, 16);
+  if (Number.isNaN(num)) return `rgba(255,255,255,${alpha})`;
+  const r = (num >> 16) & 255;
+  const g = (num >> 8) & 255;
+  const b = num & 255;
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
 function shouldClampText(value, threshold = 180) {
@@ -278,59 +309,6 @@ function ensureSentenceEnding(value) {
   return /[.!?]$/.test(text) ? text : `${text}.`;
 }
 
-function stripBillIds(value) {
-  const original = String(value || "").trim();
-  if (!original) return "";
-  const cleaned = original
-    .replace(BILL_ID_PATTERN, "")
-    .replace(/\(\s*\d{4}\s*\)/g, "")
-    .replace(/\s*\/\s*/g, " ")
-    .replace(/\s*\+\s*/g, " ")
-    .replace(/\s{2,}/g, " ")
-    .replace(/\s+([,.;:])/g, "$1")
-    .replace(/^\W+|\W+$/g, "")
-    .trim();
-  return cleaned || original;
-}
-
-function simplifyLegislationDates(value) {
-  const text = String(value || "");
-  const monthNames = "January|February|March|April|May|June|July|August|September|October|November|December";
-  const withDayPattern = new RegExp(`\\b(${monthNames})\\s+\\d{1,2},\\s*(20\\d{2})\\b`, "gi");
-  const monthYearPattern = new RegExp(`\\b(${monthNames})\\s+(20\\d{2})\\b`, "gi");
-
-  return text
-    .replace(withDayPattern, (_, __, year) => (year === "2027" ? `${_}` : year))
-    .replace(monthYearPattern, (match, __, year) => (year === "2027" ? match : year))
-    .replace(/\s{2,}/g, " ")
-    .trim();
-}
-
-function normalizeCardText(value) {
-  const cleaned = simplifyLegislationDates(stripBillIds(value || ""))
-    .replace(/\s{2,}/g, " ")
-    .replace(/\.\s*\./g, ".")
-    .trim();
-  return ensureSentenceEnding(cleaned);
-}
-
-function cleanCardTitle(value) {
-  const cleaned = stripBillIds(value || "")
-    .replace(/\s{2,}/g, " ")
-    .replace(/\s+-\s+/g, " ")
-    .trim();
-  return cleaned || String(value || "").trim();
-}
-
-function stripBillCodes(value) {
-  return String(value || "")
-    .replace(/\(\s*(?:H\.?R\.?|S\.?|HB|SB|AB|A|HR)\s*\.?-?\s*\d+[A-Z0-9-]*\s*\)/gi, "")
-    .replace(BILL_ID_PATTERN, "")
-    .replace(/\s{2,}/g, " ")
-    .replace(/\s+([,.;:])/g, "$1")
-    .trim();
-}
-
 function compactFederalText(value) {
   return String(value || "")
     .replace(/^Latest (congressional )?action remains\s*/i, "")
@@ -347,7 +325,7 @@ function compactFederalText(value) {
 }
 
 function compactLatestDisplay(value) {
-  const cleaned = stripBillCodes(compactFederalText(value || ""));
+  const cleaned = compactFederalText(value || "");
   if (!cleaned) return "";
   const sentences = cleaned
     .split(/(?<=[.!?])\s+/)
@@ -360,30 +338,6 @@ function compactLatestDisplay(value) {
   return [first, tail].filter(Boolean).join(" ").trim();
 }
 
-function cleanTimelineLabel(value) {
-  const cleaned = stripBillCodes(value || "")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-
-  if (!cleaned) return "";
-  if (/^enacted\s*\((.+)\)$/i.test(cleaned)) {
-    return cleaned.replace(/^enacted\s*\((.+)\)$/i, "$1 enacted");
-  }
-  if (/^modernized money-services law$/i.test(cleaned)) return "Money-services law modernized";
-  if (/^first reading\s*\(finance\)$/i.test(cleaned)) return "First reading in Finance";
-  if (/^hearing held$/i.test(cleaned)) return "Committee hearing held";
-  if (/^favorable report$/i.test(cleaned)) return "Favorable committee report";
-
-  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
-}
-
-function mergeNarrativeParts(parts) {
-  return parts
-    .map((part) => normalizeCardText(part || ""))
-    .filter(Boolean)
-    .join(" ");
-}
-
 function abbreviateLongDates(value) {
   const months = {
     january: "Jan",
@@ -405,36 +359,181 @@ function abbreviateLongDates(value) {
   );
 }
 
-function cleanStateWatchTitle(value) {
-  const text = String(value || "").trim();
-  if (!text) return "";
-  const withoutBillCodes = text
-    .replace(BILL_ID_PATTERN, "")
-    .replace(/\(\s*(?:H\.?R\.?|S\.?|HB|SB|AB|A|HR)\s*\.?-?\s*\d+[A-Z0-9-]*\s*\)/gi, "")
-    .replace(/\s*\/\s*/g, " ")
-    .replace(/\s*\+\s*/g, " ")
-    .replace(/\s+-\s+/g, " - ")
-    .replace(/^[^A-Za-z]+/g, "")
-    .replace(/^[\-:–—\s]+/g, "")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-  return withoutBillCodes || text;
+// Rows are addressed by their lead bill so links read like `#bill-FL-HB175`.
+function getLegislationAnchorId(row) {
+  const [leadBillId] = row.bills || [];
+  return leadBillId ? `bill-${leadBillId}` : `legislation-${toStateSlug(row.id)}`;
 }
 
-function compactStateWatchText(value) {
-  return String(value || "")
-    .replace(BILL_ID_PATTERN, "")
-    .replace(/\(\s*[^)]*§\s*[^)]*\)/gi, "")
-    .replace(/\b[A-Za-z ]+Law\s*§\s*\d+[a-z0-9.-]*/gi, "")
-    .replace(/§\s*\d+[a-z0-9.-]*/gi, "")
-    .replace(/\s*\/\s*/g, " ")
-    .replace(/\s{2,}/g, " ")
-    .replace(/\s+([,.;:])/g, "$1")
-    .trim();
+function getPanelSectionAnchorId(section) {
+  return `panel-section-${section}`;
+}
+
+const GENIUS_TRACKER_ANCHOR_ID = "genius-implementation";
+
+function buildSearchPattern(query) {
+  const trimmed = String(query || "").trim();
+  if (trimmed.length < 2 || !/[\p{L}\p{N}]/u.test(trimmed)) return null;
+
+  let source = "";
+  for (let index = 0; index < trimmed.length; index += 1) {
+    const char = trimmed[index];
+    const prev = trimmed[index - 1];
+    if (/\s/.test(char)) {
+      if (!/\s/.test(prev || "")) source += "\\s*";
+      continue;
+    }
+    if (char === ".") {
+      source += "\\.?";
+      continue;
+    }
+    if (prev && /[a-z]/i.test(prev) && /\d/.test(char)) source += "[\\s.]*";
+    source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  // Dots and spaces are optional, so a query made of little else would match everywhere.
+  const pattern = new RegExp(source, "i");
+  return pattern.test("") ? null : pattern;
+}
+
+function getSearchSnippet(text, pattern, radius = 70) {
+  const value = String(text || "").replace(/\s+/g, " ").trim();
+  const match = value.match(pattern);
+  if (!match) return "";
+  const rawStart = Math.max(0, match.index - radius);
+  const wordStart = rawStart > 0 ? value.indexOf(" ", rawStart) + 1 : 0;
+  const start = wordStart > 0 && wordStart <= match.index ? wordStart : rawStart;
+  const end = Math.min(value.length, match.index + match[0].length + radius * 1.5);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < value.length ? "…" : "";
+  return `${prefix}${value.slice(start, end).trim()}${suffix}`;
+}
+
+function buildSearchIndex({ statesData, bills, federalContext, pendingFederalBills, majorStateDevelopments, stateIssuedStablecoins, t }) {
+  const documents = [];
+
+  Object.entries(statesData).forEach(([abbr, entry]) => {
+    const name = entry.name || ALL_STATES[abbr] || abbr;
+    const addField = (key, section, context, text) => {
+      if (!text) return;
+      documents.push({
+        key: `${abbr}-${key}`,
+        type: "state-field",
+        title: name,
+        context,
+        text,
+        target: { kind: "state", abbr, section }
+      });
+    };
+
+    addField("summary", "summary", t("search.context.summary"), entry.summary);
+    (entry.keyLaws || []).forEach((law, index) => addField(`law-${index}`, "key-laws", t("search.context.keyLaw"), formatKeyLaw(law, bills)));
+    addField("regulator", "regulator", t("search.context.regulator"), entry.regulatoryBody);
+    addField("recent", "recent", t("search.context.recent"), entry.recentDevelopments);
+    (entry.timeline || []).forEach((item, index) => {
+      addField(`timeline-${index}`, "timeline", t("search.context.timeline", { date: item.date }), [item.label, item.detail].filter(Boolean).join(". "));
+    });
+  });
+
+  if (federalContext) {
+    documents.push({
+      key: "federal-genius",
+      type: "federal-bill",
+      title: federalContext.title,
+      context: t("search.context.stablecoins"),
+      text: [federalContext.law, federalContext.summary].filter(Boolean).join(" "),
+      target: { kind: "legislation", rowId: "genius" }
+    });
+  }
+
+  pendingFederalBills.forEach((bill) => {
+    documents.push({
+      key: `federal-${bill.id}`,
+      type: "federal-bill",
+      title: bill.title,
+      context: getCategoryLabel(t, bill.category) || t("legislation.level.federal"),
+      text: [bill.id, bill.title, bill.what, bill.status, bill.latest].filter(Boolean).join(" "),
+      target: { kind: "legislation", rowId: bill.id }
+    });
+  });
+
+  majorStateDevelopments.forEach((item) => {
+    const rowId = getStateDevelopmentRowId(item);
+    documents.push({
+      key: `development-${rowId}`,
+      type: "state-development",
+      title: item.title,
+      context: ALL_STATES[item.state] || item.state,
+      text: [item.title, item.what, item.status, item.latest].filter(Boolean).join(" "),
+      target: { kind: "legislation", rowId }
+    });
+  });
+
+  Object.entries(bills).forEach(([id, bill]) => {
+    documents.push({
+      key: `bill-${id}`,
+      type: "bill",
+      title: `${bill.number} · ${bill.title}`,
+      context: getBillJurisdictionName(bill),
+      text: [bill.number, bill.title, getBillStageLabel(bill), bill.lastAction, bill.session].filter(Boolean).join(" · "),
+      target: { kind: "bill", billId: id }
+    });
+  });
+
+  stateIssuedStablecoins.forEach((item) => {
+    const abbr = getAbbrFromStateParam(item.state);
+    if (!abbr) return;
+    documents.push({
+      key: `state-issued-${abbr}-${item.program}`,
+      type: "state-issued",
+      title: item.program,
+      context: ALL_STATES[abbr],
+      text: [item.program, item.markerType, item.status, item.what, item.latest].filter(Boolean).join(" "),
+      target: { kind: "state", abbr, section: "state-issued" }
+    });
+  });
+
+  return documents;
+}
+
+function getCategoryLabel(t, category) {
+  if (!category) return "";
+  return t(`category.${toStateSlug(category)}`, { defaultValue: category });
+}
+
+// Placeholder entries are rebuilt from the catalog; real entries swap in any
+// translated fields and otherwise keep their English text.
+function localizeStateEntry(entry, i18n) {
+  if (entry.placeholderKind) {
+    const kind = entry.placeholderKind;
+    return {
+      ...entry,
+      summary: i18n.t(`placeholder.summary.${kind}`, { name: entry.name }),
+      keyLaws: [i18n.t(`placeholder.keyLaw.${kind}`)],
+      recentDevelopments: i18n.t(`placeholder.recent.${kind}`)
+    };
+  }
+  if (i18n.locale === DEFAULT_LOCALE) return entry;
+  return {
+    ...entry,
+    summary: i18n.field(entry, "summary"),
+    recentDevelopments: i18n.field(entry, "recentDevelopments")
+  };
+}
+
+function HighlightedText({ text, pattern }) {
+  if (!pattern || !text) return text || null;
+  const globalPattern = new RegExp(`(${pattern.source})`, "gi");
+  const parts = String(text).split(globalPattern);
+  return parts.map((part, index) =>
+    index % 2 === 1
+      ? <mark className="rounded-sm bg-amber-400/25 px-0.5 text-amber-100" key={`${part}-${index}`}>{part}</mark>
+      : part
+  );
 }
 
 function PanelAccordionSection({
   id,
+  anchorId,
   title,
   activeSection,
   setActiveSection,
@@ -442,7 +541,7 @@ function PanelAccordionSection({
 }) {
   const isOpen = activeSection === id;
   return (
-    <section className="detail-panel-section">
+    <section className="detail-panel-section scroll-mt-6" id={anchorId}>
       <button
         type="button"
         className="flex w-full items-center justify-between gap-2 rounded-md text-left"
@@ -494,243 +593,2536 @@ function trackerStatusStyle(status) {
   };
 }
 
-function SourceDisclosure({
-  sources,
-  stopPropagation = false,
-  className = "",
-  collapsible = true,
-  summaryLabel = "View sources"
-}) {
-  if (!sources?.length) return null;
-  const sourceItems = getSourceDisplayItems(sources);
-  if (!sourceItems.length) return null;
-  const listContent = (
-    <ul className="mt-2 list-disc space-y-1.5 pl-5 text-sm text-sky-300">
-      {sourceItems.map((source) => (
-        <li className="min-w-0" key={`${source.label}-${source.url}`}>
-          <a className="break-words underline decoration-sky-500/50 underline-offset-2 hover:text-sky-200" href={source.url} rel="noreferrer" target="_blank">
-            {source.label}
-          </a>
+function BillChips({ billIds, bills, onOpenBill, className = "" }) {
+  const { billStage } = useI18n();
+  const items = getBillsByIds(bills, billIds);
+  if (!items.length) return null;
+  return (
+    <span className={`inline-flex flex-wrap gap-1.5 align-middle ${className}`}>
+      {items.map((bill) => (
+        <a
+          className="rounded border border-zinc-700 bg-zinc-900/70 px-1.5 py-0.5 font-mono text-[11px] leading-none text-zinc-200 no-underline hover:border-zinc-500 hover:text-white"
+          href={`?bill=${encodeURIComponent(bill.id)}`}
+          key={bill.id}
+          title={`${bill.title} (${billStage(bill.stage).label})`}
+          onClick={(event) => {
+            if (event.metaKey || event.ctrlKey || event.shiftKey) return;
+            event.preventDefault();
+            event.stopPropagation();
+            onOpenBill(bill.id);
+          }}
+        >
+          {bill.number}
+        </a>
+      ))}
+    </span>
+  );
+}
+
+function KeyLawList({ laws, bills, onOpenBill }) {
+  return (
+    <ul className="detail-panel-copy list-disc space-y-1.5 pl-5">
+      {(laws || []).map((law) => (
+        <li key={getKeyLawText(law)}>
+          {ensureSentenceEnding(getKeyLawText(law))}
+          <BillChips billIds={getKeyLawBillIds(law)} bills={bills} onOpenBill={onOpenBill} className="ml-1.5" />
         </li>
       ))}
     </ul>
   );
+}
 
-  if (!collapsible) {
-    return <div className={className}>{listContent}</div>;
-  }
-
+function BillProgress({ bill }) {
+  const { t, formatDate, billStage } = useI18n();
+  const steps = getBillProgressSteps(bill);
   return (
-    <details
-      className={`mt-2 ${className}`}
-      onClick={stopPropagation ? (event) => event.stopPropagation() : undefined}
-    >
-      <summary className="sources-summary inline-flex cursor-pointer items-center gap-1.5 rounded-md border border-zinc-700 bg-zinc-950/40 px-2.5 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200">
-        <span>{summaryLabel}</span>
-        <span aria-hidden="true" className="details-chevron text-[10px] text-zinc-500 transition-transform duration-150">
-          ▼
-        </span>
-      </summary>
-      {listContent}
-    </details>
+    <ol className="flex gap-1" aria-label={t("bill.progress", { number: bill.number })}>
+      {steps.map((step) => {
+        const meta = billStage(step.stage);
+        const isCurrent = step.state === "current";
+        return (
+          <li key={step.stage} className="min-w-0 flex-1" aria-current={isCurrent ? "step" : undefined}>
+            <span
+              className="block h-1.5 rounded-full"
+              style={{ backgroundColor: step.state === "upcoming" ? "#27272a" : meta.dot, opacity: step.state === "done" ? 0.55 : 1 }}
+            />
+            <span
+              className={`mt-1.5 text-[11px] leading-4 ${isCurrent ? "block font-medium text-zinc-100" : "hidden text-zinc-500 sm:block"}`}
+            >
+              {meta.shortLabel}
+              {step.state === "upcoming" ? <span className="sr-only"> {t("bill.notReached")}</span> : null}
+            </span>
+            {step.date ? (
+              <span className={`text-[11px] leading-4 tabular-nums text-zinc-500 ${isCurrent ? "block" : "hidden sm:block"}`}>
+                {formatDate(step.date)}
+              </span>
+            ) : null}
+          </li>
+        );
+      })}
+    </ol>
   );
 }
 
-function getLegislationMeta(statusStr) {
-  const s = (statusStr || "").toLowerCase();
-  if (s.includes("signed") || s.includes("enacted"))
-    return { label: "Signed", dot: "#2dd4bf" };
-  if (s.includes("enrolled") || s.includes("passed legislature"))
-    return { label: "Enrolled", dot: "#fbbf24" };
-  if (s.includes("passed house") || s.includes("passed"))
-    return { label: "Passed", dot: "#fbbf24" };
-  if (s.includes("active committee") || s.includes("committee progression") || s.includes("in committee"))
-    return { label: "In Committee", dot: "#fb923c" };
-  if (s.includes("implementation") || s.includes("watch"))
-    return { label: "Watch", dot: "#fb923c" };
-  if (s.includes("introduced"))
-    return { label: "Introduced", dot: "#71717a" };
-  return { label: "Pending", dot: "#71717a" };
+function BillDataErrorList({ errors }) {
+  const { t } = useI18n();
+  if (!errors?.length) return null;
+  return (
+    <div className="rounded-lg border border-red-500/40 bg-red-500/10 px-3 py-2 text-sm text-red-200" role="alert">
+      <p className="font-medium">{t("bill.dataError")}</p>
+      <ul className="mt-1 list-disc space-y-0.5 pl-5">
+        {errors.map((error) => (
+          <li key={error}>{error}</li>
+        ))}
+      </ul>
+    </div>
+  );
 }
 
-// Grid: dot | name | middle-col | status | chevron
-const LEG_GRID = "grid grid-cols-[16px_1fr_auto] sm:grid-cols-[16px_1fr_148px_120px_16px] items-center gap-x-5";
+function BillDetailDialog({ bill, bills, references, onClose, onOpenBill, onOpenReference }) {
+  const { t, formatDate, billStage } = useI18n();
+  const closeButtonRef = useRef(null);
 
-function LegislationRow({ row, expandedId, toggle, midLabel }) {
-  const isOpen = expandedId === row.id;
-  const meta = getLegislationMeta(row.statusStr);
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [bill.id, onClose]);
+
+  const details = [
+    { label: t("bill.jurisdiction"), value: getBillJurisdictionName(bill) },
+    { label: t("bill.chamber"), value: bill.chamber },
+    { label: t("bill.session"), value: bill.session },
+    { label: t("bill.currentStage"), value: billStage(bill.stage).label },
+    {
+      label: t("bill.lastAction"),
+      value: [bill.lastAction, bill.lastActionDate ? formatDate(bill.lastActionDate) : ""].filter(Boolean).join(", ")
+    }
+  ];
 
   return (
-    <div>
-      <button
-        type="button"
-        className={`${LEG_GRID} w-full px-5 py-3 text-left transition-colors hover:bg-zinc-800/25`}
-        onClick={() => toggle(row.id)}
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        aria-labelledby="bill-dialog-title"
+        aria-modal="true"
+        className="custom-scrollbar max-h-[85vh] w-full max-w-lg overflow-y-auto rounded-2xl border border-zinc-700 bg-[#0f131c] p-5 shadow-[0_8px_40px_rgba(0,0,0,0.5)]"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
       >
-        <span className="h-2 w-2 rounded-full" style={{ backgroundColor: meta.dot }} />
-        <span className="min-w-0">
-          <span className="block truncate text-sm font-medium text-zinc-100">{row.title}</span>
-          <span className="mt-0.5 block text-sm text-zinc-500 sm:hidden">
-            {[midLabel, meta.label].filter(Boolean).join(" · ")}
-          </span>
-        </span>
-        <span className="hidden truncate text-sm text-zinc-400 sm:block">{midLabel}</span>
-        <span className="hidden text-sm font-medium sm:block" style={{ color: meta.dot }}>{meta.label}</span>
-        <span
-          className="hidden text-[10px] text-zinc-600 transition-transform duration-150 sm:block"
-          style={{ transform: isOpen ? "rotate(180deg)" : "rotate(0deg)" }}
-        >▼</span>
-      </button>
-      {isOpen && (
-        <div className="border-t border-zinc-800/60 bg-zinc-900/30 px-5 py-4 pl-10">
-          <p className="text-sm leading-6 text-zinc-300">{ensureSentenceEnding(row.what)}</p>
-          {row.latest ? <p className="mt-2 text-sm leading-6 text-zinc-400">{row.latest}</p> : null}
-          {row.sources?.length ? (
-            <div className="mt-3">
-              <SourceDisclosure sources={row.sources} summaryLabel="Sources" />
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <p className="font-mono text-xs text-zinc-400">{bill.number}</p>
+            <h2 className="mt-1 text-xl font-semibold tracking-tight text-zinc-100" id="bill-dialog-title">{bill.title}</h2>
+          </div>
+          <button
+            type="button"
+            className="shrink-0 rounded-md px-1.5 text-lg leading-none text-zinc-500 hover:text-zinc-200"
+            onClick={onClose}
+            ref={closeButtonRef}
+            aria-label={t("bill.close")}
+          >
+            ×
+          </button>
+        </div>
+        <dl className="mt-4 grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+          {details.map((item) => (
+            <div className="contents" key={item.label}>
+              <dt className="text-zinc-500">{item.label}</dt>
+              <dd className="text-zinc-200">{item.value || t("common.notAvailable")}</dd>
             </div>
+          ))}
+          {bill.companions?.length ? (
+            <>
+              <dt className="text-zinc-500">{t("bill.companions")}</dt>
+              <dd><BillChips billIds={bill.companions} bills={bills} onOpenBill={onOpenBill} /></dd>
+            </>
           ) : null}
+        </dl>
+        <div className="mt-4">
+          {getBillDataErrors(bill).length
+            ? <BillDataErrorList errors={getBillDataErrors(bill)} />
+            : <BillProgress bill={bill} />}
         </div>
-      )}
+        {references?.length ? (
+          <div className="detail-panel-section mt-4">
+            <h3 className="detail-panel-heading">{t("bill.referencedIn")}</h3>
+            <ul className="mt-2 space-y-1 text-sm">
+              {references.map((reference) => (
+                <li key={reference.label}>
+                  <button
+                    type="button"
+                    className="text-left text-sky-300 underline decoration-sky-500/50 underline-offset-2 hover:text-sky-200"
+                    onClick={() => onOpenReference(reference)}
+                  >
+                    {reference.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        {bill.sourceUrl ? (
+          <div className="detail-panel-section mt-4">
+            <h3 className="detail-panel-heading">{t("common.source")}</h3>
+            <SourceDisclosure sources={[bill.sourceUrl]} collapsible={false} />
+          </div>
+        ) : null}
+      </div>
     </div>
   );
 }
 
-function LegislationTable({ label, col2Header, rows, expandedId, toggle }) {
+function CitationDialog({ title, citations, isState, onClose }) {
+  const { t } = useI18n();
+  const closeButtonRef = useRef(null);
+  const [format, setFormat] = useState(DEFAULT_CITATION_FORMAT);
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    // Capture phase, so Escape closes only this dialog when it sits over the bill dialog.
+    const handleKeyDown = (event) => {
+      if (event.key !== "Escape") return;
+      event.stopPropagation();
+      onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown, true);
+    return () => document.removeEventListener("keydown", handleKeyDown, true);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!copyStatus) return undefined;
+    const timer = window.setTimeout(() => setCopyStatus(null), COPY_FEEDBACK_MS);
+    return () => window.clearTimeout(timer);
+  }, [copyStatus]);
+
+  const copy = (text, copiedKey) => {
+    copyText(text).then((copied) => setCopyStatus(copied ? copiedKey : "cite.copyFailed"));
+  };
+
   return (
-    <div>
-      <div className="border-b border-zinc-800/70 bg-zinc-900/40 px-5 py-2">
-        <p className="text-xs font-semibold uppercase tracking-widest text-zinc-500">{label}</p>
-      </div>
-      <div className={`${LEG_GRID} border-b border-zinc-800/60 px-5 py-2`}>
-        <span />
-        <span className="text-xs font-medium uppercase tracking-wider text-zinc-600">Name</span>
-        <span className="hidden text-xs font-medium uppercase tracking-wider text-zinc-600 sm:block">{col2Header}</span>
-        <span className="hidden text-xs font-medium uppercase tracking-wider text-zinc-600 sm:block">Status</span>
-        <span />
-      </div>
-      {rows.map((row, i) => (
-        <div key={row.id} className={i < rows.length - 1 ? "border-b border-zinc-800/40" : ""}>
-          <LegislationRow row={row} expandedId={expandedId} toggle={toggle} midLabel={row.midLabel} />
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        aria-labelledby="citation-dialog-title"
+        aria-modal="true"
+        className="custom-scrollbar max-h-[85vh] w-full max-w-lg overflow-y-auto rounded-2xl border border-zinc-700 bg-[#0f131c] p-5 shadow-[0_8px_40px_rgba(0,0,0,0.5)]"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <p className="text-[11px] font-semibold uppercase tracking-[0.12em] text-zinc-400">{t("cite.heading")}</p>
+            <h2 className="mt-1 break-words text-lg font-semibold tracking-tight text-zinc-100" id="citation-dialog-title">{title}</h2>
+          </div>
+          <button
+            type="button"
+            className="shrink-0 rounded-md px-1.5 text-lg leading-none text-zinc-500 hover:text-zinc-200"
+            onClick={onClose}
+            ref={closeButtonRef}
+            aria-label={t("common.close")}
+          >
+            ×
+          </button>
         </div>
-      ))}
+        <div
+          className="mt-4 inline-flex rounded-md border border-zinc-700 bg-zinc-950/40 p-0.5"
+          role="group"
+          aria-label={t("cite.format")}
+        >
+          {CITATION_FORMATS.map((item) => (
+            <button
+              type="button"
+              key={item}
+              className={`rounded px-2.5 py-1 text-xs font-medium transition-colors ${
+                format === item ? "bg-zinc-200 text-zinc-900" : "text-zinc-300 hover:text-zinc-100"
+              }`}
+              onClick={() => setFormat(item)}
+              aria-pressed={format === item}
+            >
+              {t(`cite.format.${item}`)}
+            </button>
+          ))}
+        </div>
+        <pre className="mt-3 whitespace-pre-wrap break-words rounded-lg border border-zinc-800 bg-zinc-950/60 p-3 font-mono text-xs leading-relaxed text-zinc-200">
+          {formatCitation(citations[0], format)}
+        </pre>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            className="rounded-md border border-zinc-700 px-2.5 py-1 text-sm font-medium text-zinc-200 hover:border-zinc-500 hover:text-zinc-100"
+            onClick={() => copy(formatCitation(citations[0], format), "cite.copied")}
+          >
+            {t("cite.copy")}
+          </button>
+          {isState ? (
+            <button
+              type="button"
+              className="rounded-md border border-zinc-700 px-2.5 py-1 text-sm font-medium text-zinc-200 hover:border-zinc-500 hover:text-zinc-100"
+              onClick={() => copy(formatCitationList(citations, format), "cite.copiedAll")}
+            >
+              {t("cite.copyAll", { count: citations.length })}
+            </button>
+          ) : null}
+          <span aria-live="polite" className="text-xs text-zinc-400" role="status">
+            {copyStatus ? t(copyStatus, { count: citations.length }) : ""}
+          </span>
+        </div>
+        <p className="mt-3 text-xs text-zinc-500">{t(isState ? "cite.stateNote" : "cite.sourceNote")}</p>
+      </div>
     </div>
   );
 }
 
-function LegislationFeed({ federalContext, pendingFederalBills, majorStateDevelopments, formatDate }) {
-  const [expandedId, setExpandedId] = useState(null);
-  const toggle = (id) => setExpandedId((prev) => (prev === id ? null : id));
+function EmbedCodeDialog({ initialOptions, onClose }) {
+  const { t, mapLayer } = useI18n();
+  const closeButtonRef = useRef(null);
+  const [options, setOptions] = useState(initialOptions);
+  const [copyStatus, setCopyStatus] = useState(null);
+  const statusLayer = mapLayer(DEFAULT_MAP_LAYER);
+  const updateOption = (key, value) => setOptions((prev) => ({ ...prev, [key]: value }));
+  const snippets = [
+    { kind: "element", code: buildEmbedSnippet(options, "element") },
+    { kind: "iframe", code: buildEmbedSnippet(options, "iframe") }
+  ];
 
-  const federalRows = [
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!copyStatus) return undefined;
+    const timer = window.setTimeout(() => setCopyStatus(null), COPY_FEEDBACK_MS);
+    return () => window.clearTimeout(timer);
+  }, [copyStatus]);
+
+  const fieldClass = "mt-1 w-full rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-sm text-zinc-200";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        aria-labelledby="embed-dialog-title"
+        aria-modal="true"
+        className="custom-scrollbar max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-2xl border border-zinc-700 bg-[#0f131c] p-5 shadow-[0_8px_40px_rgba(0,0,0,0.5)]"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold tracking-tight text-zinc-100" id="embed-dialog-title">{t("embed.heading")}</h2>
+            <p className="mt-1 text-sm text-zinc-400">{t("embed.intro")}</p>
+          </div>
+          <button
+            type="button"
+            className="shrink-0 rounded-md px-1.5 text-lg leading-none text-zinc-500 hover:text-zinc-200"
+            onClick={onClose}
+            ref={closeButtonRef}
+            aria-label={t("common.close")}
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="mt-4 grid gap-5 md:grid-cols-[minmax(0,1fr),minmax(0,1.2fr)]">
+          <div className="space-y-3 text-sm text-zinc-300">
+            <label className="block">
+              <span className="text-xs font-medium text-zinc-400">{t("embed.state")}</span>
+              <select className={fieldClass} value={options.state || ""} onChange={(event) => updateOption("state", event.target.value || null)}>
+                <option value="">{t("embed.noState")}</option>
+                {Object.entries(ALL_STATES).map(([abbr, name]) => (
+                  <option key={abbr} value={abbr}>{name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs font-medium text-zinc-400">{t("embed.filter")}</span>
+              <select className={fieldClass} value={options.filter || ""} onChange={(event) => updateOption("filter", event.target.value || null)}>
+                <option value="">{t("embed.allStatuses")}</option>
+                {statusLayer.order.map((status) => (
+                  <option key={status} value={status}>{statusLayer.values[status].label}</option>
+                ))}
+              </select>
+            </label>
+            <div>
+              <span className="text-xs font-medium text-zinc-400" id="embed-theme-label">{t("embed.theme")}</span>
+              <div
+                className="mt-1 flex w-fit rounded-md border border-zinc-700 bg-zinc-950/40 p-0.5"
+                role="group"
+                aria-labelledby="embed-theme-label"
+              >
+                {EMBED_THEMES.map((theme) => (
+                  <button
+                    type="button"
+                    key={theme}
+                    className={`rounded px-2.5 py-1 text-xs font-medium transition-colors ${
+                      options.theme === theme ? "bg-zinc-200 text-zinc-900" : "text-zinc-300 hover:text-zinc-100"
+                    }`}
+                    onClick={() => updateOption("theme", theme)}
+                    aria-pressed={options.theme === theme}
+                  >
+                    {t(`embed.theme.${theme}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={!options.panel} onChange={(event) => updateOption("panel", !event.target.checked)} />
+              <span>{t("embed.hidePanel")}</span>
+            </label>
+            <label className="block">
+              <span className="text-xs font-medium text-zinc-400">{t("embed.linkBack")}</span>
+              <input
+                type="url"
+                className={fieldClass}
+                placeholder={SITE_URL}
+                value={options.linkBack || ""}
+                onChange={(event) => updateOption("linkBack", event.target.value || null)}
+              />
+            </label>
+          </div>
+
+          <div>
+            <p className="text-xs font-medium text-zinc-400">{t("embed.preview")}</p>
+            <iframe
+              className="mt-1 h-80 w-full rounded-lg border border-zinc-800"
+              src={getEmbedPageUrl(options, window.location.origin)}
+              title={t("embed.preview")}
+            />
+          </div>
+        </div>
+
+        {snippets.map(({ kind, code }) => (
+          <div key={kind} className="mt-4">
+            <div className="flex items-center justify-between gap-2">
+              <h3 className="text-sm font-semibold text-zinc-200">{t(`embed.snippet.${kind}`)}</h3>
+              <button
+                type="button"
+                className="rounded-md border border-zinc-700 px-2.5 py-1 text-xs font-medium text-zinc-200 hover:border-zinc-500 hover:text-zinc-100"
+                onClick={() => copyText(code).then((copied) => setCopyStatus(copied ? kind : "failed"))}
+              >
+                {t("embed.copy")}
+              </button>
+            </div>
+            <pre className="mt-1.5 whitespace-pre-wrap break-all rounded-lg border border-zinc-800 bg-zinc-950/60 p-3 font-mono text-xs leading-relaxed text-zinc-200">
+              {code}
+            </pre>
+          </div>
+        ))}
+        <p aria-live="polite" className="mt-2 min-h-[1rem] text-xs text-zinc-400" role="status">
+          {copyStatus ? t(copyStatus === "failed" ? "embed.copyFailed" : "embed.copied") : ""}
+        </p>
+        <p className="mt-1 text-xs text-zinc-500">{t("embed.note")}</p>
+      </div>
+    </div>
+  );
+}
+
+function BriefNotes({ notes }) {
+  if (!notes?.length) return null;
+  return <sup className="ml-0.5 text-[0.7em] text-zinc-500">[{notes.join(", ")}]</sup>;
+}
+
+function BriefLocatorMap({ abbr, color, mapTopology }) {
+  if (!mapTopology) return null;
+  const isTerritory = TERRITORY_ABBRS.includes(abbr);
+  return (
+    <ComposableMap
+      projection={isTerritory ? TERRITORY_INSET_PROJECTIONS[abbr] : "geoAlbersUsa"}
+      width={isTerritory ? TERRITORY_INSET_WIDTH : undefined}
+      height={isTerritory ? TERRITORY_INSET_HEIGHT : undefined}
+      className="block h-auto w-full"
+      aria-hidden="true"
+    >
+      <Geographies geography={mapTopology}>
+        {({ geographies }) =>
+          geographies
+            .filter((geo) => (isTerritory ? getGeographyAbbr(geo) === abbr : !TERRITORY_ABBRS.includes(getGeographyAbbr(geo))))
+            .map((geo) => {
+              const fill = getGeographyAbbr(geo) === abbr ? color : "#d4d4d8";
+              return (
+                <Geography
+                  key={geo.rsmKey}
+                  geography={geo}
+                  style={{ default: { fill, stroke: "#ffffff", strokeWidth: 0.75, outline: "none" } }}
+                />
+              );
+            })
+        }
+      </Geographies>
+    </ComposableMap>
+  );
+}
+
+// Print-only handout of the selected state: every panel section expanded, a locator map,
+// the federal baseline and numbered source footnotes. "Download brief" renders the same
+// model to PDF and rasterizes this component's locator map for it.
+function StateBrief({ brief, mapTopology, briefRef }) {
+  const { t } = useI18n();
+  return (
+    <article ref={briefRef} className="hidden bg-white font-sans text-[10.5pt] leading-snug text-zinc-900 print:block">
+      <header className="flex items-start justify-between gap-6 border-b border-zinc-300 pb-3">
+        <div className="min-w-0">
+          <p className="text-[8pt] font-semibold uppercase tracking-[0.14em] text-zinc-500">{t("brief.title")}</p>
+          <h1 className="mt-1 text-[22pt] font-bold leading-tight">{brief.name}</h1>
+          <p className="mt-2">
+            <span
+              className="inline-block rounded-full px-2.5 py-0.5 text-[9pt] font-semibold text-white [print-color-adjust:exact]"
+              style={{ backgroundColor: brief.statusColor }}
+            >
+              {brief.statusLabel}
+            </span>
+          </p>
+          <p className="mt-1.5 text-[9pt] text-zinc-600">{brief.statusDescription}</p>
+          <p className="mt-1 text-[9pt] font-semibold text-zinc-600">
+            {[
+              brief.lastUpdated ? t("brief.lastUpdated", { date: brief.lastUpdated }) : null,
+              t("brief.generated", { date: brief.generatedOn })
+            ].filter(Boolean).join(" · ")}
+          </p>
+        </div>
+        <div className="brief-locator w-44 shrink-0 [print-color-adjust:exact]">
+          <BriefLocatorMap abbr={brief.abbr} color={brief.statusColor} mapTopology={mapTopology} />
+        </div>
+      </header>
+
+      {brief.sections.map((section) => (
+        <section key={section.id} className="break-inside-avoid border-b border-zinc-200 py-2">
+          <h2 className="text-[7.5pt] font-semibold uppercase tracking-[0.14em] text-zinc-500">{section.heading}</h2>
+          {section.blocks.map((block, index) => {
+            if (block.kind === "definitions") {
+              return (
+                <dl key={index} className="mt-1 grid grid-cols-2 gap-x-6 gap-y-0.5">
+                  {block.items.map((item) => (
+                    <div key={item.term} className="flex justify-between gap-3">
+                      <dt className="text-zinc-600">{item.term}</dt>
+                      <dd className="text-right font-medium">{item.value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              );
+            }
+            if (block.kind === "list") {
+              return (
+                <ul key={index} className="mt-1 list-disc space-y-0.5 pl-4">
+                  {block.items.map((item) => (
+                    <li key={item.text}>{item.text}<BriefNotes notes={item.notes} /></li>
+                  ))}
+                </ul>
+              );
+            }
+            return <p key={index} className="mt-1">{block.text}<BriefNotes notes={block.notes} /></p>;
+          })}
+        </section>
+      ))}
+
+      {brief.federal ? (
+        <section className="mt-3 break-inside-avoid border-l-4 bg-zinc-100 px-3 py-2 [print-color-adjust:exact]" style={{ borderColor: brief.statusColor }}>
+          <h2 className="text-[7.5pt] font-semibold uppercase tracking-[0.14em] text-zinc-500">{brief.federal.heading}</h2>
+          <p className="mt-1 text-[9pt] font-semibold">{brief.federal.law} ({t("brief.signed", { date: brief.federal.signedDate })})</p>
+          <p className="mt-0.5 text-[9pt]">{brief.federal.text}<BriefNotes notes={brief.federal.notes} /></p>
+        </section>
+      ) : null}
+
+      {brief.footnotes.length ? (
+        <section className="mt-3">
+          <h2 className="text-[7.5pt] font-semibold uppercase tracking-[0.14em] text-zinc-500">{t("panel.sources")}</h2>
+          <ol className="mt-1 list-decimal space-y-0.5 pl-5 text-[7.5pt] text-zinc-600">
+            {brief.footnotes.map((note) => (
+              <li key={note.number}>
+                {note.label}: <span className="break-all text-zinc-900">{note.url}</span>
+              </li>
+            ))}
+          </ol>
+        </section>
+      ) : null}
+
+      <p className="mt-3 text-[7pt] text-zinc-400">{brief.pageUrl}</p>
+    </article>
+  );
+}
+
+function RegulatoryProfileList({ entry }) {
+  const { mapLayer } = useI18n();
+  return (
+    <dl className="space-y-2">
+      {PROFILE_DIMENSIONS.map(({ key }) => {
+        const dimension = mapLayer(key);
+        const value = dimension.values[getProfileValue(entry, key)];
+        return (
+          <div className="flex items-start justify-between gap-3" key={dimension.key}>
+            <dt className="text-zinc-400">{dimension.label}</dt>
+            <dd
+              className="shrink-0 rounded-full border px-2 py-0.5 text-xs font-medium"
+              style={{ backgroundColor: value.chipBg, color: value.chipText, borderColor: value.chipBorder }}
+              title={value.description}
+            >
+              {value.label}
+            </dd>
+          </div>
+        );
+      })}
+    </dl>
+  );
+}
+
+function StateIssuedProgramList({ programs }) {
+  const { field } = useI18n();
+  return (
+    <div className="space-y-2.5">
+      {programs.map((item) => {
+        const style = trackerStatusStyle(item.status);
+        return (
+          <article className="rounded-lg border border-zinc-800/90 bg-zinc-950/35 px-3 py-3" key={`${item.state}-${item.program}`}>
+            <div className="flex items-start justify-between gap-2">
+              <p className="pr-2 text-sm font-semibold leading-snug text-zinc-100">{item.program}</p>
+              <span
+                className="rounded-full border px-2 py-0.5 text-[11px] font-semibold leading-none"
+                style={{
+                  backgroundColor: style.bg,
+                  borderColor: style.border,
+                  color: style.text
+                }}
+              >
+                {item.status}
+              </span>
+            </div>
+            <div className="mt-2 space-y-1.5 text-sm leading-6 text-zinc-300">
+              {item.what ? <p>{ensureSentenceEnding(field(item, "what"))}</p> : null}
+              {item.latest ? <p>{ensureSentenceEnding(field(item, "latest"))}</p> : null}
+            </div>
+          </article>
+        );
+      })}
+    </div>
+  );
+}
+
+function StateTimeline({ entries, keyPrefix, statusMeta, bills, onOpenBill }) {
+  return (
+    <ul className="space-y-3">
+      {entries.map((item, index) => (
+        <li className="detail-panel-copy relative pl-6" key={`${keyPrefix}-${item.date}-${item.label}`}>
+          {index < entries.length - 1 ? (
+            <span aria-hidden="true" className="absolute left-[7px] top-3 h-[calc(100%+0.75rem)] w-px bg-zinc-700" />
+          ) : null}
+          <span
+            aria-hidden="true"
+            className="absolute left-[3px] top-1.5 h-2.5 w-2.5 rounded-full border"
+            style={
+              index === entries.length - 1
+                ? {
+                  borderColor: statusMeta.chipBorder,
+                  backgroundColor: statusMeta.chipBorder,
+                  boxShadow: `0 0 0 4px ${hexToRgba(statusMeta.chipBorder, 0.15)}`
+                }
+                : {
+                  borderColor: "#18181b",
+                  backgroundColor: "#71717a"
+                }
+            }
+          />
+          <p className="leading-6" title={item.detail || item.label}>
+            <span className="font-semibold text-zinc-100">{item.date}</span>
+            {" "}
+            <span className="text-zinc-200">{ensureSentenceEnding(item.label)}</span>
+            <BillChips billIds={item.bills} bills={bills} onOpenBill={onOpenBill} className="ml-1.5" />
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function SourceDisclosure({
+  sources,
+  stopPropagation = false,
+  className = "",
+  collapsible = true,
+  summaryLabel = null
+}) {
+  const { t, formatDate: formatDateValue } = useI18n();
+  const openCitation = useContext(CitationContext);
+  if (!sources?.length) return null;
+  const sourceItems = getSourceDisplayItems(sources);
+  if (!sourceItems.length) return null;
+  const listContent = (
+    <ul className="mt-2 list-disc space-y-1.5 pl-5 text-sm text-sky-300">
+      {sourceItems.map((source) => {
+        const health = getSourceHealth(source.url);
+        const isDead = isSourceDead(health);
+        const archiveUrl = isDead ? getSourceArchiveUrl(health) : null;
+        const deadNote = isDead ? t("source.dead", { date: formatDateValue(health.checkedAt.slice(0, 10)) }) : null;
+        return (
+          <li className="min-w-0" key={`${source.label}-${source.url}`}>
+            {isDead ? (
+              <span className="mr-1 text-amber-300" title={deadNote}>
+                <span aria-hidden="true">⚠</span>
+                <span className="sr-only">{deadNote}</span>
+              </span>
+            ) : null}
+            <a className="break-words underline decoration-sky-500/50 underline-offset-2 hover:text-sky-200" href={source.url} rel="noreferrer" target="_blank">
+              {source.label}
+            </a>
+            {archiveUrl ? (
+              <>
+                {" "}
+                <a
+                  className="whitespace-nowrap text-xs text-zinc-400 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-200"
+                  href={archiveUrl}
+                  rel="noreferrer"
+                  target="_blank"
+                >
+                  {t("source.archived", { date: formatDateValue(health.archivedAt.slice(0, 10)) })}
+                </a>
+              </>
+            ) : null}
+            {openCitation ? (
+              <>
+                {" "}
+                <button
+                  type="button"
+                  className="whitespace-nowrap text-xs text-zinc-400 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-200"
+                  onClick={() => openCitation({ kind: "source", url: source.url, label: source.label })}
+                  aria-label={t("cite.sourceLabel", { label: source.label })}
+                >
+                  {t("cite.action")}
+                </button>
+              </>
+            ) : null}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  if (!collapsible) {
+    return <div className={className}>{listContent}</div>;
+  }
+
+  return (
+    <details
+      className={`mt-2 ${className}`}
+      onClick={stopPropagation ? (event) => event.stopPropagation() : undefined}
+    >
+      <summary className="sources-summary inline-flex cursor-pointer items-center gap-1.5 rounded-md border border-zinc-700 bg-zinc-950/40 px-2.5 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200">
+        <span>{summaryLabel || t("common.viewSources")}</span>
+        <span aria-hidden="true" className="details-chevron text-[10px] text-zinc-500 transition-transform duration-150">
+          ▼
+        </span>
+      </summary>
+      {listContent}
+    </details>
+  );
+}
+
+function toStateExportRecord(abbr, entry, bills) {
+  const status = normalizeStatus(entry.status);
+  return {
+    abbr,
+    name: entry.name || ALL_STATES[abbr],
+    status,
+    statusLabel: STATUS_META[status].label,
+    regulatoryBody: entry.regulatoryBody || "",
+    keyLaws: (entry.keyLaws || []).map((law) => formatKeyLaw(law, bills)),
+    summary: entry.summary || "",
+    recentDevelopments: entry.recentDevelopments || "",
+    ...Object.fromEntries(PROFILE_DIMENSIONS.map((dimension) => [
+      dimension.key,
+      dimension.values[getProfileValue(entry, dimension.key)].label
+    ])),
+    lastUpdated: entry.lastUpdated || "",
+    sources: entry.sources || []
+  };
+}
+
+function toLegislationExportRecord(row, bills) {
+  return {
+    level: LEGISLATION_LEVEL_EXPORT_LABELS[row.level],
+    id: row.id,
+    title: row.title,
+    bills: getBillsByIds(bills, row.bills).map((bill) => bill.number),
+    jurisdiction: row.level === "federal" ? "United States" : row.jurisdictionLabel,
+    category: row.category || "",
+    stage: getLegislationMeta(row, bills).label,
+    status: row.statusStr,
+    what: row.effectiveDate ? `${row.what} Effective ${formatDate(row.effectiveDate)}.` : row.what,
+    latest: row.latest,
+    lastUpdated: row.lastUpdated || "",
+    sources: row.sources || []
+  };
+}
+
+function ExportMenu({ selectedStateName, filterLabel, onExport }) {
+  const { t } = useI18n();
+  const menuRef = useRef(null);
+  const datasets = [
+    { id: "states", label: filterLabel ? t("export.statesFiltered", { filter: filterLabel }) : t("export.allStates") },
+    { id: "legislation", label: filterLabel ? t("export.legislationFiltered", { filter: filterLabel }) : t("export.legislation") },
+    { id: "state", label: t("export.stateWithTimeline", { name: selectedStateName }) }
+  ];
+  const formats = [
+    { id: "csv", label: "CSV" },
+    { id: "json", label: "JSON" },
+    { id: "xml", label: "XML", description: t("export.format.xml") }
+  ];
+
+  return (
+    <details className="relative shrink-0" ref={menuRef}>
+      <summary className="sources-summary inline-flex cursor-pointer items-center gap-1.5 rounded-md border border-zinc-700 bg-zinc-950/40 px-2.5 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200">
+        <span>{t("export.button")}</span>
+        <span aria-hidden="true" className="details-chevron text-[10px] text-zinc-500 transition-transform duration-150">
+          ▼
+        </span>
+      </summary>
+      <div className="absolute right-0 z-40 mt-2 w-72 rounded-lg border border-zinc-700 bg-zinc-950 p-2 shadow-xl">
+        {datasets.map((dataset) => (
+          <div className="flex items-center justify-between gap-2 rounded-md px-2 py-1.5" key={dataset.id}>
+            <span className="min-w-0 truncate text-sm text-zinc-200">{dataset.label}</span>
+            <span className="flex shrink-0 gap-1">
+              {formats.map((format) => (
+                <button
+                  type="button"
+                  className="rounded border border-zinc-700 px-1.5 py-0.5 text-[11px] font-medium text-zinc-300 hover:border-zinc-500 hover:text-zinc-100"
+                  key={format.id}
+                  onClick={() => {
+                    onExport(dataset.id, format.id);
+                    menuRef.current?.removeAttribute("open");
+                  }}
+                  aria-label={t("export.ariaLabel", { dataset: dataset.label, format: format.description || format.label })}
+                  title={format.description}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+function WatchToggle({ isWatched, label, onToggle, className = "" }) {
+  const { t } = useI18n();
+  return (
+    <button
+      type="button"
+      className={`inline-flex h-7 w-7 shrink-0 items-center justify-center rounded-md text-base leading-none transition-colors hover:bg-zinc-800/60 ${isWatched ? "text-amber-300" : "text-zinc-600 hover:text-zinc-300"} ${className}`}
+      onClick={onToggle}
+      aria-pressed={isWatched}
+      aria-label={t(isWatched ? "watchlist.remove" : "watchlist.add", { label })}
+      title={t(isWatched ? "watchlist.watching" : "watchlist.watch")}
+    >
+      <span aria-hidden="true">{isWatched ? "★" : "☆"}</span>
+    </button>
+  );
+}
+
+function getStateLastActionDate(entry) {
+  return (entry.timeline || [])
+    .map((item) => toComparableDate(item.date))
+    .filter(Boolean)
+    .sort()
+    .pop() || entry.lastUpdated;
+}
+
+function WatchlistStrip({
+  watchlist,
+  getStateItem,
+  legislationRows,
+  bills,
+  watchedOnly,
+  error,
+  onToggleWatchedOnly,
+  onOpenTarget,
+  onExport,
+  onImport
+}) {
+  const { t, formatDate, statusMeta: getStatusMeta, billStage } = useI18n();
+  const fileInputRef = useRef(null);
+  const rowsById = new Map(legislationRows.map((row) => [row.id, row]));
+  const items = [
+    ...watchlist.states.map((abbr) => {
+      const entry = getStateItem(abbr);
+      const statusMeta = getStatusMeta(normalizeStatus(entry.status));
+      return {
+        key: `state-${abbr}`,
+        label: entry.name,
+        status: statusMeta.label,
+        color: statusMeta.chipBorder,
+        date: getStateLastActionDate(entry),
+        target: { kind: "state", abbr, section: DEFAULT_PANEL_SECTION }
+      };
+    }),
+    ...watchlist.legislation.filter((id) => rowsById.has(id)).map((id) => {
+      const row = rowsById.get(id);
+      const meta = getLegislationMeta(row, bills);
+      return {
+        key: `legislation-${id}`,
+        label: row.title,
+        status: billStage(meta.stage).shortLabel,
+        color: meta.dot,
+        date: row.lastActionDate || row.lastUpdated,
+        target: { kind: "legislation", rowId: id }
+      };
+    })
+  ];
+  const buttonClass = "rounded-md border border-zinc-700 px-2 py-0.5 text-xs font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200 disabled:opacity-40";
+
+  return (
+    <div className="mb-4 rounded-xl border border-zinc-800 bg-zinc-950/40 px-3 py-2" aria-label={t("watchlist.title")} role="region">
+      <div className="flex flex-wrap items-center gap-2">
+        <p className="text-xs font-semibold uppercase tracking-widest text-zinc-500">
+          <span aria-hidden="true" className="text-amber-300">★ </span>{t("watchlist.title")}
+        </p>
+        <button
+          type="button"
+          className={`${buttonClass} ${watchedOnly ? "border-amber-400/60 text-amber-200" : ""}`}
+          onClick={onToggleWatchedOnly}
+          aria-pressed={watchedOnly}
+          disabled={!items.length}
+        >
+          {t("watchlist.watchedOnly")}
+        </button>
+        <span className="ml-auto flex gap-1">
+          <button type="button" className={buttonClass} onClick={onExport} disabled={!items.length}>{t("watchlist.export")}</button>
+          <button type="button" className={buttonClass} onClick={() => fileInputRef.current?.click()}>{t("watchlist.import")}</button>
+          <input
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              event.target.value = "";
+              if (file) onImport(file);
+            }}
+            ref={fileInputRef}
+            type="file"
+          />
+        </span>
+      </div>
+      {error ? <p className="mt-1.5 text-xs text-rose-300" role="alert">{error}</p> : null}
+      {items.length ? (
+        <ul className="custom-scrollbar mt-2 flex gap-2 overflow-x-auto pb-1">
+          {items.map((item) => (
+            <li className="shrink-0" key={item.key}>
+              <button
+                type="button"
+                className="flex max-w-[16rem] flex-col rounded-lg border border-zinc-800 px-2.5 py-1.5 text-left hover:border-zinc-600"
+                onClick={() => onOpenTarget(item.target)}
+              >
+                <span className="truncate text-sm font-medium text-zinc-100">{item.label}</span>
+                <span className="mt-0.5 flex items-center gap-2 text-xs">
+                  <span className="inline-flex items-center gap-1 font-medium" style={{ color: item.color }}>
+                    <span aria-hidden="true" className="h-1.5 w-1.5 rounded-full" style={{ backgroundColor: item.color }} />
+                    {item.status}
+                  </span>
+                  {item.date ? <span className="text-zinc-500">{formatDate(item.date)}</span> : null}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-1 text-xs text-zinc-500">{t("watchlist.empty")}</p>
+      )}
+    </div>
+  );
+}
+
+function VisitFieldDiff({ field }) {
+  const { statusMeta } = useI18n();
+  if (field.type === "status") {
+    return (
+      <p className="text-sm text-zinc-300">
+        <del className="text-rose-300">{statusMeta(field.from)?.label || field.from}</del>
+        <span aria-hidden="true" className="px-1.5 text-zinc-500">→</span>
+        <ins className="text-emerald-300 no-underline">{statusMeta(field.to)?.label || field.to}</ins>
+      </p>
+    );
+  }
+  if (field.type === "list") {
+    return (
+      <ul className="space-y-1 text-sm">
+        {field.removed.map((item) => (
+          <li className="text-rose-300" key={`removed-${item}`}>
+            <span aria-hidden="true">− </span><del>{item}</del>
+          </li>
+        ))}
+        {field.added.map((item) => (
+          <li className="text-emerald-300" key={`added-${item}`}>
+            <span aria-hidden="true">+ </span><ins className="no-underline">{item}</ins>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  return (
+    <p className="text-sm leading-6 text-zinc-400">
+      {field.parts.map((part, index) => {
+        if (part.type === "added") return <ins className="rounded-sm bg-emerald-500/15 text-emerald-200 no-underline" key={index}>{part.text}</ins>;
+        if (part.type === "removed") return <del className="rounded-sm bg-rose-500/15 text-rose-300" key={index}>{part.text}</del>;
+        return <span key={index}>{part.text}</span>;
+      })}
+    </p>
+  );
+}
+
+function VisitChangeItem({ title, change, onOpen }) {
+  const { t, formatDate } = useI18n();
+  return (
+    <li className="border-b border-zinc-800/60 py-3 last:border-b-0">
+      <button
+        type="button"
+        className="text-left text-sm font-medium text-sky-300 underline decoration-sky-500/50 underline-offset-2 hover:text-sky-200"
+        onClick={onOpen}
+      >
+        {title}
+      </button>
+      <p className="mt-0.5 text-xs text-zinc-500">
+        {change.isNew
+          ? t("visit.new")
+          : t("visit.updated", { from: formatDate(change.previousLastUpdated), to: formatDate(change.lastUpdated) })}
+      </p>
+      {change.fields.map((field) => (
+        <div className="mt-2" key={field.field}>
+          <p className="text-[11px] font-semibold uppercase tracking-wider text-zinc-500">{t(`visit.field.${field.field}`)}</p>
+          <div className="mt-1"><VisitFieldDiff field={field} /></div>
+        </div>
+      ))}
+    </li>
+  );
+}
+
+function VisitChangesDrawer({ changes, statesData, legislationRows, onClose, onDismiss, onOpenTarget }) {
+  const { t, formatDate } = useI18n();
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const rowsById = new Map(legislationRows.map((row) => [row.id, row]));
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+      <div
+        aria-labelledby="visit-changes-title"
+        aria-modal="true"
+        className="custom-scrollbar h-full w-full max-w-md overflow-y-auto border-l border-zinc-700 bg-[#0f131c] p-5 shadow-[0_8px_40px_rgba(0,0,0,0.5)]"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+      >
+        <div className="flex items-start justify-between gap-3">
+          <h2 className="text-xl font-semibold tracking-tight text-zinc-100" id="visit-changes-title">
+            {t("visit.changesSince", { date: formatDate(changes.since) })}
+          </h2>
+          <button
+            type="button"
+            className="shrink-0 rounded-md px-1.5 text-lg leading-none text-zinc-500 hover:text-zinc-200"
+            onClick={onClose}
+            ref={closeButtonRef}
+            aria-label={t("visit.close")}
+          >
+            ×
+          </button>
+        </div>
+        {changes.states.length ? (
+          <div className="detail-panel-section mt-4">
+            <h3 className="detail-panel-heading">{t("visit.states", { count: changes.states.length })}</h3>
+            <ul className="mt-1">
+              {changes.states.map((change) => (
+                <VisitChangeItem
+                  key={change.key}
+                  title={statesData[change.key]?.name || ALL_STATES[change.key] || change.key}
+                  change={change}
+                  onOpen={() => onOpenTarget({ kind: "state", abbr: change.key, section: DEFAULT_PANEL_SECTION })}
+                />
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        {changes.legislation.length ? (
+          <div className="detail-panel-section mt-4">
+            <h3 className="detail-panel-heading">{t("visit.legislation", { count: changes.legislation.length })}</h3>
+            <ul className="mt-1">
+              {changes.legislation.map((change) => (
+                <VisitChangeItem
+                  key={change.key}
+                  title={rowsById.get(change.key)?.title || change.key}
+                  change={change}
+                  onOpen={() => onOpenTarget({ kind: "legislation", rowId: change.key })}
+                />
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        <button
+          type="button"
+          className="mt-5 rounded-md border border-zinc-700 px-2.5 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200"
+          onClick={onDismiss}
+        >
+          {t("visit.markSeen")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function FreshnessDrawer({ rows, today, thresholds, onChangeThresholds, onClose, onOpenTarget }) {
+  const { t, formatDate, mapLayer } = useI18n();
+  const closeButtonRef = useRef(null);
+  const [levelFilter, setLevelFilter] = useState(null);
+  const [kindFilter, setKindFilter] = useState("all");
+  const [draft, setDraft] = useState(thresholds);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    setDraft(thresholds);
+  }, [thresholds]);
+
+  const levels = mapLayer(DATA_AGE_LAYER).values;
+  const kindRows = kindFilter === "all" ? rows : rows.filter((row) => row.kind === kindFilter);
+  const counts = countFreshnessLevels(kindRows);
+  const visibleRows = levelFilter ? kindRows.filter((row) => row.level === levelFilter) : kindRows;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+      <div
+        aria-labelledby="freshness-title"
+        aria-modal="true"
+        className="custom-scrollbar h-full w-full max-w-md overflow-y-auto border-l border-zinc-700 bg-[#0f131c] p-5 shadow-[0_8px_40px_rgba(0,0,0,0.5)]"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="text-xl font-semibold tracking-tight text-zinc-100" id="freshness-title">{t("freshness.title")}</h2>
+            <p className="mt-1 text-xs text-zinc-500">{t("freshness.asOf", { date: formatDate(today) })}</p>
+          </div>
+          <button
+            type="button"
+            className="shrink-0 rounded-md px-1.5 text-lg leading-none text-zinc-500 hover:text-zinc-200"
+            onClick={onClose}
+            ref={closeButtonRef}
+            aria-label={t("freshness.close")}
+          >
+            ×
+          </button>
+        </div>
+        <form
+          className="detail-panel-section mt-4 flex flex-wrap items-end gap-3"
+          onSubmit={(event) => {
+            event.preventDefault();
+            onChangeThresholds(normalizeFreshnessThresholds(draft));
+          }}
+        >
+          {["agingDays", "staleDays"].map((key) => (
+            <label className="flex flex-col gap-1 text-xs text-zinc-400" key={key}>
+              {t(`freshness.${key}`)}
+              <input
+                type="number"
+                min="1"
+                step="1"
+                className="w-24 rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-sm text-zinc-200"
+                value={draft[key]}
+                onChange={(event) => setDraft((prev) => ({ ...prev, [key]: event.target.value }))}
+              />
+            </label>
+          ))}
+          <button
+            type="submit"
+            className="rounded-md border border-zinc-700 px-2.5 py-1 text-sm font-medium text-zinc-200 hover:border-zinc-500 hover:text-zinc-100"
+          >
+            {t("freshness.apply")}
+          </button>
+          <button
+            type="button"
+            className="rounded-md px-1.5 py-1 text-sm text-zinc-400 hover:text-zinc-200"
+            onClick={() => onChangeThresholds(DEFAULT_FRESHNESS_THRESHOLDS)}
+          >
+            {t("freshness.reset")}
+          </button>
+        </form>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <label className="sr-only" htmlFor="freshness-kind">{t("freshness.kind")}</label>
+          <select
+            id="freshness-kind"
+            className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-sm text-zinc-200"
+            value={kindFilter}
+            onChange={(event) => setKindFilter(event.target.value)}
+          >
+            <option value="all">{t("freshness.kind.all")}</option>
+            {FRESHNESS_KINDS.map((kind) => (
+              <option key={kind} value={kind}>{t(`freshness.kind.${kind}`)}</option>
+            ))}
+          </select>
+          {FRESHNESS_LEVEL_ORDER.map((level) => (
+            <button
+              type="button"
+              key={level}
+              className="inline-flex items-center gap-1.5 rounded-full border px-2 py-0.5 text-xs font-medium"
+              style={{
+                backgroundColor: levelFilter === level ? levels[level].chipBg : "transparent",
+                borderColor: levels[level].chipBorder,
+                color: levels[level].chipText
+              }}
+              onClick={() => setLevelFilter((prev) => (prev === level ? null : level))}
+              aria-pressed={levelFilter === level}
+            >
+              {levels[level].label}
+              <span className="tabular-nums opacity-80">{counts[level]}</span>
+            </button>
+          ))}
+        </div>
+        <ul className="mt-3">
+          {visibleRows.map((row) => (
+            <li className="flex items-start justify-between gap-3 border-b border-zinc-800/60 py-2.5 last:border-b-0" key={row.id}>
+              <div className="min-w-0">
+                <button
+                  type="button"
+                  className="text-left text-sm font-medium text-sky-300 underline decoration-sky-500/50 underline-offset-2 hover:text-sky-200"
+                  onClick={() => onOpenTarget(row.target)}
+                >
+                  {row.title}
+                </button>
+                <p className="mt-0.5 text-xs text-zinc-500">
+                  {t(`freshness.kind.${row.kind}`)}
+                  {row.kind === "state" ? "" : ` · ${row.jurisdiction === "US" ? t("freshness.federal") : ALL_STATES[row.jurisdiction] || row.jurisdiction}`}
+                </p>
+              </div>
+              <div className="shrink-0 text-right">
+                <span
+                  className="rounded-full border px-2 py-0.5 text-[11px] font-semibold"
+                  style={{
+                    backgroundColor: levels[row.level].chipBg,
+                    borderColor: levels[row.level].chipBorder,
+                    color: levels[row.level].chipText
+                  }}
+                >
+                  {levels[row.level].label}
+                </span>
+                <p className="mt-1 text-xs tabular-nums text-zinc-500">
+                  {row.ageDays === null
+                    ? t("freshness.noDate")
+                    : t("freshness.age", { days: row.ageDays, date: formatDate(row.lastUpdated) })}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function StateComparison({ columns, bills, onRemove, onClear, onOpenState, onOpenBill }) {
+  const { t } = useI18n();
+  const [activeSection, setActiveSection] = useState("summary");
+  const gridStyle = {
+    gridTemplateColumns: `repeat(${columns.length}, minmax(14rem, 1fr))`
+  };
+  const hasPrograms = columns.some((column) => column.programs.length);
+  const hasTimeline = columns.some((column) => column.entry.timeline?.length);
+
+  const renderRow = (id, title, renderCell) => (
+    <PanelAccordionSection
+      id={id}
+      title={title}
+      activeSection={activeSection}
+      setActiveSection={setActiveSection}
+    >
+      <div className="grid gap-x-5" style={gridStyle}>
+        {columns.map((column) => (
+          <div className="min-w-0 text-sm text-zinc-300" key={`${id}-${column.abbr}`}>
+            {renderCell(column)}
+          </div>
+        ))}
+      </div>
+    </PanelAccordionSection>
+  );
+
+  return (
+    <section className="mx-auto mb-8 w-full max-w-7xl px-4 sm:px-6 lg:px-8">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold tracking-tight text-zinc-100">{t("compare.title")}</h2>
+        <button
+          type="button"
+          className="text-sm text-zinc-400 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-200"
+          onClick={onClear}
+        >
+          {t("compare.exit")}
+        </button>
+      </div>
+      <div className="custom-scrollbar mt-3 overflow-x-auto rounded-2xl border border-zinc-800 bg-[#0f131c]/95 p-5">
+        <div className="space-y-4">
+          <div className="grid gap-x-5 border-b border-zinc-800 pb-4" style={gridStyle}>
+            {columns.map((column) => (
+              <div className="flex min-w-0 items-start justify-between gap-2" key={`head-${column.abbr}`}>
+                <div className="min-w-0">
+                  <button
+                    type="button"
+                    className="block truncate text-left text-lg font-bold tracking-tight text-zinc-100 hover:text-white"
+                    onClick={() => onOpenState(column.abbr)}
+                  >
+                    {column.entry.name}
+                  </button>
+                  <span
+                    className="mt-1.5 inline-block rounded-full border px-2.5 py-1 text-xs font-semibold"
+                    style={{
+                      backgroundColor: column.statusMeta.chipBg,
+                      color: column.statusMeta.chipText,
+                      borderColor: column.statusMeta.chipBorder
+                    }}
+                  >
+                    {column.statusMeta.label}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="shrink-0 rounded-md px-1.5 text-zinc-500 hover:text-zinc-200"
+                  onClick={() => onRemove(column.abbr)}
+                  aria-label={t("compare.remove", { name: column.entry.name })}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {renderRow("summary", t("panel.summary"), ({ entry }) => (
+            <p className="detail-panel-copy">{ensureSentenceEnding(entry.summary)}</p>
+          ))}
+          {renderRow("profile", t("panel.profile"), ({ entry }) => (
+            <RegulatoryProfileList entry={entry} />
+          ))}
+          {renderRow("key-laws", t("panel.keyLaws"), ({ entry }) => (
+            <KeyLawList laws={entry.keyLaws} bills={bills} onOpenBill={onOpenBill} />
+          ))}
+          {renderRow("regulator", t("panel.regulator"), ({ entry }) => (
+            <p className="detail-panel-copy">{ensureSentenceEnding(entry.regulatoryBody || t("panel.defaultRegulator"))}</p>
+          ))}
+          {renderRow("recent", t("panel.recent"), ({ entry }) => (
+            <p className="detail-panel-copy">{ensureSentenceEnding(entry.recentDevelopments || t("panel.noRecent"))}</p>
+          ))}
+          {hasPrograms ? renderRow("state-issued", t("panel.stateIssued"), ({ programs }) => (
+            programs.length
+              ? <StateIssuedProgramList programs={programs} />
+              : <p className="detail-panel-copy text-zinc-500">{t("panel.noPrograms")}</p>
+          )) : null}
+          {hasTimeline ? renderRow("timeline", t("panel.timeline"), ({ entry, statusMeta }) => (
+            entry.timeline?.length
+              ? <StateTimeline entries={entry.timeline} keyPrefix={entry.name} statusMeta={statusMeta} bills={bills} onOpenBill={onOpenBill} />
+              : <p className="detail-panel-copy text-zinc-500">{t("panel.noTimeline")}</p>
+          )) : null}
+          {renderRow("sources", t("panel.sources"), ({ entry }) => (
+            entry.sources?.length
+              ? <SourceDisclosure sources={entry.sources} collapsible={false} />
+              : <p className="detail-panel-copy">{t("panel.noSources")}</p>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// A row's lifecycle comes from its lead bill (the first one listed); bad stage data is
+// surfaced as an error instead of falling back to a generic label.
+function getLegislationMeta(row, bills) {
+  const [leadBillId] = row.bills || [];
+  if (!leadBillId) {
+    return { ...BILL_DATA_ERROR_META, stage: "data_error", bill: null, errors: ["No bill is linked to this entry."] };
+  }
+  const bill = bills[leadBillId] ? { id: leadBillId, ...bills[leadBillId] } : null;
+  const errors = bill ? getBillDataErrors(bill) : [`Bill "${leadBillId}" is not in the bills collection.`];
+  if (errors.length) return { ...BILL_DATA_ERROR_META, stage: "data_error", bill, errors };
+  const stageMeta = getBillStageMeta(bill.stage);
+  return { label: stageMeta.shortLabel, dot: stageMeta.dot, stage: bill.stage, bill, errors };
+}
+
+function MapReplayControls({ months, replayIndex, isPlaying, onScrub, onTogglePlay, onReset }) {
+  const { t, formatMonthYear } = useI18n();
+  if (!months.length) return null;
+  const lastIndex = months.length - 1;
+  const currentIndex = replayIndex ?? lastIndex;
+  const isReplaying = replayIndex !== null;
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-x-4 gap-y-2">
+      <button
+        type="button"
+        className="inline-flex h-8 w-8 shrink-0 items-center justify-center rounded-full border border-zinc-700 bg-zinc-950/60 text-xs text-zinc-200 hover:border-zinc-500"
+        onClick={onTogglePlay}
+        aria-label={t(isPlaying ? "map.replayPause" : "map.replayPlay")}
+        aria-pressed={isPlaying}
+      >
+        <span aria-hidden="true">{isPlaying ? "❚❚" : "▶"}</span>
+      </button>
+      <input
+        type="range"
+        className="min-w-[10rem] flex-1 accent-zinc-300"
+        min={0}
+        max={lastIndex}
+        step={1}
+        value={currentIndex}
+        onChange={(event) => onScrub(Number(event.target.value))}
+        aria-label={t("map.replayDate")}
+        aria-valuetext={formatMonthYear(months[currentIndex])}
+      />
+      <span className="w-20 shrink-0 text-right text-sm tabular-nums text-zinc-300">
+        {isReplaying ? formatMonthYear(months[currentIndex]) : t("map.today")}
+      </span>
+      {isReplaying ? (
+        <button
+          type="button"
+          className="shrink-0 text-sm text-zinc-400 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-200"
+          onClick={onReset}
+        >
+          {t("map.backToToday")}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+function MapStateTooltip({ anchor, entry, statusMeta, pendingBillCount, lastUpdated }) {
+  const { t, formatDate: formatDateValue } = useI18n();
+  const tooltipRef = useRef(null);
+  const [position, setPosition] = useState(null);
+
+  useLayoutEffect(() => {
+    const element = tooltipRef.current;
+    if (!element) return;
+    setPosition(getTooltipPosition(
+      anchor,
+      { width: element.offsetWidth, height: element.offsetHeight },
+      { width: window.innerWidth, height: window.innerHeight }
+    ));
+  }, [anchor, entry]);
+
+  return (
+    <div
+      ref={tooltipRef}
+      id="map-tooltip"
+      role="tooltip"
+      className="pointer-events-none fixed z-50 w-72 max-w-[calc(100vw-16px)] rounded-lg border border-zinc-700 bg-zinc-950/95 px-3 py-2.5 text-xs text-zinc-300 shadow-xl"
+      style={position ? { left: position.left, top: position.top } : { left: 0, top: 0, visibility: "hidden" }}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm font-semibold text-zinc-100">{entry.name}</p>
+        <span
+          className="shrink-0 rounded-full border px-2 py-0.5 text-[11px] font-semibold"
+          style={{ backgroundColor: statusMeta.chipBg, color: statusMeta.chipText, borderColor: statusMeta.chipBorder }}
+        >
+          {statusMeta.label}
+        </span>
+      </div>
+      <p className="mt-1.5 line-clamp-3 leading-5">{getFirstSentence(entry.summary)}</p>
+      <div className="mt-2 flex items-center justify-between gap-3 text-zinc-400">
+        <span>{t("tooltip.pendingBills", { count: pendingBillCount })}</span>
+        {lastUpdated ? <span>{t("tooltip.lastUpdated", { date: formatDateValue(lastUpdated) })}</span> : null}
+      </div>
+    </div>
+  );
+}
+
+function StateTableView({ rows, layerLabel, selectedAbbr, onSelect }) {
+  const { t, formatDate: formatDateValue } = useI18n();
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(DEFAULT_STATE_TABLE_SORT);
+  const visibleRows = useMemo(() => sortStateTableRows(filterStateTableRows(rows, query), sort), [query, rows, sort]);
+  const columns = [
+    { key: "name", label: t("table.state") },
+    { key: "status", label: t("table.status") },
+    ...(layerLabel ? [{ key: "layer", label: layerLabel }] : []),
+    { key: "regulator", label: t("table.regulator") },
+    { key: "keyLaws", label: t("table.keyLaws"), isNumeric: true },
+    { key: "lastUpdated", label: t("table.lastUpdated") }
+  ];
+  const renderChip = (meta) => (
+    <span className="inline-flex items-center gap-2 whitespace-nowrap">
+      <span aria-hidden="true" className="inline-block h-2.5 w-2.5 shrink-0 rounded-full" style={{ backgroundColor: meta.chipBorder }} />
+      {meta.label}
+    </span>
+  );
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-x-4 gap-y-2">
+        <label className="flex min-w-[14rem] flex-1 items-center gap-2 text-sm text-zinc-400">
+          <span className="sr-only">{t("table.filter")}</span>
+          <input
+            type="search"
+            className="w-full rounded-md border border-zinc-700 bg-zinc-950/60 px-3 py-1.5 text-sm text-zinc-100 placeholder:text-zinc-400 focus:border-zinc-500 focus:outline-none focus:ring-1 focus:ring-zinc-500"
+            placeholder={t("table.filterPlaceholder")}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+          />
+        </label>
+        <span className="text-sm tabular-nums text-zinc-400" aria-live="polite">
+          {t("table.shown", { count: visibleRows.length, total: rows.length })}
+        </span>
+      </div>
+      <div
+        className="custom-scrollbar max-h-[36rem] overflow-auto rounded-lg border border-zinc-800"
+        role="region"
+        aria-label={t("table.caption")}
+        tabIndex={0}
+      >
+        <table className="w-full border-collapse text-left text-sm">
+          <caption className="sr-only">{t("table.caption")}</caption>
+          <thead className="sticky top-0 bg-zinc-900">
+            <tr>
+              {columns.map((column) => {
+                const isSorted = sort.key === column.key;
+                return (
+                  <th
+                    key={column.key}
+                    scope="col"
+                    className={`px-3 py-2 text-xs font-medium uppercase tracking-wider text-zinc-300 ${column.isNumeric ? "text-right" : ""}`}
+                    aria-sort={isSorted ? sort.direction : "none"}
+                  >
+                    <button
+                      type="button"
+                      className="inline-flex items-center gap-1 uppercase hover:text-zinc-100"
+                      onClick={() => setSort(getNextStateTableSort(sort, column.key))}
+                    >
+                      {column.label}
+                      <span aria-hidden="true" className={isSorted ? "text-zinc-100" : "text-zinc-500"}>
+                        {isSorted && sort.direction === "descending" ? "▼" : "▲"}
+                      </span>
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => {
+              const isSelected = row.abbr === selectedAbbr;
+              return (
+                <tr key={row.abbr} className={`border-t border-zinc-800/70 ${isSelected ? "bg-zinc-800/60" : ""}`}>
+                  <th scope="row" className="px-3 py-2 font-medium">
+                    <button
+                      type="button"
+                      className="text-left text-zinc-100 underline decoration-zinc-600 underline-offset-2 hover:decoration-zinc-300"
+                      onClick={() => onSelect(row.abbr)}
+                      aria-current={isSelected ? "true" : undefined}
+                    >
+                      {row.name}
+                    </button>
+                  </th>
+                  <td className="px-3 py-2 text-zinc-200">{renderChip(row.statusMeta)}</td>
+                  {layerLabel ? <td className="px-3 py-2 text-zinc-200">{renderChip(row.layerMeta)}</td> : null}
+                  <td className="min-w-[12rem] px-3 py-2 text-xs leading-5 text-zinc-300">{row.regulator}</td>
+                  <td className="px-3 py-2 text-right tabular-nums text-zinc-200">{row.keyLawCount}</td>
+                  <td className="whitespace-nowrap px-3 py-2 tabular-nums text-zinc-300">{formatDateValue(row.lastUpdated)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!visibleRows.length ? <p className="px-3 py-4 text-sm text-zinc-400">{t("table.noMatches")}</p> : null}
+      </div>
+    </div>
+  );
+}
+
+function getLatestBillActionDate(billIds, bills) {
+  return getBillsByIds(bills, billIds)
+    .map((bill) => toComparableDate(bill.lastActionDate))
+    .sort()
+    .pop() || "";
+}
+
+const FEDERAL_ROW_FIELDS = { level: "federal", jurisdiction: "US" };
+
+function buildFederalLegislationRows(federalContext, pendingFederalBills, bills, formatDateValue = formatDate) {
+  return [
     ...(federalContext ? [{
+      ...FEDERAL_ROW_FIELDS,
       id: "genius",
-      title: "GENIUS Act",
-      midLabel: "Stablecoins",
-      statusStr: `Signed ${formatDate(federalContext.signedDate)}`,
-      what: "Sets the federal framework for payment stablecoins, covering reserve backing, redemptions, supervision, and issuer requirements. Effective January 18, 2027.",
+      title: federalContext.title,
+      category: federalContext.category,
+      statusStr: `Signed ${formatDateValue(federalContext.signedDate)}`,
+      bills: federalContext.bills,
+      lastActionDate: getLatestBillActionDate(federalContext.bills, bills),
+      what: "Sets the federal framework for payment stablecoins, covering reserve backing, redemptions, supervision, and issuer requirements.",
+      effectiveDate: federalContext.effectiveDate || null,
       latest: ensureSentenceEnding(compactLatestDisplay(federalContext.summary || "")),
+      translations: federalContext.translations,
       sources: federalContext.sources,
+      lastUpdated: federalContext.lastUpdated,
     }] : []),
     ...pendingFederalBills.map((bill) => ({
+      ...FEDERAL_ROW_FIELDS,
       id: bill.id,
       title: bill.title,
-      midLabel: bill.category || "Federal",
+      category: bill.category || "Uncategorized",
       statusStr: bill.status,
-      what: ensureSentenceEnding(stripBillCodes(bill.what || "")),
+      bills: bill.bills,
+      lastActionDate: getLatestBillActionDate(bill.bills, bills),
+      what: ensureSentenceEnding(bill.what || ""),
       latest: ensureSentenceEnding(compactLatestDisplay(bill.latest || "")),
+      translations: bill.translations,
       sources: bill.sources,
+      lastUpdated: bill.lastUpdated,
     })),
   ];
+}
 
-  const stateRows = majorStateDevelopments.map((item) => ({
-    id: `${item.state}-${item.title}`,
-    title: cleanStateWatchTitle(item.title),
-    midLabel: ALL_STATES[item.state] || item.state,
+function buildStateLegislationRows(majorStateDevelopments, bills) {
+  return majorStateDevelopments.map((item) => ({
+    id: getStateDevelopmentRowId(item),
+    level: "state",
+    jurisdiction: item.state,
+    jurisdictionLabel: ALL_STATES[item.state] || item.state,
+    stateAbbr: item.state,
+    title: item.title,
+    category: item.category || "Uncategorized",
     statusStr: item.status,
-    what: ensureSentenceEnding(compactStateWatchText(item.what || "")),
-    latest: ensureSentenceEnding(abbreviateLongDates(compactStateWatchText([item.status, item.latest].filter(Boolean).join(" ")))),
+    bills: item.bills,
+    lastActionDate: getLatestBillActionDate(item.bills, bills),
+    what: ensureSentenceEnding(item.what || ""),
+    latest: ensureSentenceEnding(abbreviateLongDates([item.status, item.latest].filter(Boolean).join(" "))),
+    translations: item.translations,
     sources: item.sources,
+    lastUpdated: item.lastUpdated,
+  }));
+}
+
+function buildLegislationRows({ federalContext, pendingFederalBills, majorStateDevelopments, bills }) {
+  return [
+    ...buildFederalLegislationRows(federalContext, pendingFederalBills, bills),
+    ...buildStateLegislationRows(majorStateDevelopments, bills)
+  ].map((row) => ({ ...row, stage: getLegislationMeta(row, bills).stage }));
+}
+
+function findLegislationRowByBill(rows, billId) {
+  if (!billId) return null;
+  return rows.find((row) => row.bills?.[0] === billId) || rows.find((row) => row.bills?.includes(billId)) || null;
+}
+
+// Grid: dot | name | middle-col | status | chevron
+const LEG_GRID = "grid grid-cols-[16px_1fr_auto] sm:grid-cols-[16px_1fr_148px_120px_16px] items-center gap-x-5";
+
+function LegislationRow({ row, expandedId, toggle, midLabel, bills, onOpenBill, isChanged, isWatched, onToggleWatch }) {
+  const { t, field, billStage, formatDate: formatDateValue } = useI18n();
+  const isOpen = expandedId === row.id;
+  const meta = getLegislationMeta(row, bills);
+  const stageLabel = billStage(meta.stage).shortLabel;
+  const latest = field(row, "latest");
+
+  return (
+    <div id={getLegislationAnchorId(row)} className="scroll-mt-6">
+      <div className="flex items-center transition-colors hover:bg-zinc-800/25">
+        <button
+          type="button"
+          className={`${LEG_GRID} min-w-0 flex-1 py-3 pl-5 pr-2 text-left`}
+          onClick={() => toggle(row.id)}
+          aria-expanded={isOpen}
+        >
+          <span className="h-2 w-2 rounded-full" style={{ backgroundColor: meta.dot }} />
+          <span className="min-w-0">
+            <span className="flex min-w-0 items-center gap-2">
+              <span className="truncate text-sm font-medium text-zinc-100">{field(row, "title")}</span>
+              {isChanged ? (
+                <span className="shrink-0 rounded-full border border-amber-400/60 px-1.5 text-[10px] font-semibold uppercase tracking-wider text-amber-300">
+                  {t("visit.badge")}
+                </span>
+              ) : null}
+            </span>
+            <span className="mt-0.5 block text-sm text-zinc-500 sm:hidden">
+              {[midLabel, stageLabel].filter(Boolean).join(" · ")}
+            </span>
+          </span>
+          <span className="hidden truncate text-sm text-zinc-400 sm:block">{midLabel}</span>
+          <span className="hidden text-sm font-medium sm:block" style={{ color: meta.dot }}>{stageLabel}</span>
+          <span
+            className="hidden text-[10px] text-zinc-600 transition-transform duration-150 sm:block"
+            style={{ transform: isOpen ? "rotate(180deg)" : "rotate(0deg)" }}
+          >▼</span>
+        </button>
+        <WatchToggle className="mr-3" isWatched={isWatched} label={row.title} onToggle={() => onToggleWatch(row.id)} />
+      </div>
+      {isOpen && (
+        <div className="border-t border-zinc-800/60 bg-zinc-900/30 px-5 py-4 pl-10">
+          {meta.errors.length
+            ? <BillDataErrorList errors={meta.errors} />
+            : <BillProgress bill={meta.bill} />}
+          <BillChips billIds={row.bills} bills={bills} onOpenBill={onOpenBill} className="mb-2 mt-3" />
+          <p className="text-sm leading-6 text-zinc-300">
+            {ensureSentenceEnding(field(row, "what"))}
+            {row.effectiveDate ? (
+              <>
+                {" "}
+                {t("genius.effectiveOn", { date: formatDateValue(row.effectiveDate) })}{" "}
+                {/* A button, not a hash link: the hash belongs to the expanded row. */}
+                <button
+                  type="button"
+                  className="text-zinc-200 underline decoration-zinc-600 underline-offset-2 hover:text-white"
+                  onClick={() => document.getElementById(GENIUS_TRACKER_ANCHOR_ID)?.scrollIntoView({ behavior: "smooth", block: "start" })}
+                >
+                  {t("genius.trackerLink")}
+                </button>
+              </>
+            ) : null}
+          </p>
+          {latest ? <p className="mt-2 text-sm leading-6 text-zinc-400">{ensureSentenceEnding(latest)}</p> : null}
+          {row.sources?.length ? (
+            <div className="mt-3">
+              <SourceDisclosure sources={row.sources} summaryLabel={t("common.sources")} />
+            </div>
+          ) : null}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LegislationTable({
+  label,
+  col2Header,
+  rows,
+  expandedId,
+  toggle,
+  bills,
+  onOpenBill,
+  changedRowIds,
+  watchedRowIds,
+  onToggleWatch
+}) {
+  const { t } = useI18n();
+  return (
+    <div>
+      <div className="border-b border-zinc-800/70 bg-zinc-900/40 px-5 py-2">
+        <p className="text-xs font-semibold uppercase tracking-widest text-zinc-500">{label}</p>
+      </div>
+      <div className="flex items-center border-b border-zinc-800/60">
+        <div className={`${LEG_GRID} min-w-0 flex-1 py-2 pl-5 pr-2`}>
+          <span />
+          <span className="text-xs font-medium uppercase tracking-wider text-zinc-600">{t("legislation.name")}</span>
+          <span className="hidden text-xs font-medium uppercase tracking-wider text-zinc-600 sm:block">{col2Header}</span>
+          <span className="hidden text-xs font-medium uppercase tracking-wider text-zinc-600 sm:block">{t("legislation.status")}</span>
+          <span />
+        </div>
+        <span className="mr-3 w-7 shrink-0" />
+      </div>
+      {rows.map((row, i) => (
+        <div key={row.id} className={i < rows.length - 1 ? "border-b border-zinc-800/40" : ""}>
+          <LegislationRow
+            row={row}
+            expandedId={expandedId}
+            toggle={toggle}
+            midLabel={row.midLabel}
+            bills={bills}
+            onOpenBill={onOpenBill}
+            isChanged={changedRowIds.has(row.id)}
+            isWatched={watchedRowIds.includes(row.id)}
+            onToggleWatch={onToggleWatch}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function getLegislationFacetLabel(i18n, facet, value, row) {
+  if (facet === "stage") return i18n.billStage(value).shortLabel;
+  if (facet === "level") return i18n.t(`legislation.level.${value}`, { defaultValue: value });
+  if (facet === "jurisdiction") return row ? getJurisdictionLabel(i18n.t, row) : value.toUpperCase();
+  return getCategoryLabel(i18n.t, row?.category) || value;
+}
+
+function LegislationFilters({ rows, filters, onChange, resultCount }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const toggleFacetValue = (facet, value) => {
+    const current = filters[facet];
+    onChange({
+      ...filters,
+      [facet]: current.includes(value) ? current.filter((item) => item !== value) : [...current, value]
+    });
+  };
+  const isFiltered = hasActiveLegislationFilters(filters);
+
+  return (
+    <div className="mt-3 space-y-3 rounded-2xl border border-zinc-800 bg-[#0f131c]/95 px-5 py-4">
+      {LEGISLATION_FACETS.map((facet) => {
+        const options = getLegislationFacetOptions(rows, filters, facet, (value, row) => getLegislationFacetLabel(i18n, facet, value, row));
+        if (options.length < 2 && !filters[facet].length) return null;
+        return (
+          <div
+            className="flex flex-wrap items-center gap-1.5"
+            key={facet}
+            role="group"
+            aria-label={t("legislation.filterBy", { facet: t(`legislation.facet.${facet}`).toLowerCase() })}
+          >
+            <span className="w-24 shrink-0 text-xs font-medium uppercase tracking-wider text-zinc-500">{t(`legislation.facet.${facet}`)}</span>
+            {options.map((option) => {
+              const isActive = filters[facet].includes(option.value);
+              return (
+                <button
+                  type="button"
+                  key={option.value}
+                  className={`rounded-full border px-2.5 py-1 text-xs transition-colors ${
+                    isActive
+                      ? "border-zinc-300 bg-zinc-200 text-zinc-900"
+                      : "border-zinc-700 text-zinc-300 hover:border-zinc-500"
+                  } ${option.count === 0 && !isActive ? "opacity-50" : ""}`}
+                  onClick={() => toggleFacetValue(facet, option.value)}
+                  aria-pressed={isActive}
+                >
+                  {option.label}
+                  <span className={`ml-1.5 tabular-nums ${isActive ? "text-zinc-600" : "text-zinc-500"}`}>{option.count}</span>
+                </button>
+              );
+            })}
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 border-t border-zinc-800/60 pt-3 text-sm text-zinc-400">
+        <label className="flex items-center gap-2">
+          {t("legislation.updatedFrom")}
+          <input
+            type="date"
+            className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-zinc-200 [color-scheme:dark]"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => onChange({ ...filters, from: event.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("legislation.updatedTo")}
+          <input
+            type="date"
+            className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-zinc-200 [color-scheme:dark]"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => onChange({ ...filters, to: event.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("legislation.sort")}
+          <select
+            className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-zinc-200"
+            value={filters.sort}
+            onChange={(event) => onChange({ ...filters, sort: event.target.value })}
+          >
+            {LEGISLATION_SORTS.map((sort) => (
+              <option key={sort} value={sort}>{t(`legislation.sort.${sort}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("legislation.groupBy")}
+          <select
+            className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-zinc-200"
+            value={filters.group}
+            onChange={(event) => onChange({ ...filters, group: event.target.value })}
+          >
+            {LEGISLATION_GROUPS.map((group) => (
+              <option key={group} value={group}>{t(`legislation.groupBy.${group}`)}</option>
+            ))}
+          </select>
+        </label>
+        <span className="ml-auto tabular-nums" aria-live="polite">
+          {t("legislation.shown", { count: resultCount, total: rows.length })}
+        </span>
+        {isFiltered ? (
+          <button
+            type="button"
+            className="text-zinc-400 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-200"
+            onClick={() => onChange(clearLegislationFilterFacets(filters))}
+          >
+            {t("common.clearFilters")}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// Federal rows have no state name, so their jurisdiction reads as the level.
+function getJurisdictionLabel(t, row) {
+  return row.level === "federal" ? t("legislation.level.federal") : row.jurisdictionLabel;
+}
+
+function getLegislationGroupColumn(t, group, firstRow) {
+  const categoryColumn = { header: t("legislation.category"), getMidLabel: (row) => getCategoryLabel(t, row.category) };
+  if (group === "state") return categoryColumn;
+  if (group === "category") return { header: t("legislation.jurisdiction"), getMidLabel: (row) => getJurisdictionLabel(t, row) };
+  return firstRow.level === "federal"
+    ? categoryColumn
+    : { header: t("legislation.state"), getMidLabel: (row) => row.jurisdictionLabel };
+}
+
+function getLegislationGroupLabel(t, group, firstRow) {
+  if (group === "state") return getJurisdictionLabel(t, firstRow);
+  if (group === "category") return getCategoryLabel(t, firstRow.category);
+  return t(`legislation.level.${firstRow.level}`);
+}
+
+function GeniusImplementationTracker({ federalContext, today }) {
+  const { t, field, formatDate: formatDateValue, rulemakingStatus, commentPeriod } = useI18n();
+  const rulemakings = getRulemakings(federalContext);
+  const countdowns = getGeniusCountdowns(federalContext, today);
+  const timeline = buildGeniusTimeline(federalContext, today);
+  const upcomingEvents = timeline.filter((event) => !event.isPast);
+  const pastEvents = timeline.filter((event) => event.isPast).reverse();
+
+  const getDaysLabel = (days) => {
+    if (days < 0) return t("genius.inEffect");
+    if (days === 0) return t("genius.today");
+    return t(days === 1 ? "genius.dayLeft" : "genius.daysLeft", { count: days });
+  };
+  const getEventLabel = (event) => {
+    if (event.kind === "milestone") return field(event.milestone, "label");
+    if (event.rulemaking) {
+      return t(`genius.event.${event.kind}`, { agency: event.rulemaking.agency, title: field(event.rulemaking, "title") });
+    }
+    return t(`genius.event.${event.kind}`);
+  };
+
+  const renderEvents = (events, emptyLabel) => (events.length ? (
+    <ul className="space-y-2">
+      {events.map((event) => (
+        <li className="flex gap-3 text-sm leading-6" key={event.id}>
+          <span className="w-28 shrink-0 font-semibold text-zinc-100">{formatDateValue(event.date)}</span>
+          <span className="min-w-0 text-zinc-300">
+            {event.source ? (
+              <a
+                href={event.source}
+                target="_blank"
+                rel="noreferrer"
+                className="underline decoration-zinc-700 underline-offset-2 hover:text-zinc-100"
+              >
+                {getEventLabel(event)}
+              </a>
+            ) : getEventLabel(event)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  ) : <p className="text-sm text-zinc-500">{emptyLabel}</p>);
+
+  return (
+    <section id={GENIUS_TRACKER_ANCHOR_ID} className="mx-auto mb-8 w-full max-w-7xl scroll-mt-6 px-4 sm:px-6 lg:px-8">
+      <h2 className="text-xl font-semibold tracking-tight text-zinc-100">{t("genius.title")}</h2>
+      <p className="mt-1 text-sm text-zinc-400">{t("genius.intro", { date: formatDateValue(today) })}</p>
+      <div className="mt-3 space-y-6 rounded-2xl border border-zinc-800 bg-[#0f131c]/95 p-5">
+        <div>
+          <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+            {countdowns.map((countdown) => (
+              <div className="rounded-lg border border-zinc-800/90 bg-zinc-950/35 px-4 py-3" key={countdown.id}>
+                <p className="text-xs font-semibold uppercase tracking-wider text-zinc-500">
+                  {countdown.kind === "effective"
+                    ? t("genius.countdown.effective")
+                    : t("genius.countdown.comments", { agency: countdown.rulemaking.agency })}
+                </p>
+                <p className="mt-1 text-2xl font-bold tracking-tight text-zinc-100">{getDaysLabel(countdown.days)}</p>
+                <p className="text-sm text-zinc-400">{formatDateValue(countdown.date)}</p>
+                {countdown.kind === "effective" && field(federalContext.implementation, "effectiveDateNote") ? (
+                  <p className="mt-1 text-xs leading-5 text-zinc-500">{field(federalContext.implementation, "effectiveDateNote")}</p>
+                ) : null}
+              </div>
+            ))}
+          </div>
+          {countdowns.every((countdown) => countdown.kind === "effective") ? (
+            <p className="mt-3 text-sm text-zinc-500">{t("genius.noOpenComments")}</p>
+          ) : null}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold uppercase tracking-wider text-zinc-400">{t("genius.rulemakings")}</h3>
+          <ul className="mt-2 divide-y divide-zinc-800/60">
+            {rulemakings.map((rulemaking) => {
+              const status = rulemakingStatus(rulemaking.status);
+              const periodState = getCommentPeriodState(rulemaking, today);
+              return (
+                <li className="py-4" key={rulemaking.id}>
+                  <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                    <span className="text-sm font-semibold text-zinc-100">{rulemaking.agency}</span>
+                    <span className="text-sm text-zinc-300">{field(rulemaking, "title")}</span>
+                    {status.label ? (
+                      <span
+                        className="rounded-full border px-2 py-0.5 text-[11px] font-semibold leading-none"
+                        style={{ backgroundColor: status.chipBg, borderColor: status.chipBorder, color: status.chipText }}
+                        title={status.description}
+                      >
+                        {status.label}
+                      </span>
+                    ) : null}
+                  </div>
+                  <p className="mt-1 text-xs text-zinc-500">
+                    {[
+                      rulemaking.agencyName,
+                      rulemaking.docketId ? t("genius.docket", { id: rulemaking.docketId }) : t("genius.noDocket"),
+                      rulemaking.commentCloses
+                        ? t(rulemaking.commentOpens ? "genius.commentPeriod" : "genius.commentCloses", {
+                          opens: formatDateValue(rulemaking.commentOpens),
+                          closes: formatDateValue(rulemaking.commentCloses)
+                        })
+                        : t("genius.noCommentPeriod")
+                    ].filter(Boolean).join(" · ")}
+                    {periodState ? (
+                      <span className="font-semibold" style={{ color: commentPeriod(periodState).color }}>
+                        {" · "}{commentPeriod(periodState).label}
+                      </span>
+                    ) : null}
+                  </p>
+                  {rulemaking.what ? <p className="mt-2 text-sm leading-6 text-zinc-300">{ensureSentenceEnding(field(rulemaking, "what"))}</p> : null}
+                  {rulemaking.sources?.length ? (
+                    <div className="mt-2">
+                      <SourceDisclosure sources={rulemaking.sources} summaryLabel={t("common.sources")} />
+                    </div>
+                  ) : null}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <div>
+            <h3 className="mb-2 text-sm font-semibold uppercase tracking-wider text-zinc-400">{t("genius.upcoming")}</h3>
+            {renderEvents(upcomingEvents, t("genius.noUpcoming"))}
+          </div>
+          <div>
+            <h3 className="mb-2 text-sm font-semibold uppercase tracking-wider text-zinc-400">{t("genius.past")}</h3>
+            {renderEvents(pastEvents, t("genius.noPast"))}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function LegislationFeed({
+  rows,
+  expandedId,
+  setExpandedId,
+  bills,
+  onOpenBill,
+  filters,
+  onFiltersChange,
+  changedRowIds,
+  watchedRowIds,
+  onToggleWatch
+}) {
+  const { t } = useI18n();
+  const toggle = (id) => setExpandedId((prev) => (prev === id ? null : id));
+
+  const visibleRows = sortLegislationRows(filterLegislationRows(rows, filters), filters.sort);
+  const groups = groupLegislationRows(visibleRows, filters.group);
+
+  return (
+    <section className="mx-auto mb-8 w-full max-w-7xl px-4 sm:px-6 lg:px-8">
+      <h2 className="text-xl font-semibold tracking-tight text-zinc-100">{t("legislation.title")}</h2>
+      <LegislationFilters rows={rows} filters={filters} onChange={onFiltersChange} resultCount={visibleRows.length} />
+      <div className="mt-3 overflow-hidden rounded-2xl border border-zinc-800 bg-[#0f131c]/95">
+        {groups.length ? groups.map((group, index) => {
+          const column = getLegislationGroupColumn(t, filters.group, group.rows[0]);
+          const groupLabel = getLegislationGroupLabel(t, filters.group, group.rows[0]);
+          return (
+            <div key={group.key}>
+              {index > 0 ? <div className="h-px bg-zinc-800/60" /> : null}
+              <LegislationTable
+                label={t("legislation.group", { label: groupLabel, count: group.rows.length })}
+                col2Header={column.header}
+                rows={group.rows.map((row) => ({ ...row, midLabel: column.getMidLabel(row) }))}
+                expandedId={expandedId}
+                toggle={toggle}
+                bills={bills}
+                onOpenBill={onOpenBill}
+                changedRowIds={changedRowIds}
+                watchedRowIds={watchedRowIds}
+                onToggleWatch={onToggleWatch}
+              />
+            </div>
+          );
+        }) : (
+          <div className="px-5 py-6 text-sm text-zinc-400">
+            {t("legislation.noMatches")}{" "}
+            <button
+              type="button"
+              className="text-zinc-300 underline decoration-zinc-600 underline-offset-2 hover:text-zinc-100"
+              onClick={() => onFiltersChange(clearLegislationFilterFacets(filters))}
+            >
+              {t("common.clearFilters")}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+// Everything a shareable link restores: selection, open panel section, map filter,
+// comparison, bill dialog, legislation filters, language and the expanded row (from the hash).
+function readViewFromLocation(location, bills, legislationRows) {
+  const params = new URLSearchParams(location.search);
+  const section = getPanelSectionFromParam(params.get("section"));
+  const mapLayer = getMapLayerFromParam(params.get("layer"));
+  const expandedRow = findLegislationRowByBill(legislationRows, getBillIdFromHash(bills, location.hash));
+  let scrollTargetId = null;
+  if (expandedRow) scrollTargetId = getLegislationAnchorId(expandedRow);
+  else if (params.has("section") && section) scrollTargetId = getPanelSectionAnchorId(section);
+  return {
+    abbr: getAbbrFromStateParam(params.get("state")) || getAbbrFromStateParam(getStateSlugFromPath(location.pathname)),
+    section,
+    mapLayer,
+    legendFilter: getLegendFilterFromParam(mapLayer, params.get(mapLayer === DEFAULT_MAP_LAYER ? "status" : "filter")),
+    compareAbbrs: getCompareAbbrsFromParam(params.get("compare")),
+    openBillId: getBillIdFromParam(bills, params.get("bill")),
+    legislationFilters: getLegislationFiltersFromParams(params),
+    expandedRowId: expandedRow?.id || null,
+    locale: getLocaleFromParam(params.get("lang")),
+    mapView: MAP_VIEWS.includes(params.get("view")) ? params.get("view") : DEFAULT_MAP_VIEW,
+    scrollTargetId
+  };
+}
+
+function App({ initialStateAbbr = null }) {
+  const statesData = regulationData.states || regulationData;
+  const federalContext = regulationData.federalContext || null;
+  const stateIssuedStablecoins = regulationData.stateIssuedStablecoins || [];
+  const pendingFederalBills = regulationData.pendingFederalBills || [];
+  const majorStateDevelopments = regulationData.majorStateDevelopments || [];
+  const bills = regulationData.bills || {};
+
+  const latestDataDate = useMemo(() => getLatestDataDate(statesData), [statesData]);
+  const legislationRows = useMemo(
+    () => buildLegislationRows({ federalContext, pendingFederalBills, majorStateDevelopments, bills }),
+    [bills, federalContext, majorStateDevelopments, pendingFederalBills]
+  );
+
+  const [initialView] = useState(() => (
+    typeof window === "undefined" ? null : readViewFromLocation(window.location, bills, legislationRows)
+  ));
+  const [selectedAbbr, setSelectedAbbr] = useState(
+    () => initialView?.abbr || initialStateAbbr || DEFAULT_STATE_ABBR
+  );
+  const [locale, setLocale] = useState(() => initialView?.locale || DEFAULT_LOCALE);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t } = i18n;
+  const isLandingViewRef = useRef(!initialView?.abbr);
+  const isFirstUrlSyncRef = useRef(true);
+  const isRestoringHistoryRef = useRef(false);
+  const isEditingFiltersRef = useRef(false);
+  const [historyRestoreKey, setHistoryRestoreKey] = useState(0);
+  const leftColumnRef = useRef(null);
+  const legendRef = useRef(null);
+  const stateSearchRef = useRef(null);
+  const detailPanelRef = useRef(null);
+  const previousSelectedAbbrRef = useRef(null);
+  const [desktopPanelHeight, setDesktopPanelHeight] = useState(null);
+  const [mapLayer, setMapLayer] = useState(() => initialView?.mapLayer || DEFAULT_MAP_LAYER);
+  const [mapView, setMapView] = useState(() => initialView?.mapView || DEFAULT_MAP_VIEW);
+  const mapRegionRef = useRef(null);
+  const longPressRef = useRef({ timer: null, x: 0, y: 0, didOpen: false });
+  const [mapTooltip, setMapTooltip] = useState(null);
+  const [isSelectionAnnounced, setIsSelectionAnnounced] = useState(false);
+  const [activeLegendFilter, setActiveLegendFilter] = useState(() => initialView?.legendFilter || null);
+  const [stateSearchQuery, setStateSearchQuery] = useState("");
+  const [isStateSearchOpen, setIsStateSearchOpen] = useState(false);
+  // The open section belongs to the state it was opened for, so selecting another
+  // state shows its summary in the same render (and the same history entry).
+  const [panelSection, setPanelSection] = useState(() => ({
+    abbr: selectedAbbr,
+    section: initialView ? initialView.section : DEFAULT_PANEL_SECTION
   }));
+  const activePanelSection = panelSection.abbr === selectedAbbr ? panelSection.section : DEFAULT_PANEL_SECTION;
+  const setActivePanelSection = useCallback((next) => {
+    setPanelSection((current) => {
+      const previous = current.abbr === selectedAbbr ? current.section : DEFAULT_PANEL_SECTION;
+      return { abbr: selectedAbbr, section: typeof next === "function" ? next(previous) : next };
+    });
+  }, [selectedAbbr]);
+  const [expandedLegislationId, setExpandedLegislationId] = useState(() => initialView?.expandedRowId || null);
+  const [legislationFilters, setLegislationFilters] = useState(
+    () => initialView?.legislationFilters || DEFAULT_LEGISLATION_FILTERS
+  );
+  const [scrollTargetId, setScrollTargetId] = useState(() => initialView?.scrollTargetId || null);
+  const [compareAbbrs, setCompareAbbrs] = useState(() => initialView?.compareAbbrs || []);
+  const [openBillId, setOpenBillId] = useState(() => initialView?.openBillId || null);
+  const [mapTopology, setMapTopology] = useState(null);
+  const [replayIndex, setReplayIndex] = useState(null);
+  const [visitChanges, setVisitChanges] = useState(null);
+  const [isVisitChangesOpen, setIsVisitChangesOpen] = useState(false);
+  const pendingVisitSnapshotRef = useRef(null);
+  const [watchlist, setWatchlist] = useState(EMPTY_WATCHLIST);
+  const [isWatchedOnly, setIsWatchedOnly] = useState(false);
+  const [watchlistError, setWatchlistError] = useState(null);
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+  const [citationTarget, setCitationTarget] = useState(null);
+  const [freshnessToday, setFreshnessToday] = useState(null);
+  const [freshnessThresholds, setFreshnessThresholds] = useState(DEFAULT_FRESHNESS_THRESHOLDS);
+  const [isFreshnessOpen, setIsFreshnessOpen] = useState(false);
+  const [isEmbedOpen, setIsEmbedOpen] = useState(false);
+  const [briefStatus, setBriefStatus] = useState(null);
+  const briefRef = useRef(null);
+
+  // Prerendered markup has no "today"; until the client sets it, ages are measured
+  // against the newest date in the dataset so hydration sees the same markup.
+  const freshness = useMemo(
+    () => ({ today: freshnessToday || latestDataDate, thresholds: freshnessThresholds }),
+    [freshnessThresholds, freshnessToday, latestDataDate]
+  );
+  // The slider runs to today, so months after the newest update replay the current map.
+  const replayMonths = useMemo(() => buildReplayMonths(REPLAY_START_DATE, freshness.today), [freshness.today]);
+  const freshnessRows = useMemo(
+    () => buildFreshnessRows({ statesData, federalContext, pendingFederalBills, majorStateDevelopments, stateIssuedStablecoins }, freshness),
+    [federalContext, freshness, majorStateDevelopments, pendingFederalBills, stateIssuedStablecoins, statesData]
+  );
+  const staleRecordCount = freshnessRows.filter((row) => row.level === "stale").length;
+  const selectedLastUpdated = statesData[selectedAbbr]?.lastUpdated;
+  const isSelectedStateStale = getFreshnessLevel(selectedLastUpdated, freshness) === "stale";
+  const mapAsOfDate = replayIndex === null ? null : replayMonths[replayIndex];
+
+  const selectedState = useMemo(
+    () => localizeStateEntry(getStateEntry(statesData, selectedAbbr), i18n),
+    [i18n, selectedAbbr, statesData]
+  );
+
+  const selectedStatus = normalizeStatus(selectedState.status);
+  const selectedStatusMeta = i18n.statusMeta(selectedStatus);
+  const activeMapLayer = useMemo(() => i18n.mapLayer(mapLayer), [i18n, mapLayer]);
+  const selectedStateIssuedPrograms = useMemo(
+    () => getStateIssuedPrograms(stateIssuedStablecoins, selectedAbbr, selectedState?.name),
+    [selectedAbbr, selectedState?.name, stateIssuedStablecoins]
+  );
+  const selectedRegulatoryBody = selectedState.regulatoryBody || t("panel.defaultRegulator");
+  const timelineEntries = selectedState.timeline || [];
+  const stateBrief = useMemo(() => buildStateBrief({
+    abbr: selectedAbbr,
+    entry: selectedState,
+    regulatoryBody: selectedRegulatoryBody,
+    programs: selectedStateIssuedPrograms,
+    bills,
+    federalContext,
+    today: freshness.today,
+    i18n
+  }), [bills, federalContext, freshness.today, i18n, selectedAbbr, selectedRegulatoryBody, selectedState, selectedStateIssuedPrograms]);
+
+  const compareColumns = useMemo(
+    () =>
+      compareAbbrs.map((abbr) => {
+        const entry = localizeStateEntry(getStateEntry(statesData, abbr), i18n);
+        return {
+          abbr,
+          entry,
+          statusMeta: i18n.statusMeta(normalizeStatus(entry.status)),
+          programs: getStateIssuedPrograms(stateIssuedStablecoins, abbr, entry.name)
+        };
+      }),
+    [compareAbbrs, i18n, stateIssuedStablecoins, statesData]
+  );
+
+  const toggleCompareState = (abbr) => {
+    if (!abbr) return;
+    setCompareAbbrs((prev) => {
+      const seeded = prev.length ? prev : [selectedAbbr];
+      if (seeded.includes(abbr)) {
+        const remaining = seeded.filter((item) => item !== abbr);
+        return remaining.length >= 2 ? remaining : [];
+      }
+      if (seeded.length >= MAX_COMPARE_STATES) return seeded;
+      return [...seeded, abbr];
+    });
+  };
+
+  const getMapStateLook = (abbr) => {
+    const currentValue = getMapLayerValue(abbr ? statesData[abbr] : null, mapLayer, mapAsOfDate, freshness);
+    const isSelected = abbr === selectedAbbr;
+    return {
+      currentValue,
+      isSelected,
+      isCompared: compareAbbrs.includes(abbr),
+      isChanged: changedStateAbbrs.has(abbr),
+      matchesFilter: (!activeLegendFilter || activeLegendFilter === currentValue)
+        && (!watchedOnly || watchlist.states.includes(abbr)),
+      ...getStateFills(activeMapLayer.values[currentValue].color, isSelected)
+    };
+  };
+
+  // Map paths and callout boxes share these so both behave as the same control.
+  const getMapStateControlProps = (abbr, look) => ({
+    onClick: (event) => {
+      if (!abbr) return;
+      // The tap that ends a long-press only reveals the tooltip; it does not select.
+      if (longPressRef.current.didOpen) {
+        longPressRef.current.didOpen = false;
+        return;
+      }
+      if (event.shiftKey) {
+        toggleCompareState(abbr);
+        return;
+      }
+      setSelectedAbbr(abbr);
+    },
+    onKeyDown: (event) => {
+      if (!abbr) return;
+      if (MAP_ARROW_DIRECTIONS[event.key]) {
+        event.preventDefault();
+        focusMapNeighbor(abbr, MAP_ARROW_DIRECTIONS[event.key]);
+        return;
+      }
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        if (event.shiftKey) {
+          toggleCompareState(abbr);
+          return;
+        }
+        setSelectedAbbr(abbr);
+      }
+    },
+    onPointerMove: (event) => {
+      if (!abbr) return;
+      if (event.pointerType === "mouse") {
+        setMapTooltip({ abbr, source: "pointer", x: event.clientX, top: event.clientY, bottom: event.clientY });
+      } else if (
+        longPressRef.current.timer
+        && Math.hypot(event.clientX - longPressRef.current.x, event.clientY - longPressRef.current.y) > LONG_PRESS_MOVE_TOLERANCE
+      ) {
+        cancelLongPress();
+      }
+    },
+    onPointerLeave: (event) => {
+      if (event.pointerType === "mouse") hideMapTooltip(abbr, "pointer");
+    },
+    onPointerDown: (event) => {
+      cancelLongPress();
+      longPressRef.current.didOpen = false;
+      if (!abbr || event.pointerType === "mouse") return;
+      const { clientX: x, clientY: y } = event;
+      longPressRef.current.x = x;
+      longPressRef.current.y = y;
+      longPressRef.current.timer = window.setTimeout(() => {
+        longPressRef.current.timer = null;
+        longPressRef.current.didOpen = true;
+        setMapTooltip({ abbr, source: "touch", x, top: y, bottom: y });
+      }, LONG_PRESS_MS);
+    },
+    onPointerUp: cancelLongPress,
+    onPointerCancel: cancelLongPress,
+    onContextMenu: (event) => {
+      if (longPressRef.current.didOpen || longPressRef.current.timer) event.preventDefault();
+    },
+    onFocus: (event) => {
+      if (!abbr || !isKeyboardFocus(event.currentTarget)) return;
+      const rect = event.currentTarget.getBoundingClientRect();
+      setMapTooltip({
+        abbr,
+        source: "focus",
+        isCentered: true,
+        x: rect.left + rect.width / 2,
+        top: rect.top,
+        bottom: rect.bottom
+      });
+    },
+    onBlur: () => hideMapTooltip(abbr, "focus"),
+    role: "button",
+    // One tab stop for the whole map; arrow keys move between states from there.
+    tabIndex: abbr === selectedAbbr ? 0 : -1,
+    "data-abbr": abbr || undefined,
+    "aria-label": abbr ? t("map.stateLabel", { name: ALL_STATES[abbr], value: activeMapLayer.values[look.currentValue].label }) : undefined,
+    "aria-pressed": abbr ? look.isSelected : undefined,
+    "aria-describedby": mapTooltip?.abbr === abbr ? "map-tooltip" : undefined
+  });
 
-  return (
-    <section className="mx-auto mb-8 w-full max-w-7xl px-4 sm:px-6 lg:px-8">
-      <h2 className="text-xl font-semibold tracking-tight text-zinc-100">Top Legislation and Status</h2>
-      <div className="mt-3 overflow-hidden rounded-2xl border border-zinc-800 bg-[#0f131c]/95">
-        <LegislationTable label="Federal" col2Header="Category" rows={federalRows} expandedId={expandedId} toggle={toggle} />
-        <div className="h-px bg-zinc-800/60" />
-        <LegislationTable label="State" col2Header="State" rows={stateRows} expandedId={expandedId} toggle={toggle} />
-      </div>
-    </section>
-  );
-}
+  const renderMapGeography = (geo) => {
+    const abbr = getGeographyAbbr(geo);
+    const look = getMapStateLook(abbr);
+    const { isSelected, isCompared, isChanged, matchesFilter } = look;
+    // States drawn with a callout box are reached through the box; the path itself stays
+    // clickable but out of the tab order and the accessibility tree.
+    const calloutProps = NORTHEAST_CALLOUT_ABBRS.includes(abbr)
+      ? { tabIndex: -1, "data-abbr": undefined, "aria-hidden": true }
+      : {};
 
-function App() {
-  const statesData = regulationData.states || regulationData;
-  const federalContext = regulationData.federalContext || null;
-  const stateIssuedStablecoins = regulationData.stateIssuedStablecoins || [];
-  const pendingFederalBills = regulationData.pendingFederalBills || [];
-  const majorStateDevelopments = regulationData.majorStateDevelopments || [];
+    return (
+      <Geography
+        className="transition-all duration-200 ease-out focus:outline-none focus-visible:outline focus-visible:outline-2 focus-visible:outline-zinc-100"
+        key={geo.rsmKey}
+        geography={geo}
+        {...getMapStateControlProps(abbr, look)}
+        {...calloutProps}
+        style={getStateGeographyStyle({
+          fills: look,
+          isSelected,
+          matchesFilter,
+          stroke: isCompared ? "#f4f4f5" : (isChanged ? "#fbbf24" : "#111111"),
+          strokeWidth: isCompared || isChanged ? 1.6 : 0.9,
+          isInteractive: Boolean(abbr)
+        })}
+      />
+    );
+  };
 
-  const allLastUpdated = useMemo(
-    () =>
-      Object.values(statesData)
-        .map((item) => item.lastUpdated)
-        .filter(Boolean)
-        .sort(),
-    [statesData]
-  );
+  const renderMapCallout = ({ abbr, anchor }, index) => {
+    const look = getMapStateLook(abbr);
+    const { isSelected, isCompared, isChanged, matchesFilter } = look;
+    return (
+      <MapCallout
+        key={abbr}
+        abbr={abbr}
+        anchor={anchor}
+        index={index}
+        fill={isSelected ? look.selectedFill : (matchesFilter ? look.baseFill : look.mutedFill)}
+        opacity={isSelected ? 1 : (matchesFilter ? 0.97 : 0.42)}
+        stroke={isSelected || isCompared ? "#f4f4f5" : (isChanged ? "#fbbf24" : "#3f3f46")}
+        strokeWidth={isSelected || isCompared || isChanged ? 1.6 : 0.9}
+        isMuted={!isSelected && !matchesFilter}
+        controlProps={getMapStateControlProps(abbr, look)}
+      />
+    );
+  };
 
-  const latestDataDate = allLastUpdated[allLastUpdated.length - 1] || "2026-02-16";
+  const hideMapTooltip = (abbr, source = null) => {
+    setMapTooltip((current) => (
+      current && current.abbr === abbr && (!source || current.source === source) ? null : current
+    ));
+  };
 
-  const [selectedAbbr, setSelectedAbbr] = useState(() => {
-    if (typeof window === "undefined") return DEFAULT_STATE_ABBR;
-    const fromQuery = getAbbrFromStateParam(new URLSearchParams(window.location.search).get("state"));
-    return fromQuery || DEFAULT_STATE_ABBR;
-  });
-  const leftColumnRef = useRef(null);
-  const legendRef = useRef(null);
-  const stateSearchRef = useRef(null);
-  const detailPanelRef = useRef(null);
-  const previousSelectedAbbrRef = useRef(null);
-  const [desktopPanelHeight, setDesktopPanelHeight] = useState(null);
-  const [activeStatusFilter, setActiveStatusFilter] = useState(null);
-  const [stateSearchQuery, setStateSearchQuery] = useState("");
-  const [isStateSearchOpen, setIsStateSearchOpen] = useState(false);
-  const [activePanelSection, setActivePanelSection] = useState("summary");
+  const cancelLongPress = () => {
+    window.clearTimeout(longPressRef.current.timer);
+    longPressRef.current.timer = null;
+  };
 
-  const selectedState = useMemo(() => {
-    const fromData = statesData[selectedAbbr];
-    if (fromData) return fromData;
+  const mapTooltipEntry = useMemo(
+    () => (mapTooltip ? localizeStateEntry(getStateEntry(statesData, mapTooltip.abbr), i18n) : null),
+    [i18n, mapTooltip?.abbr, statesData]
+  );
+  const mapTooltipSource = mapTooltip?.source || null;
 
-    const name = ALL_STATES[selectedAbbr] || "Unknown";
-    return {
-      name,
-      status: "federal_default",
-      summary:
-        `${name} does not currently have a clearly identified state-specific stablecoin framework in this dataset. ` +
-        "As a baseline, activity may still be governed by federal stablecoin rules plus general money transmission, banking, and consumer protection law.",
-      keyLaws: ["No dedicated state-level stablecoin framework identified in this dataset."],
-      recentDevelopments:
-        "No major state-specific stablecoin development is currently listed in this starter dataset.",
-      sources: [],
-      lastUpdated: latestDataDate
+  useEffect(() => {
+    if (!mapTooltipSource) return undefined;
+    const hide = () => setMapTooltip(null);
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") hide();
+    };
+    window.addEventListener("scroll", hide, true);
+    window.addEventListener("keydown", handleKeyDown);
+    // A long-press tooltip has no pointer to leave the state, so the next touch anywhere dismisses it.
+    if (mapTooltipSource === "touch") document.addEventListener("pointerdown", hide);
+    return () => {
+      window.removeEventListener("scroll", hide, true);
+      window.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("pointerdown", hide);
     };
-  }, [latestDataDate, selectedAbbr, statesData]);
+  }, [mapTooltipSource]);
 
-  const selectedStatus = normalizeStatus(selectedState.status);
-  const selectedStatusMeta = STATUS_META[selectedStatus];
-  const selectedStateIssuedPrograms = useMemo(() => {
-    const selectedName = (selectedState?.name || "").trim().toLowerCase();
-    return stateIssuedStablecoins.filter((item) => {
-      const code = String(item.state || "").trim().toUpperCase();
-      const stateName = (ALL_STATES[code] || "").trim().toLowerCase();
-      const directName = String(item.state || "").trim().toLowerCase();
-      return code === selectedAbbr || stateName === selectedName || directName === selectedName;
+  const focusMapNeighbor = (abbr, direction) => {
+    const elements = [...(mapRegionRef.current?.querySelectorAll("[data-abbr]") || [])];
+    const points = elements.map((element) => ({ key: element.dataset.abbr, ...getElementCenter(element) }));
+    const nextAbbr = findNeighborInDirection(abbr, points, direction);
+    elements.find((element) => element.dataset.abbr === nextAbbr)?.focus();
+  };
+
+  const matchesLegendFilter = (abbr) =>
+    !activeLegendFilter || getMapLayerValue(statesData[abbr], mapLayer, null, freshness) === activeLegendFilter;
+
+  const stateTableRows = useMemo(() => {
+    const statusOrder = i18n.mapLayer(DEFAULT_MAP_LAYER).order;
+    return Object.keys(ALL_STATES).map((abbr) => {
+      const entry = getStateEntry(statesData, abbr);
+      const status = normalizeStatus(entry.status);
+      const layerValue = getMapLayerValue(statesData[abbr], mapLayer, null, freshness);
+      const statusMeta = i18n.statusMeta(status);
+      return {
+        abbr,
+        name: entry.name,
+        statusMeta,
+        statusLabel: statusMeta.label,
+        statusOrder: statusOrder.indexOf(status),
+        layerMeta: activeMapLayer.values[layerValue],
+        layerOrder: activeMapLayer.order.indexOf(layerValue),
+        regulator: entry.regulatoryBody || i18n.t("panel.defaultRegulator"),
+        keyLawCount: entry.placeholderKind ? 0 : (entry.keyLaws || []).length,
+        lastUpdated: statesData[abbr]?.lastUpdated || ""
+      };
     });
-  }, [selectedAbbr, selectedState?.name, stateIssuedStablecoins]);
-  const selectedRegulatoryBody = selectedState.regulatoryBody || "State financial regulator(s); see sources for detail.";
-  const timelineEntries = selectedState.timeline || [];
+  }, [activeMapLayer, freshness, i18n, mapLayer, statesData]);
+
+  const handleExport = (dataset, format) => {
+    const filterSuffix = activeLegendFilter
+      ? `${mapLayer === DEFAULT_MAP_LAYER ? "" : `-${toMapLayerParam(mapLayer)}`}-${activeLegendFilter.replace(/_/g, "-")}`
+      : "";
+    const legendFilter = activeLegendFilter ? { layer: mapLayer, value: activeLegendFilter } : null;
+    let basename;
+    let sheets;
+    let jsonValue;
+
+    if (dataset === "states") {
+      const records = Object.keys(ALL_STATES)
+        .filter(matchesLegendFilter)
+        .map((abbr) => toStateExportRecord(abbr, getStateEntry(statesData, abbr), bills));
+      basename = `stablecoin-states${filterSuffix}`;
+      sheets = [{ name: "States", columns: STATE_EXPORT_COLUMNS, rows: records }];
+      jsonValue = { asOf: latestDataDate, filter: legendFilter, states: records };
+    } else if (dataset === "legislation") {
+      const federal = buildFederalLegislationRows(federalContext, pendingFederalBills, bills)
+        .map((row) => toLegislationExportRecord(row, bills));
+      const state = buildStateLegislationRows(majorStateDevelopments, bills)
+        .filter((row) => matchesLegendFilter(row.stateAbbr))
+        .map((row) => toLegislationExportRecord(row, bills));
+      basename = `stablecoin-legislation${filterSuffix}`;
+      sheets = [
+        { name: LEGISLATION_LEVEL_EXPORT_LABELS.federal, columns: LEGISLATION_EXPORT_COLUMNS, rows: federal },
+        { name: LEGISLATION_LEVEL_EXPORT_LABELS.state, columns: LEGISLATION_EXPORT_COLUMNS, rows: state }
+      ];
+      jsonValue = { asOf: latestDataDate, filter: legendFilter, federal, state };
+    } else {
+      const record = toStateExportRecord(selectedAbbr, selectedState, bills);
+      const timeline = timelineEntries.map((item) => ({
+        date: item.date,
+        label: item.label,
+        detail: item.detail || "",
+        source: item.source || ""
+      }));
+      basename = `stablecoin-${toStateSlug(record.name)}`;
+      sheets = [
+        { name: record.name, columns: STATE_EXPORT_COLUMNS, rows: [record] },
+        { name: "Timeline", columns: TIMELINE_EXPORT_COLUMNS, rows: timeline }
+      ];
+      jsonValue = { ...record, timeline };
+    }
+
+    const filename = `${basename}-${latestDataDate}.${format}`;
+    if (format === "json") {
+      downloadFile(filename, toJson(jsonValue), EXPORT_MIME_TYPES.json);
+    } else if (format === "xml") {
+      downloadFile(filename, toSpreadsheetXml(sheets), EXPORT_MIME_TYPES.xml);
+    } else if (dataset === "state") {
+      // One flat sheet: the state's fields repeat on every timeline row.
+      const [stateSheet, timelineSheet] = sheets;
+      const rows = (timelineSheet.rows.length ? timelineSheet.rows : [{}]).map((item) => ({ ...stateSheet.rows[0], ...item }));
+      downloadFile(filename, toCsv([...STATE_EXPORT_COLUMNS, ...TIMELINE_EXPORT_COLUMNS], rows), EXPORT_MIME_TYPES.csv);
+    } else {
+      const columns = sheets[0].columns;
+      downloadFile(filename, toCsv(columns, sheets.flatMap((sheet) => sheet.rows)), EXPORT_MIME_TYPES.csv);
+    }
+  };
 
   const stateSearchCatalog = useMemo(
     () =>
@@ -752,15 +3144,272 @@ function App() {
     ).slice(0, 8);
   }, [stateSearchCatalog, stateSearchQuery]);
 
+  const searchIndex = useMemo(
+    () => buildSearchIndex({ statesData, bills, federalContext, pendingFederalBills, majorStateDevelopments, stateIssuedStablecoins, t }),
+    [bills, federalContext, majorStateDevelopments, pendingFederalBills, stateIssuedStablecoins, statesData, t]
+  );
+  const searchPattern = useMemo(() => buildSearchPattern(stateSearchQuery), [stateSearchQuery]);
+
+  const contentSearchGroups = useMemo(() => {
+    if (!searchPattern) return [];
+    return SEARCH_GROUPS
+      .map((type) => ({
+        type,
+        label: t(`search.group.${type}`),
+        results: searchIndex
+          .filter((doc) => doc.type === type && searchPattern.test(doc.text))
+          .slice(0, SEARCH_RESULTS_PER_GROUP)
+          .map((doc) => ({ ...doc, snippet: getSearchSnippet(doc.text, searchPattern) }))
+      }))
+      .filter((group) => group.results.length);
+  }, [searchIndex, searchPattern, t]);
+
+  const hasSearchResults = stateSearchResults.length > 0 || contentSearchGroups.length > 0;
+
+  const openStateSection = (abbr, section) => {
+    setSelectedAbbr(abbr);
+    setPanelSection({ abbr, section });
+  };
+
+  const closeSearch = () => {
+    setStateSearchQuery("");
+    setIsStateSearchOpen(false);
+  };
+
+  const changedStateAbbrs = useMemo(
+    () => new Set(visitChanges?.states.map((change) => change.key) || []),
+    [visitChanges]
+  );
+  const changedRowIds = useMemo(
+    () => new Set(visitChanges?.legislation.map((change) => change.key) || []),
+    [visitChanges]
+  );
+  const visitChangeCount = changedStateAbbrs.size + changedRowIds.size;
+  // With nothing starred the filter would hide everything, so it switches itself off.
+  const watchedOnly = isWatchedOnly && !isWatchlistEmpty(watchlist);
+  const visibleStateTableRows = stateTableRows.filter((row) =>
+    matchesLegendFilter(row.abbr) && (!watchedOnly || watchlist.states.includes(row.abbr))
+  );
+
+  const openTarget = (target) => {
+    if (target.kind === "state") {
+      openStateSection(target.abbr, target.section);
+    } else if (target.kind === "bill") {
+      setOpenBillId(target.billId);
+    } else {
+      const row = legislationRows.find((item) => item.id === target.rowId);
+      if (!row) return;
+      if (watchedOnly && !watchlist.legislation.includes(row.id)) setIsWatchedOnly(false);
+      // A search hit or bill reference may point at a row the current filters hide.
+      if (!filterLegislationRows([row], legislationFilters).length) {
+        setLegislationFilters(clearLegislationFilterFacets);
+      }
+      setExpandedLegislationId(row.id);
+      setScrollTargetId(getLegislationAnchorId(row));
+    }
+  };
+
+  const openSearchResult = (result) => {
+    openTarget(result.target);
+    closeSearch();
+  };
+
+  const billReferences = useMemo(
+    () => buildBillReferences({ federalContext, pendingFederalBills, majorStateDevelopments, statesData }),
+    [federalContext, majorStateDevelopments, pendingFederalBills, statesData]
+  );
+  const openBill = openBillId ? { id: openBillId, ...bills[openBillId] } : null;
+  const closeBillDialog = useCallback(() => setOpenBillId(null), []);
+  const closeCitationDialog = useCallback(() => setCitationTarget(null), []);
+  const citationDialog = useMemo(() => {
+    if (!citationTarget) return null;
+    const accessDate = new Date();
+    if (citationTarget.kind === "state") {
+      return {
+        title: selectedState.name,
+        isState: true,
+        citations: getStateCitations({
+          abbr: selectedAbbr,
+          entry: selectedState,
+          bills,
+          majorStateDevelopments,
+          programs: selectedStateIssuedPrograms,
+          accessDate
+        })
+      };
+    }
+    return {
+      title: citationTarget.label,
+      isState: false,
+      citations: [getSourceCitation(citationTarget.url, { bills, accessDate })]
+    };
+  }, [bills, citationTarget, majorStateDevelopments, selectedAbbr, selectedState, selectedStateIssuedPrograms]);
+  const closeVisitChanges = useCallback(() => setIsVisitChangesOpen(false), []);
+  const closeFreshness = useCallback(() => setIsFreshnessOpen(false), []);
+  const closeEmbed = useCallback(() => setIsEmbedOpen(false), []);
+
   useEffect(() => {
-    setActivePanelSection("summary");
-  }, [selectedAbbr]);
+    const storage = getBrowserStorage();
+    if (storage) setWatchlist(readWatchlist(storage));
+  }, []);
+
+  useEffect(() => {
+    setFreshnessToday(toLocalIsoDate(new Date()));
+    const storage = getBrowserStorage();
+    if (storage) setFreshnessThresholds(readFreshnessThresholds(storage));
+  }, []);
+
+  const updateFreshnessThresholds = (nextThresholds) => {
+    setFreshnessThresholds(nextThresholds);
+    const storage = getBrowserStorage();
+    if (storage) writeFreshnessThresholds(storage, nextThresholds);
+  };
+
+  const updateWatchlist = (nextWatchlist) => {
+    setWatchlist(nextWatchlist);
+    setWatchlistError(null);
+    const storage = getBrowserStorage();
+    if (storage) writeWatchlist(storage, nextWatchlist);
+  };
+
+  const downloadStateBrief = () => {
+    const svg = briefRef.current?.querySelector(".brief-locator svg");
+    setBriefStatus("pending");
+    // A brief without the locator map beats no brief, so a failed rasterize is not fatal.
+    (svg ? rasterizeSvg(svg).catch(() => null) : Promise.resolve(null))
+      .then((locatorImage) => renderStateBriefPdf(stateBrief, {
+        locatorImage,
+        labels: {
+          title: t("brief.title"),
+          lastUpdated: stateBrief.lastUpdated ? t("brief.lastUpdated", { date: stateBrief.lastUpdated }) : null,
+          generated: t("brief.generated", { date: stateBrief.generatedOn }),
+          signed: t("brief.signed", { date: stateBrief.federal?.signedDate }),
+          sources: t("panel.sources")
+        }
+      }))
+      .then((blob) => {
+        downloadFile(getStateBriefFileName(stateBrief.name), blob, "application/pdf");
+        setBriefStatus(null);
+      })
+      .catch(() => setBriefStatus("failed"));
+  };
+
+  const importWatchlist = (file) => {
+    file.text()
+      .then((text) => {
+        const imported = parseWatchlistFile(text, {
+          stateAbbrs: Object.keys(ALL_STATES),
+          legislationIds: legislationRows.map((row) => row.id)
+        });
+        // Imports merge into the current list so a shared file never wipes personal picks.
+        updateWatchlist({
+          states: [...new Set([...watchlist.states, ...imported.states])],
+          legislation: [...new Set([...watchlist.legislation, ...imported.legislation])]
+        });
+      })
+      .catch((error) => setWatchlistError(t("watchlist.importError", {
+        reason: error.code ? t(`watchlist.error.${error.code}`, { version: error.version }) : error.message
+      })));
+  };
+
+  useEffect(() => {
+    const storage = getBrowserStorage();
+    if (!storage) return;
+    // Diff against what was shown last time. When there are changes, the old snapshot is
+    // kept until the drawer is opened or dismissed, so a reload before then shows them again.
+    const current = buildVisitSnapshot({
+      statesData,
+      legislationRows,
+      visitedAt: new Date().toLocaleDateString("en-CA")
+    });
+    const previous = readVisitSnapshot(storage);
+    const changes = previous ? diffVisitSnapshots(previous, current) : null;
+    if (changes && (changes.states.length || changes.legislation.length)) {
+      pendingVisitSnapshotRef.current = current;
+      setVisitChanges(changes);
+      return;
+    }
+    pendingVisitSnapshotRef.current = null;
+    writeVisitSnapshot(storage, current);
+  }, [legislationRows, statesData]);
+
+  const acknowledgeVisitChanges = useCallback(() => {
+    const storage = getBrowserStorage();
+    if (!storage || !pendingVisitSnapshotRef.current) return;
+    writeVisitSnapshot(storage, pendingVisitSnapshotRef.current);
+    pendingVisitSnapshotRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    let isCancelled = false;
+    // Loaded once and shared by the main map and the territory insets.
+    fetch(geoUrl)
+      .then((response) => response.json())
+      .then((topology) => {
+        if (!isCancelled) setMapTopology(topology);
+      })
+      .catch(() => {});
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!scrollTargetId || typeof document === "undefined") return;
+    document.getElementById(scrollTargetId)?.scrollIntoView({
+      behavior: "smooth",
+      block: "center"
+    });
+    setScrollTargetId(null);
+  }, [scrollTargetId]);
+
+  useEffect(() => {
+    if (typeof window === "undefined") return undefined;
+    // Same-document history entries get their scroll position back from the browser,
+    // so restoring only needs to put the view state back.
+    const handlePopState = () => {
+      const view = readViewFromLocation(window.location, bills, legislationRows);
+      const abbr = view.abbr || initialStateAbbr || DEFAULT_STATE_ABBR;
+      isRestoringHistoryRef.current = true;
+      setSelectedAbbr(abbr);
+      setPanelSection({ abbr, section: view.section });
+      setMapLayer(view.mapLayer);
+      setMapView(view.mapView);
+      setActiveLegendFilter(view.legendFilter);
+      setCompareAbbrs(view.compareAbbrs);
+      setOpenBillId(view.openBillId);
+      setLegislationFilters(view.legislationFilters);
+      setExpandedLegislationId(view.expandedRowId);
+      setLocale(view.locale);
+      // Forces one URL sync even when the restored view matches the current one.
+      setHistoryRestoreKey((key) => key + 1);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [bills, initialStateAbbr, legislationRows]);
+
+  useEffect(() => {
+    if (!isReplayPlaying) return undefined;
+
+    if (replayIndex !== null && replayIndex >= replayMonths.length - 1) {
+      setIsReplayPlaying(false);
+      setReplayIndex(null);
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => {
+      setReplayIndex((prev) => (prev === null ? 0 : prev + 1));
+    }, REPLAY_STEP_MS);
+
+    return () => window.clearTimeout(timer);
+  }, [isReplayPlaying, replayIndex, replayMonths.length]);
 
   useEffect(() => {
     if (typeof window === "undefined") return;
     const previous = previousSelectedAbbrRef.current;
     previousSelectedAbbrRef.current = selectedAbbr;
     if (!previous || previous === selectedAbbr) return;
+    setIsSelectionAnnounced(true);
     if (window.innerWidth >= 1024) return;
 
     detailPanelRef.current?.scrollIntoView({
@@ -819,401 +3468,724 @@ function App() {
     if (!selectedName) return;
 
     const url = new URL(window.location.href);
-    url.searchParams.set("state", toStateSlug(selectedName));
-    const nextPath = `${url.pathname}?${url.searchParams.toString()}${url.hash}`;
-    window.history.replaceState({}, "", nextPath);
-  }, [selectedAbbr]);
+    if (getStateSlugFromPath(url.pathname)) {
+      url.pathname = getStatePagePath(selectedName);
+      url.searchParams.delete("state");
+    } else {
+      url.searchParams.set("state", toStateSlug(selectedName));
+    }
+    if (activePanelSection !== DEFAULT_PANEL_SECTION) {
+      url.searchParams.set("section", activePanelSection || "none");
+    } else {
+      url.searchParams.delete("section");
+    }
+    if (mapLayer !== DEFAULT_MAP_LAYER) {
+      url.searchParams.set("layer", toMapLayerParam(mapLayer));
+    } else {
+      url.searchParams.delete("layer");
+    }
+    if (mapView !== DEFAULT_MAP_VIEW) {
+      url.searchParams.set("view", mapView);
+    } else {
+      url.searchParams.delete("view");
+    }
+    // The overall-status layer keeps its original `status` param so older links still work.
+    url.searchParams.delete("status");
+    url.searchParams.delete("filter");
+    if (activeLegendFilter) {
+      url.searchParams.set(mapLayer === DEFAULT_MAP_LAYER ? "status" : "filter", activeLegendFilter.replace(/_/g, "-"));
+    }
+    if (openBillId) {
+      url.searchParams.set("bill", openBillId);
+    } else {
+      url.searchParams.delete("bill");
+    }
+    if (compareAbbrs.length) {
+      url.searchParams.set("compare", compareAbbrs.map((abbr) => abbr.toLowerCase()).join(","));
+    } else {
+      url.searchParams.delete("compare");
+    }
+    setLegislationFilterParams(url.searchParams, legislationFilters);
+    if (locale !== DEFAULT_LOCALE) {
+      url.searchParams.set("lang", locale);
+    } else {
+      url.searchParams.delete("lang");
+    }
+    const expandedRow = legislationRows.find((row) => row.id === expandedLegislationId);
+    url.hash = expandedRow?.bills?.length ? getLegislationAnchorId(expandedRow) : "";
+    const query = url.searchParams.toString().replace(/%2C/gi, ",");
+    const nextPath = `${url.pathname}${query ? `?${query}` : ""}${url.hash}`;
+
+    // The first sync only normalizes the landing URL, and a popstate restore must not
+    // add an entry of its own. A run of legislation filter edits (typing a date, toggling
+    // chips) shares one history entry: the first edit pushes, the rest replace it. Every
+    // other view change is a new history entry.
+    const isRestoring = isFirstUrlSyncRef.current || isRestoringHistoryRef.current;
+    isFirstUrlSyncRef.current = false;
+    isRestoringHistoryRef.current = false;
+    if (isRestoring) isEditingFiltersRef.current = false;
+    if (nextPath === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    const isFilterEdit = !isRestoring
+      && url.hash === window.location.hash
+      && isLegislationFilterOnlyChange(window.location.search, url.search);
+    const shouldReplace = isRestoring || (isFilterEdit && isEditingFiltersRef.current);
+    isEditingFiltersRef.current = isFilterEdit;
+    window.history[shouldReplace ? "replaceState" : "pushState"]({}, "", nextPath);
+  }, [
+    activePanelSection,
+    activeLegendFilter,
+    compareAbbrs,
+    expandedLegislationId,
+    historyRestoreKey,
+    legislationFilters,
+    legislationRows,
+    locale,
+    mapLayer,
+    mapView,
+    openBillId,
+    selectedAbbr
+  ]);
 
   useEffect(() => {
     if (typeof document === "undefined") return;
-    const selectedName = ALL_STATES[selectedAbbr] || selectedState.name || "United States Stablecoin Regulation";
-    const pageTitle = "United States Stablecoin Regulation";
-    const summary = selectedState.summary || "State-by-state stablecoin framework tracker.";
-    const shortSummary = summary.length > 180 ? `${summary.slice(0, 177)}...` : summary;
-
-    document.title = pageTitle;
-    const descriptionTag = document.querySelector("meta[name='description']");
-    if (descriptionTag) {
-      descriptionTag.setAttribute("content", `${selectedName}: ${shortSummary}`);
-    }
-  }, [selectedAbbr, selectedState.name, selectedState.summary]);
+    document.documentElement.lang = locale;
+  }, [locale]);
 
-  return (
-    <div className="min-h-screen bg-[#080b12] pt-1 text-zinc-100 sm:pt-2">
-      <header className="bg-[#080b12]/95 backdrop-blur">
-        <div className="mx-auto w-full max-w-7xl px-4 py-2 sm:px-6 lg:px-8">
-          <h1 className="text-2xl font-semibold tracking-tight sm:text-3xl lg:text-4xl">United States Stablecoin Regulation</h1>
-          <p className="mt-1 text-sm text-zinc-400 sm:text-base">
-            State-by-state tracker of stablecoin frameworks, bills, and regulatory activity.
-          </p>
-        </div>
-      </header>
+  useEffect(() => {
+    if (typeof document === "undefined") return;
+    // The untouched home page keeps its own site-wide tags; any explicit state view
+    // (deep link, prerendered page, or a click) switches to that state's metadata.
+    if (isLandingViewRef.current && selectedAbbr === (initialStateAbbr || DEFAULT_STATE_ABBR)) return;
+    isLandingViewRef.current = false;
+    applyPageMeta(getStatePageMeta(selectedAbbr, selectedState));
+  }, [initialStateAbbr, selectedAbbr, selectedState]);
 
-      <main className="mx-auto grid w-full max-w-7xl items-start gap-5 px-4 py-3 sm:px-6 lg:grid-cols-[minmax(0,1fr),360px] lg:px-8">
-        <div className="min-w-0 space-y-6" ref={leftColumnRef}>
-          <section className="h-fit px-0">
-          <div className="mb-5 flex flex-wrap items-center gap-x-5 gap-y-3 border-b border-zinc-800/80 pb-3 sm:flex-nowrap sm:overflow-x-auto" ref={legendRef}>
-            {STATUS_ORDER.map((key, index) => {
-              const value = STATUS_META[key];
-              const isFilterActive = activeStatusFilter === key;
-              const mobileTooltipPositionClass = index % 2 === 0
-                ? "left-0 translate-x-0"
-                : "right-0 left-auto translate-x-0";
-              return (
-                <div className="group relative shrink-0" key={key}>
+  return (
+    <I18nContext.Provider value={i18n}>
+      <CitationContext.Provider value={setCitationTarget}>
+        <div className="min-h-screen bg-[#080b12] pt-1 text-zinc-100 print:hidden sm:pt-2">
+          <header className="bg-[#080b12]/95 backdrop-blur">
+            <div className="mx-auto flex w-full max-w-7xl items-start justify-between gap-4 px-4 py-2 sm:px-6 lg:px-8">
+              <div className="min-w-0">
+                <h1 className="text-2xl font-semibold tracking-tight sm:text-3xl lg:text-4xl">{t("app.title")}</h1>
+                <p className="mt-1 text-sm text-zinc-400 sm:text-base">{t("app.tagline")}</p>
+              </div>
+              <div className="flex shrink-0 items-center gap-2">
+                {visitChangeCount ? (
                   <button
                     type="button"
-                    className="inline-flex items-center gap-2 border-b pb-1 text-sm font-medium transition-colors"
-                    style={{
-                      borderColor: isFilterActive ? value.chipBorder : "transparent",
-                      color: isFilterActive ? "#f4f4f5" : "#9ca3af"
-                    }}
+                    className="inline-flex items-center gap-1.5 rounded-md border border-amber-400/60 bg-amber-500/10 px-2.5 py-1 text-sm font-medium text-amber-200 hover:border-amber-300 hover:text-amber-100"
                     onClick={() => {
-                      setActiveStatusFilter((prev) => (prev === key ? null : key));
+                      acknowledgeVisitChanges();
+                      setIsVisitChangesOpen(true);
                     }}
-                    aria-controls={`legend-tooltip-${key}`}
-                    aria-pressed={isFilterActive}
                   >
-                    <span
-                      aria-hidden="true"
-                      className="inline-block h-2.5 w-2.5 rounded-full"
-                      style={{ backgroundColor: value.chipBorder }}
-                    />
-                    <span className="whitespace-nowrap">{value.label}</span>
+                    {t("visit.changesSince", { date: i18n.formatDate(visitChanges.since) })}
+                    <span className="rounded-full bg-amber-400/20 px-1.5 text-xs">{visitChangeCount}</span>
                   </button>
-                  <div
-                    id={`legend-tooltip-${key}`}
-                    className={`pointer-events-none absolute top-full z-30 mt-2 rounded-md border border-zinc-700 bg-zinc-950 px-3 py-2 text-xs text-zinc-200 opacity-0 transition-opacity duration-150 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100 ${mobileTooltipPositionClass} ${value.tooltipPositionClass || "sm:left-1/2 sm:-translate-x-1/2"} ${value.tooltipClass || "w-64 whitespace-normal"}`}
-                    title={value.description}
+                ) : null}
+                <label className="sr-only" htmlFor="locale-select">{t("app.language")}</label>
+                <select
+                  id="locale-select"
+                  className="rounded-md border border-zinc-700 bg-zinc-950/40 px-2 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600"
+                  value={locale}
+                  onChange={(event) => setLocale(event.target.value)}
+                >
+                  {Object.entries(LOCALES).map(([key, { label }]) => (
+                    <option key={key} lang={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <ExportMenu
+                  selectedStateName={selectedState.name}
+                  filterLabel={activeLegendFilter ? activeMapLayer.values[activeLegendFilter].label : null}
+                  onExport={handleExport}
+                />
+                <button
+                  type="button"
+                  className="shrink-0 rounded-md border border-zinc-700 bg-zinc-950/40 px-2.5 py-1 text-sm font-medium text-zinc-300 hover:border-zinc-600 hover:text-zinc-200"
+                  onClick={() => setIsEmbedOpen(true)}
+                >
+                  {t("embed.button")}
+                </button>
+              </div>
+            </div>
+          </header>
+
+          <main className="mx-auto grid w-full max-w-7xl items-start gap-5 px-4 py-3 sm:px-6 lg:grid-cols-[minmax(0,1fr),360px] lg:px-8">
+            <div className="min-w-0 space-y-6" ref={leftColumnRef}>
+              <section className="h-fit px-0">
+              <WatchlistStrip
+                watchlist={watchlist}
+                getStateItem={(abbr) => getStateEntry(statesData, abbr)}
+                legislationRows={legislationRows}
+                bills={bills}
+                watchedOnly={watchedOnly}
+                error={watchlistError}
+                onToggleWatchedOnly={() => setIsWatchedOnly(!watchedOnly)}
+                onOpenTarget={openTarget}
+                onExport={() => downloadFile("stablecoin-watchlist.json", serializeWatchlist(watchlist), EXPORT_MIME_TYPES.json)}
+                onImport={importWatchlist}
+              />
+              <div className="mb-5 flex flex-wrap items-center gap-x-5 gap-y-3 border-b border-zinc-800/80 pb-3 sm:flex-nowrap sm:overflow-x-auto" ref={legendRef}>
+                <label className="flex shrink-0 items-center gap-2 text-sm text-zinc-500">
+                  {t("map.layer")}
+                  <select
+                    className="rounded-md border border-zinc-700 bg-zinc-950/60 px-2 py-1 text-sm text-zinc-200"
+                    value={mapLayer}
+                    onChange={(event) => {
+                      setMapLayer(event.target.value);
+                      setActiveLegendFilter(null);
+                      setIsReplayPlaying(false);
+                      setReplayIndex(null);
+                    }}
                   >
-                    {value.description}
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-          <div className="relative">
-            <ComposableMap projection="geoAlbersUsa" className="block h-auto w-full bg-transparent">
-              <Geographies geography={geoUrl}>
-                {({ geographies }) =>
-                  geographies.map((geo) => {
-                    const fips = String(geo.id).padStart(2, "0");
-                    const abbr = FIPS_TO_ABBR[fips] || STATE_NAME_TO_ABBR[geo.properties.name];
-                    const currentState = abbr ? statesData[abbr] : null;
-                    const currentStatus = normalizeStatus(currentState?.status);
-                    const isSelected = abbr === selectedAbbr;
-                    const matchesFilter = !activeStatusFilter || activeStatusFilter === currentStatus;
-                    const baseFill = STATUS_META[currentStatus].color;
-                    const mutedFill = "#2f3744";
-                    const selectedFill = shiftHexColor(baseFill, 26);
-                    const hoverFill = isSelected ? shiftHexColor(baseFill, 34) : shiftHexColor(baseFill, 14);
-                    const pressedFill = shiftHexColor(baseFill, 38);
-
-                    return (
-                      <Geography
-                        className="transition-all duration-200 ease-out"
-                        key={geo.rsmKey}
-                        geography={geo}
-                        onClick={() => {
-                          if (abbr) setSelectedAbbr(abbr);
-                        }}
-                        onKeyDown={(event) => {
-                          if (!abbr) return;
-                          if (event.key === "Enter" || event.key === " ") {
-                            event.preventDefault();
-                            setSelectedAbbr(abbr);
-                          }
-                        }}
-                        role="button"
-                        tabIndex={abbr ? 0 : -1}
+                    {MAP_LAYERS.map((layer) => (
+                      <option key={layer.key} value={layer.key}>{i18n.mapLayer(layer.key).label}</option>
+                    ))}
+                  </select>
+                </label>
+                {activeMapLayer.order.map((key, index) => {
+                  const value = activeMapLayer.values[key];
+                  const isFilterActive = activeLegendFilter === key;
+                  const mobileTooltipPositionClass = index % 2 === 0
+                    ? "left-0 translate-x-0"
+                    : "right-0 left-auto translate-x-0";
+                  return (
+                    <div className="group relative shrink-0" key={key}>
+                      <button
+                        type="button"
+                        className="inline-flex items-center gap-2 border-b pb-1 text-sm font-medium transition-colors"
                         style={{
-                          default: {
-                            fill: isSelected ? selectedFill : (matchesFilter ? baseFill : mutedFill),
-                            opacity: isSelected ? 1 : (matchesFilter ? 0.97 : 0.42),
-                            stroke: "#111111",
-                            strokeWidth: 0.9,
-                            strokeLinejoin: "round",
-                            strokeLinecap: "round",
-                            vectorEffect: "non-scaling-stroke",
-                            transition: "all 180ms cubic-bezier(0.22, 1, 0.36, 1)",
-                            outline: "none"
-                          },
-                          hover: {
-                            fill: matchesFilter ? hoverFill : mutedFill,
-                            opacity: matchesFilter ? 1 : 0.52,
-                            stroke: "#27272a",
-                            strokeWidth: 0.95,
-                            strokeLinejoin: "round",
-                            strokeLinecap: "round",
-                            vectorEffect: "non-scaling-stroke",
-                            transition: "all 180ms cubic-bezier(0.22, 1, 0.36, 1)",
-                            outline: "none",
-                            cursor: abbr ? "pointer" : "default"
-                          },
-                          pressed: {
-                            fill: matchesFilter ? pressedFill : mutedFill,
-                            opacity: 1,
-                            stroke: "#3f3f46",
-                            strokeWidth: 0.95,
-                            strokeLinejoin: "round",
-                            strokeLinecap: "round",
-                            vectorEffect: "non-scaling-stroke",
-                            transition: "all 180ms cubic-bezier(0.22, 1, 0.36, 1)",
-                            outline: "none"
-                          }
+                          borderColor: isFilterActive ? value.chipBorder : "transparent",
+                          color: isFilterActive ? "#f4f4f5" : "#9ca3af"
                         }}
-                      />
-                    );
-                  })
-                }
-              </Geographies>
-            </ComposableMap>
-          </div>
-          </section>
-
-        </div>
-
-        <aside
-          ref={detailPanelRef}
-          className="custom-scrollbar h-fit rounded-2xl border bg-[#0f131c]/95 p-5 shadow-[0_8px_40px_rgba(0,0,0,0.35)] lg:overflow-y-auto"
-          style={{
-            ...(desktopPanelHeight ? { maxHeight: `${desktopPanelHeight}px` } : {}),
-            borderColor: hexToRgba(selectedStatusMeta.chipBorder, 0.5)
-          }}
-        >
-          <div className="flex items-start justify-between gap-3">
-            <div className="min-w-0">
-              <p className="text-[11px] font-semibold uppercase tracking-[0.12em] text-zinc-400">
-                Status
-              </p>
-              <h2 className="mt-1 text-3xl font-bold tracking-tight text-zinc-100">{selectedState.name}</h2>
-            </div>
-            <span
-              className="shrink-0 rounded-full border px-2.5 py-1 text-xs font-semibold"
-              style={{
-                backgroundColor: selectedStatusMeta.chipBg,
-                color: selectedStatusMeta.chipText,
-                borderColor: selectedStatusMeta.chipBorder
-              }}
-            >
-              {selectedStatusMeta.label}
-            </span>
-          </div>
-          <div className="mt-3 h-px w-full bg-zinc-800" />
-          <div className="relative mt-4 mb-5" ref={stateSearchRef}>
-            <svg
-              aria-hidden="true"
-              className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-zinc-500"
-              fill="none"
-              stroke="currentColor"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth="2"
-              viewBox="0 0 24 24"
-            >
-              <circle cx="11" cy="11" r="7" />
-              <line x1="16.65" x2="21" y1="16.65" y2="21" />
-            </svg>
-            <input
-              id="state-search-input"
-              type="text"
-              aria-label="Search a state"
-              autoComplete="off"
-              spellCheck={false}
-              placeholder="Search a state..."
-              value={stateSearchQuery}
-              onChange={(event) => {
-                const nextQuery = event.target.value;
-                setStateSearchQuery(nextQuery);
-                setIsStateSearchOpen(normalizeLookup(nextQuery).length > 0);
-              }}
-              onKeyDown={(event) => {
-                if (event.key === "Enter" && stateSearchResults[0]) {
-                  event.preventDefault();
-                  setSelectedAbbr(stateSearchResults[0].abbr);
-                  setStateSearchQuery("");
-                  setIsStateSearchOpen(false);
-                }
-                if (event.key === "Escape") setIsStateSearchOpen(false);
-              }}
-              onBlur={() => {
-                window.setTimeout(() => setIsStateSearchOpen(false), 100);
-              }}
-              className="w-full rounded-lg border border-zinc-700 bg-zinc-950/80 py-2.5 pl-10 pr-3 text-sm text-zinc-100 placeholder:text-zinc-500 focus:border-zinc-500 focus:outline-none focus:ring-1 focus:ring-zinc-500"
-            />
-            {isStateSearchOpen && stateSearchResults.length ? (
-              <ul className="absolute z-40 mt-1 max-h-60 w-full overflow-y-auto rounded-lg border border-zinc-700 bg-zinc-950 py-1 shadow-xl">
-                {stateSearchResults.map((entry) => (
-                  <li key={entry.abbr}>
+                        onClick={() => {
+                          setActiveLegendFilter((prev) => (prev === key ? null : key));
+                        }}
+                        aria-controls={`legend-tooltip-${key}`}
+                        aria-pressed={isFilterActive}
+                      >
+                        <span
+                          aria-hidden="true"
+                          className="inline-block h-2.5 w-2.5 rounded-full"
+                          style={{ backgroundColor: value.chipBorder }}
+                        />
+                        <span className="whitespace-nowrap">{value.label}</span>
+                      </button>
+                      <div
+                        id={`legend-tooltip-${key}`}
+                        className={`pointer-events-none absolute top-full z-30 mt-2 rounded-md border border-zinc-700 bg-zinc-950 px-3 py-2 text-xs text-zinc-200 opacity-0 transition-opacity duration-150 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100 ${mobileTooltipPositionClass} ${value.tooltipPositionClass || "sm:left-1/2 sm:-translate-x-1/2"} ${value.tooltipClass || "w-64 whitespace-normal"}`}
+                        title={value.description}
+                      >
+                        {value.description}
+                      </div>
+                    </div>
+                  );
+                })}
+                <div className="ml-auto flex shrink-0 rounded-md border border-zinc-700 p-0.5" role="group" aria-label={t("map.view")}>
+                  {MAP_VIEWS.map((view) => (
                     <button
                       type="button"
-                      className="w-full px-3 py-2 text-left text-sm text-zinc-200 hover:bg-zinc-800"
-                      onClick={() => {
-                        setSelectedAbbr(entry.abbr);
-                        setStateSearchQuery("");
-                        setIsStateSearchOpen(false);
-                      }}
+                      key={view}
+                      className={`rounded px-2.5 py-1 text-xs font-medium transition-colors ${
+                        mapView === view ? "bg-zinc-200 text-zinc-900" : "text-zinc-300 hover:text-zinc-100"
+                      }`}
+                      onClick={() => setMapView(view)}
+                      aria-pressed={mapView === view}
                     >
-                      {entry.name}
+                      {t(`map.view.${view}`)}
                     </button>
-                  </li>
-                ))}
-              </ul>
-            ) : null}
-          </div>
+                  ))}
+                </div>
+              </div>
+              {mapView === "table" ? (
+                <StateTableView
+                  rows={visibleStateTableRows}
+                  layerLabel={mapLayer === DEFAULT_MAP_LAYER ? null : activeMapLayer.label}
+                  selectedAbbr={selectedAbbr}
+                  onSelect={setSelectedAbbr}
+                />
+              ) : (
+                <>
+                  {mapLayer === DEFAULT_MAP_LAYER ? (
+                    <MapReplayControls
+                      months={replayMonths}
+                      replayIndex={replayIndex}
+                      isPlaying={isReplayPlaying}
+                      onScrub={(index) => {
+                        setIsReplayPlaying(false);
+                        setReplayIndex(index >= replayMonths.length - 1 ? null : index);
+                      }}
+                      onTogglePlay={() => {
+                        if (!isReplayPlaying && replayIndex === null) setReplayIndex(0);
+                        setIsReplayPlaying((prev) => !prev);
+                      }}
+                      onReset={() => {
+                        setIsReplayPlaying(false);
+                        setReplayIndex(null);
+                      }}
+                    />
+                  ) : null}
+                  <div ref={mapRegionRef} className="select-none [-webkit-touch-callout:none]">
+                    <div className="relative">
+                      <ComposableMap
+                        projection="geoAlbersUsa"
+                        className="block h-auto w-full bg-transparent"
+                        role="group"
+                        aria-label={t("map.label", { layer: activeMapLayer.label })}
+                        aria-describedby="map-keyboard-hint"
+                      >
+                        {mapTopology ? (
+                          <Geographies geography={mapTopology}>
+                            {({ geographies }) =>
+                              geographies
+                                .filter((geo) => !TERRITORY_ABBRS.includes(getGeographyAbbr(geo)))
+                                .map(renderMapGeography)
+                            }
+                          </Geographies>
+                        ) : null}
+                        {mapTopology ? NORTHEAST_CALLOUTS.map(renderMapCallout) : null}
+                      </ComposableMap>
+                    </div>
+                    <ul className="mt-2 grid grid-cols-3 gap-2 sm:grid-cols-5" aria-label={t("map.territories")}>
+                      {TERRITORY_INSETS.map(({ abbr }) => (
+                        <li
+                          key={abbr}
+                          className={`rounded-lg border bg-zinc-950/40 ${abbr === selectedAbbr ? "border-zinc-400" : "border-zinc-800"}`}
+                        >
+                          <ComposableMap
+                            projection={TERRITORY_INSET_PROJECTIONS[abbr]}
+                            width={TERRITORY_INSET_WIDTH}
+                            height={TERRITORY_INSET_HEIGHT}
+                            className="block h-auto w-full bg-transparent"
+                          >
+                            {mapTopology ? (
+                              <Geographies geography={mapTopology}>
+                                {({ geographies }) =>
+                                  geographies
+                                    .filter((geo) => getGeographyAbbr(geo) === abbr)
+                                    .map(renderMapGeography)
+                                }
+                              </Geographies>
+                            ) : null}
+                          </ComposableMap>
+                          <p className="truncate px-2 pb-1.5 text-[11px] text-zinc-400" title={ALL_STATES[abbr]}>
+                            {ALL_STATES[abbr]}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <p className="mt-2 text-xs text-zinc-400" id="map-keyboard-hint">
+                    {t("map.keyboardHint")} {t("map.compareHint", { max: MAX_COMPARE_STATES })}
+                  </p>
+                </>
+              )}
+              {mapView === DEFAULT_MAP_VIEW && mapTooltipEntry ? (
+                <MapStateTooltip
+                  anchor={mapTooltip}
+                  entry={mapTooltipEntry}
+                  statusMeta={i18n.statusMeta(getMapLayerValue(statesData[mapTooltip.abbr], DEFAULT_MAP_LAYER, mapAsOfDate))}
+                  pendingBillCount={countPendingBills(bills, mapTooltip.abbr)}
+                  lastUpdated={statesData[mapTooltip.abbr]?.lastUpdated}
+                />
+              ) : null}
+              <p className="sr-only" aria-live="polite">
+                {isSelectionAnnounced ? t("map.selected", { name: selectedState.name, status: selectedStatusMeta.label }) : ""}
+              </p>
+              </section>
 
-          <div className="space-y-4 text-sm text-zinc-300 panel-fade" key={selectedAbbr}>
-            <PanelAccordionSection
-              id="summary"
-              title="Summary"
-              activeSection={activePanelSection}
-              setActiveSection={setActivePanelSection}
-            >
-              <p className="detail-panel-copy">{ensureSentenceEnding(selectedState.summary)}</p>
-            </PanelAccordionSection>
-
-            <PanelAccordionSection
-              id="key-laws"
-              title="Key Laws or Bills"
-              activeSection={activePanelSection}
-              setActiveSection={setActivePanelSection}
-            >
-              <ul className="detail-panel-copy list-disc space-y-1.5 pl-5">
-                {(selectedState.keyLaws || []).map((law) => (
-                  <li key={law}>{ensureSentenceEnding(law)}</li>
-                ))}
-              </ul>
-            </PanelAccordionSection>
-
-            <PanelAccordionSection
-              id="regulator"
-              title="Regulatory Body"
-              activeSection={activePanelSection}
-              setActiveSection={setActivePanelSection}
-            >
-              <p className="detail-panel-copy">{ensureSentenceEnding(selectedRegulatoryBody)}</p>
-            </PanelAccordionSection>
-
-            <PanelAccordionSection
-              id="recent"
-              title="Recent Developments"
-              activeSection={activePanelSection}
-              setActiveSection={setActivePanelSection}
+            </div>
+
+            <aside
+              ref={detailPanelRef}
+              className="custom-scrollbar h-fit rounded-2xl border bg-[#0f131c]/95 p-5 shadow-[0_8px_40px_rgba(0,0,0,0.35)] lg:overflow-y-auto"
+              style={{
+                ...(desktopPanelHeight ? { maxHeight: `${desktopPanelHeight}px` } : {}),
+                borderColor: hexToRgba(selectedStatusMeta.chipBorder, 0.5)
+              }}
             >
-              <p className="detail-panel-copy">{ensureSentenceEnding(selectedState.recentDevelopments || "No recent developments listed.")}</p>
-            </PanelAccordionSection>
-
-            {selectedStateIssuedPrograms.length ? (
-              <PanelAccordionSection
-                id="state-issued"
-                title="State-Issued Stablecoin"
-                activeSection={activePanelSection}
-                setActiveSection={setActivePanelSection}
-              >
-                <div className="space-y-2.5">
-                  {selectedStateIssuedPrograms.map((item) => {
-                    const style = trackerStatusStyle(item.status);
-                    return (
-                      <article className="rounded-lg border border-zinc-800/90 bg-zinc-950/35 px-3 py-3" key={`${item.state}-${item.program}`}>
-                        <div className="flex items-start justify-between gap-2">
-                          <p className="pr-2 text-sm font-semibold leading-snug text-zinc-100">{item.program}</p>
-                          <span
-                            className="rounded-full border px-2 py-0.5 text-[11px] font-semibold leading-none"
-                            style={{
-                              backgroundColor: style.bg,
-                              borderColor: style.border,
-                              color: style.text
-                            }}
-                          >
-                            {item.status}
-                          </span>
-                        </div>
-                        <div className="mt-2 space-y-1.5 text-sm leading-6 text-zinc-300">
-                          {item.what ? <p>{ensureSentenceEnding(item.what)}</p> : null}
-                          {item.latest ? <p>{ensureSentenceEnding(item.latest)}</p> : null}
-                        </div>
-                      </article>
-                    );
-                  })}
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-[11px] font-semibold uppercase tracking-[0.12em] text-zinc-400">
+                    {t("panel.status")}
+                  </p>
+                  <h2 className="mt-1 text-3xl font-bold tracking-tight text-zinc-100">{selectedState.name}</h2>
                 </div>
-              </PanelAccordionSection>
-            ) : null}
-
-            {timelineEntries.length ? (
-              <PanelAccordionSection
-                id="timeline"
-                title="Major Legislative Timeline"
-                activeSection={activePanelSection}
-                setActiveSection={setActivePanelSection}
-              >
-                <ul className="space-y-3">
-                  {timelineEntries.map((item, index) => (
-                    <li className="detail-panel-copy relative pl-6" key={`${selectedState.name}-${item.date}-${item.label}`}>
-                      {index < timelineEntries.length - 1 ? (
-                        <span aria-hidden="true" className="absolute left-[7px] top-3 h-[calc(100%+0.75rem)] w-px bg-zinc-700" />
-                      ) : null}
-                      <span
-                        aria-hidden="true"
-                        className="absolute left-[3px] top-1.5 h-2.5 w-2.5 rounded-full border"
-                        style={
-                          index === timelineEntries.length - 1
-                            ? {
-                              borderColor: selectedStatusMeta.chipBorder,
-                              backgroundColor: selectedStatusMeta.chipBorder,
-                              boxShadow: `0 0 0 4px ${hexToRgba(selectedStatusMeta.chipBorder, 0.15)}`
-                            }
-                            : {
-                              borderColor: "#18181b",
-                              backgroundColor: "#71717a"
-                            }
-                        }
-                      />
-                      <p className="leading-6" title={item.detail || item.label}>
-                        <span className="font-semibold text-zinc-100">{item.date}</span>
-                        {" "}
-                        <span className="text-zinc-200">{ensureSentenceEnding(cleanTimelineLabel(item.label))}</span>
+                <div className="flex shrink-0 items-center gap-1.5">
+                  <span
+                    className="rounded-full border px-2.5 py-1 text-xs font-semibold"
+                    style={{
+                      backgroundColor: selectedStatusMeta.chipBg,
+                      color: selectedStatusMeta.chipText,
+                      borderColor: selectedStatusMeta.chipBorder
+                    }}
+                  >
+                    {selectedStatusMeta.label}
+                  </span>
+                  <WatchToggle
+                    isWatched={watchlist.states.includes(selectedAbbr)}
+                    label={selectedState.name}
+                    onToggle={() => updateWatchlist(toggleWatchlistItem(watchlist, "states", selectedAbbr))}
+                  />
+                  <button
+                    type="button"
+                    className="inline-flex h-7 shrink-0 items-center rounded-md border border-zinc-700 px-2 text-xs font-medium text-zinc-300 hover:border-zinc-500 hover:text-zinc-100"
+                    onClick={() => setCitationTarget({ kind: "state" })}
+                    aria-label={t("cite.stateLabel", { name: selectedState.name })}
+                  >
+                    {t("cite.action")}
+                  </button>
+                  <button
+                    type="button"
+                    className="inline-flex h-7 shrink-0 items-center rounded-md border border-zinc-700 px-2 text-xs font-medium text-zinc-300 hover:border-zinc-500 hover:text-zinc-100 disabled:opacity-60"
+                    onClick={downloadStateBrief}
+                    disabled={briefStatus === "pending"}
+                    aria-label={t("brief.downloadLabel", { name: selectedState.name })}
+                  >
+                    {t(briefStatus === "pending" ? "brief.preparing" : "brief.download")}
+                  </button>
+                </div>
+              </div>
+              {briefStatus === "failed" ? (
+                <p className="mt-3 text-xs text-red-300" role="alert">{t("brief.failed")}</p>
+              ) : null}
+              {isSelectedStateStale ? (
+                <button
+                  type="button"
+                  className="mt-3 inline-flex items-center gap-1.5 rounded-md border border-red-400/50 bg-red-500/10 px-2.5 py-1 text-left text-xs font-medium text-red-200 hover:border-red-300 hover:text-red-100"
+                  onClick={() => setIsFreshnessOpen(true)}
+                >
+                  <span aria-hidden="true">⚠</span>
+                  {t("freshness.staleBadge", {
+                    date: i18n.formatDate(selectedLastUpdated),
+                    days: getDataAgeDays(selectedLastUpdated, freshness.today)
+                  })}
+                </button>
+              ) : null}
+              <div className="mt-3 h-px w-full bg-zinc-800" />
+              <div className="relative mt-4 mb-5" ref={stateSearchRef}>
+                <svg
+                  aria-hidden="true"
+                  className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-zinc-500"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  viewBox="0 0 24 24"
+                >
+                  <circle cx="11" cy="11" r="7" />
+                  <line x1="16.65" x2="21" y1="16.65" y2="21" />
+                </svg>
+                <input
+                  id="state-search-input"
+                  type="text"
+                  aria-label={t("search.label")}
+                  autoComplete="off"
+                  spellCheck={false}
+                  placeholder={t("search.placeholder")}
+                  value={stateSearchQuery}
+                  onChange={(event) => {
+                    const nextQuery = event.target.value;
+                    setStateSearchQuery(nextQuery);
+                    setIsStateSearchOpen(normalizeLookup(nextQuery).length > 0);
+                  }}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter" && stateSearchResults[0]) {
+                      event.preventDefault();
+                      setSelectedAbbr(stateSearchResults[0].abbr);
+                      closeSearch();
+                    } else if (event.key === "Enter" && contentSearchGroups[0]) {
+                      event.preventDefault();
+                      openSearchResult(contentSearchGroups[0].results[0]);
+                    }
+                    if (event.key === "Escape") setIsStateSearchOpen(false);
+                  }}
+                  onBlur={() => {
+                    window.setTimeout(() => setIsStateSearchOpen(false), 100);
+                  }}
+                  className="w-full rounded-lg border border-zinc-700 bg-zinc-950/80 py-2.5 pl-10 pr-3 text-sm text-zinc-100 placeholder:text-zinc-500 focus:border-zinc-500 focus:outline-none focus:ring-1 focus:ring-zinc-500"
+                />
+                {isStateSearchOpen && hasSearchResults ? (
+                  <div className="custom-scrollbar absolute z-40 mt-1 max-h-96 w-full overflow-y-auto rounded-lg border border-zinc-700 bg-zinc-950 py-1 shadow-xl">
+                  {stateSearchResults.length ? (
+                    <p className="px-3 pb-1 pt-2 text-[10px] font-semibold uppercase tracking-[0.14em] text-zinc-500">{t("search.states")}</p>
+                  ) : null}
+                  <ul>
+                    {stateSearchResults.map((entry) => (
+                      <li className="flex items-center" key={entry.abbr}>
+                        <button
+                          type="button"
+                          className="min-w-0 flex-1 px-3 py-2 text-left text-sm text-zinc-200 hover:bg-zinc-800"
+                          onClick={() => {
+                            setSelectedAbbr(entry.abbr);
+                            closeSearch();
+                          }}
+                        >
+                          {entry.name}
+                        </button>
+                        <button
+                          type="button"
+                          className="shrink-0 px-3 py-2 text-xs text-zinc-400 hover:bg-zinc-800 hover:text-zinc-200"
+                          onClick={() => {
+                            toggleCompareState(entry.abbr);
+                            closeSearch();
+                          }}
+                        >
+                          {t(compareAbbrs.includes(entry.abbr) ? "common.remove" : "common.compare")}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {contentSearchGroups.map((group) => (
+                    <div key={group.type}>
+                      <p className="border-t border-zinc-800 px-3 pb-1 pt-2 text-[10px] font-semibold uppercase tracking-[0.14em] text-zinc-500">
+                        {group.label}
                       </p>
-                    </li>
+                      <ul>
+                        {group.results.map((result) => (
+                          <li key={result.key}>
+                            <button
+                              type="button"
+                              className="w-full px-3 py-2 text-left hover:bg-zinc-800"
+                              onClick={() => openSearchResult(result)}
+                            >
+                              <span className="block truncate text-sm text-zinc-200">
+                                {result.title}
+                                <span className="text-zinc-500"> · {result.context}</span>
+                              </span>
+                              <span className="mt-0.5 block text-xs leading-5 text-zinc-400">
+                                <HighlightedText text={result.snippet} pattern={searchPattern} />
+                              </span>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
                   ))}
-                </ul>
-              </PanelAccordionSection>
-            ) : null}
+                  </div>
+                ) : null}
+              </div>
 
-            <PanelAccordionSection
-              id="sources"
-              title="Sources"
-              activeSection={activePanelSection}
-              setActiveSection={setActivePanelSection}
-            >
-              {selectedState.sources?.length ? (
-                <SourceDisclosure sources={selectedState.sources} collapsible={false} />
-              ) : (
-                <p className="detail-panel-copy">No source links listed.</p>
-              )}
-            </PanelAccordionSection>
-          </div>
-        </aside>
+              <div className="space-y-4 text-sm text-zinc-300 panel-fade" key={selectedAbbr}>
+                <PanelAccordionSection
+                  id="summary"
+                  anchorId={getPanelSectionAnchorId("summary")}
+                  title={t("panel.summary")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  <p className="detail-panel-copy">{ensureSentenceEnding(selectedState.summary)}</p>
+                </PanelAccordionSection>
 
-      </main>
+                <PanelAccordionSection
+                  id="profile"
+                  anchorId={getPanelSectionAnchorId("profile")}
+                  title={t("panel.profile")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  <RegulatoryProfileList entry={selectedState} />
+                </PanelAccordionSection>
 
-      {majorStateDevelopments.length || pendingFederalBills.length || federalContext ? (
-        <LegislationFeed
-          federalContext={federalContext}
-          pendingFederalBills={pendingFederalBills}
-          majorStateDevelopments={majorStateDevelopments}
-          formatDate={formatDate}
-        />
-      ) : null}
+                <PanelAccordionSection
+                  id="key-laws"
+                  anchorId={getPanelSectionAnchorId("key-laws")}
+                  title={t("panel.keyLaws")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  <KeyLawList laws={selectedState.keyLaws} bills={bills} onOpenBill={setOpenBillId} />
+                </PanelAccordionSection>
+
+                <PanelAccordionSection
+                  id="regulator"
+                  anchorId={getPanelSectionAnchorId("regulator")}
+                  title={t("panel.regulator")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  <p className="detail-panel-copy">{ensureSentenceEnding(selectedRegulatoryBody)}</p>
+                </PanelAccordionSection>
+
+                <PanelAccordionSection
+                  id="recent"
+                  anchorId={getPanelSectionAnchorId("recent")}
+                  title={t("panel.recent")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  <p className="detail-panel-copy">{ensureSentenceEnding(selectedState.recentDevelopments || t("panel.noRecent"))}</p>
+                </PanelAccordionSection>
+
+                {selectedStateIssuedPrograms.length ? (
+                  <PanelAccordionSection
+                    id="state-issued"
+                    anchorId={getPanelSectionAnchorId("state-issued")}
+                    title={t("panel.stateIssued")}
+                    activeSection={activePanelSection}
+                    setActiveSection={setActivePanelSection}
+                  >
+                    <StateIssuedProgramList programs={selectedStateIssuedPrograms} />
+                  </PanelAccordionSection>
+                ) : null}
+
+                {timelineEntries.length ? (
+                  <PanelAccordionSection
+                    id="timeline"
+                    anchorId={getPanelSectionAnchorId("timeline")}
+                    title={t("panel.timeline")}
+                    activeSection={activePanelSection}
+                    setActiveSection={setActivePanelSection}
+                  >
+                    <StateTimeline
+                      entries={timelineEntries}
+                      keyPrefix={selectedState.name}
+                      statusMeta={selectedStatusMeta}
+                      bills={bills}
+                      onOpenBill={setOpenBillId}
+                    />
+                  </PanelAccordionSection>
+                ) : null}
+
+                <PanelAccordionSection
+                  id="sources"
+                  anchorId={getPanelSectionAnchorId("sources")}
+                  title={t("panel.sources")}
+                  activeSection={activePanelSection}
+                  setActiveSection={setActivePanelSection}
+                >
+                  {selectedState.sources?.length ? (
+                    <SourceDisclosure sources={selectedState.sources} collapsible={false} />
+                  ) : (
+                    <p className="detail-panel-copy">{t("panel.noSources")}</p>
+                  )}
+                </PanelAccordionSection>
+              </div>
+            </aside>
 
-      <footer className="bg-[#080b12]/95">
-        <div className="mx-auto flex w-full max-w-7xl flex-col items-center gap-1 px-4 py-4 text-center text-xs text-zinc-400 sm:flex-row sm:items-center sm:justify-between sm:px-6 sm:text-left lg:px-8">
-          <p>Last updated: {formatDate(latestDataDate)}</p>
-          <a className="underline decoration-sky-500/50 underline-offset-2 hover:text-sky-300" href="https://x.com/eshita" rel="noreferrer" target="_blank">
-            Maintained by Eshita
-          </a>
+          </main>
+
+          {compareColumns.length >= 2 ? (
+            <StateComparison
+              columns={compareColumns}
+              onRemove={toggleCompareState}
+              onClear={() => setCompareAbbrs([])}
+              onOpenState={setSelectedAbbr}
+              bills={bills}
+              onOpenBill={setOpenBillId}
+            />
+          ) : null}
+
+          {federalContext?.implementation ? (
+            <GeniusImplementationTracker federalContext={federalContext} today={freshness.today} />
+          ) : null}
+
+          {majorStateDevelopments.length || pendingFederalBills.length || federalContext ? (
+            <LegislationFeed
+              rows={watchedOnly ? legislationRows.filter((row) => watchlist.legislation.includes(row.id)) : legislationRows}
+              expandedId={expandedLegislationId}
+              setExpandedId={setExpandedLegislationId}
+              bills={bills}
+              onOpenBill={setOpenBillId}
+              filters={legislationFilters}
+              onFiltersChange={setLegislationFilters}
+              changedRowIds={changedRowIds}
+              watchedRowIds={watchlist.legislation}
+              onToggleWatch={(rowId) => updateWatchlist(toggleWatchlistItem(watchlist, "legislation", rowId))}
+            />
+          ) : null}
+
+          {openBill ? (
+            <BillDetailDialog
+              bill={openBill}
+              bills={bills}
+              references={billReferences[openBill.id]}
+              onClose={closeBillDialog}
+              onOpenBill={setOpenBillId}
+              onOpenReference={(reference) => {
+                setOpenBillId(null);
+                openTarget(reference);
+              }}
+            />
+          ) : null}
+
+          {citationDialog ? (
+            <CitationDialog
+              title={citationDialog.title}
+              citations={citationDialog.citations}
+              isState={citationDialog.isState}
+              onClose={closeCitationDialog}
+            />
+          ) : null}
+
+          {isEmbedOpen ? (
+            <EmbedCodeDialog
+              initialOptions={{
+                ...DEFAULT_EMBED_OPTIONS,
+                state: selectedAbbr,
+                filter: mapLayer === DEFAULT_MAP_LAYER ? activeLegendFilter : null,
+                lang: locale
+              }}
+              onClose={closeEmbed}
+            />
+          ) : null}
+
+          {isFreshnessOpen ? (
+            <FreshnessDrawer
+              rows={freshnessRows}
+              today={freshness.today}
+              thresholds={freshnessThresholds}
+              onChangeThresholds={updateFreshnessThresholds}
+              onClose={closeFreshness}
+              onOpenTarget={(target) => {
+                setIsFreshnessOpen(false);
+                openTarget(target);
+              }}
+            />
+          ) : null}
+
+          {isVisitChangesOpen && visitChanges ? (
+            <VisitChangesDrawer
+              changes={visitChanges}
+              statesData={statesData}
+              legislationRows={legislationRows}
+              onClose={closeVisitChanges}
+              onDismiss={() => {
+                acknowledgeVisitChanges();
+                setVisitChanges(null);
+                setIsVisitChangesOpen(false);
+              }}
+              onOpenTarget={(target) => {
+                setIsVisitChangesOpen(false);
+                openTarget(target);
+              }}
+            />
+          ) : null}
+
+          <footer className="bg-[#080b12]/95">
+            <div className="mx-auto flex w-full max-w-7xl flex-col items-center gap-1 px-4 py-4 text-center text-xs text-zinc-400 sm:flex-row sm:items-center sm:justify-between sm:px-6 sm:text-left lg:px-8">
+              <p>
+                {t("app.lastUpdated", { date: i18n.formatDate(latestDataDate) })}
+                {" · "}
+                <button
+                  type="button"
+                  className="underline decoration-sky-500/50 underline-offset-2 hover:text-sky-300"
+                  onClick={() => setIsFreshnessOpen(true)}
+                >
+                  {staleRecordCount ? t("freshness.footerStale", { count: staleRecordCount }) : t("freshness.title")}
+                </button>
+              </p>
+              <a className="underline decoration-sky-500/50 underline-offset-2 hover:text-sky-300" href="https://x.com/eshita" rel="noreferrer" target="_blank">
+                {t("app.maintainedBy", { name: "Eshita" })}
+              </a>
+            </div>
+          </footer>
         </div>
-      </footer>
-    </div>
+        <StateBrief brief={stateBrief} mapTopology={mapTopology} briefRef={briefRef} />
+      </CitationContext.Provider>
+    </I18nContext.Provider>
   );
 }
 
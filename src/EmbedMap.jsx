@@ -0,0 +1,282 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { ComposableMap, Geographies, Geography } from "react-simple-maps";
+import geoUrl from "us-atlas/states-10m.json?url";
+import regulationData from "./data/stablecoinRegulation.json";
+import { ALL_STATES, NORTHEAST_CALLOUTS, TERRITORY_ABBRS, TERRITORY_INSETS } from "./data/stateMappings";
+import MapCallout from "./MapCallout";
+import { EMBED_RESIZE_MESSAGE } from "./lib/embed";
+import { I18nContext, createI18n } from "./lib/i18n";
+import {
+  TERRITORY_INSET_HEIGHT,
+  TERRITORY_INSET_PROJECTIONS,
+  TERRITORY_INSET_WIDTH,
+  getGeographyAbbr,
+  getStateFills,
+  getStateGeographyStyle
+} from "./lib/mapStyle";
+import { SITE_URL, getStatePagePath } from "./lib/pageMeta";
+import { STATUS_ORDER, getStateEntry, normalizeStatus } from "./lib/regulation";
+
+const NORTHEAST_CALLOUT_ABBRS = NORTHEAST_CALLOUTS.map(({ abbr }) => abbr);
+
+const EMBED_THEME_CLASSES = {
+  dark: {
+    root: "bg-[#080b12] text-zinc-100",
+    card: "border-zinc-800 bg-zinc-900/70",
+    muted: "text-zinc-400",
+    link: "text-sky-300 hover:text-sky-200",
+    stroke: "#080b12",
+    selectedStroke: "#f4f4f5",
+    calloutStroke: "#3f3f46",
+    leader: "#a1a1aa",
+    inset: "border-zinc-800",
+    insetSelected: "border-zinc-400",
+    chipOff: "border-zinc-700 bg-transparent text-zinc-400"
+  },
+  light: {
+    root: "bg-white text-zinc-900",
+    card: "border-zinc-200 bg-zinc-50",
+    muted: "text-zinc-600",
+    link: "text-sky-700 hover:text-sky-800",
+    stroke: "#ffffff",
+    selectedStroke: "#18181b",
+    calloutStroke: "#d4d4d8",
+    leader: "#71717a",
+    inset: "border-zinc-200",
+    insetSelected: "border-zinc-500",
+    chipOff: "border-zinc-300 bg-transparent text-zinc-600"
+  }
+};
+
+function EmbedCard({ entry, themeClasses, i18n }) {
+  const { t, field, formatDate, statusMeta } = i18n;
+  const meta = statusMeta(normalizeStatus(entry.status));
+  const summary = entry.placeholderKind
+    ? t(`placeholder.summary.${entry.placeholderKind}`, { name: entry.name })
+    : field(entry, "summary");
+
+  return (
+    <section aria-live="polite" className={`mt-2 rounded-lg border p-3 text-sm ${themeClasses.card}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold">{entry.name}</h2>
+        <span
+          className="rounded-full border px-2 py-0.5 text-xs font-medium"
+          style={{ backgroundColor: meta.chipBg, borderColor: meta.chipBorder, color: meta.chipText }}
+        >
+          {meta.label}
+        </span>
+      </div>
+      <p className="mt-1.5 line-clamp-3 leading-snug">{summary}</p>
+      <div className={`mt-2 flex flex-wrap items-center justify-between gap-2 text-xs ${themeClasses.muted}`}>
+        <span>{entry.lastUpdated ? t("tooltip.lastUpdated", { date: formatDate(entry.lastUpdated) }) : null}</span>
+        <a
+          href={`${SITE_URL}${getStatePagePath(entry.name)}`}
+          target="_blank"
+          rel="noopener"
+          className={`font-medium underline underline-offset-2 ${themeClasses.link}`}
+        >
+          {t("embed.fullDetails")}
+        </a>
+      </div>
+    </section>
+  );
+}
+
+// Compact map for `embed.html`: the status choropleth, a legend that doubles as the
+// status filter, and an optional card for the selected state. Everything else stays
+// on the full site, which the card and attribution link back to.
+export default function EmbedMap({ options, parentOrigin }) {
+  const i18n = useMemo(() => createI18n(options.lang), [options.lang]);
+  const { t, statusMeta } = i18n;
+  const themeClasses = EMBED_THEME_CLASSES[options.theme] || EMBED_THEME_CLASSES.dark;
+  const statesData = regulationData.states || regulationData;
+  const [mapTopology, setMapTopology] = useState(null);
+  const [selectedAbbr, setSelectedAbbr] = useState(options.state);
+  const [statusFilter, setStatusFilter] = useState(options.filter);
+  const rootRef = useRef(null);
+
+  const selectedEntry = useMemo(
+    () => (selectedAbbr ? getStateEntry(statesData, selectedAbbr) : null),
+    [selectedAbbr, statesData]
+  );
+
+  useEffect(() => {
+    let isCancelled = false;
+    fetch(geoUrl)
+      .then((response) => response.json())
+      .then((topology) => {
+        if (!isCancelled) setMapTopology(topology);
+      })
+      .catch(() => {});
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    // The <stablecoin-map> element sizes its iframe from these messages.
+    const element = rootRef.current;
+    if (!element || !parentOrigin || window.parent === window || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(() => {
+      window.parent.postMessage({ type: EMBED_RESIZE_MESSAGE, height: Math.ceil(element.offsetHeight) }, parentOrigin);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [parentOrigin]);
+
+  const linkBackUrl = options.linkBack || SITE_URL;
+
+  const getStateLook = (abbr) => {
+    const entry = getStateEntry(statesData, abbr);
+    const status = normalizeStatus(entry.status);
+    const meta = statusMeta(status);
+    const isSelected = abbr === selectedAbbr;
+    return {
+      entry,
+      meta,
+      isSelected,
+      matchesFilter: !statusFilter || status === statusFilter,
+      fills: getStateFills(meta.color, isSelected)
+    };
+  };
+
+  const getStateControlProps = (abbr, { entry, meta, isSelected }) => {
+    const select = () => setSelectedAbbr((prev) => (prev === abbr ? null : abbr));
+    return {
+      tabIndex: 0,
+      role: "button",
+      "aria-pressed": isSelected,
+      "aria-label": t("map.stateLabel", { name: entry.name, value: meta.label }),
+      onClick: select,
+      onKeyDown: (event) => {
+        if (event.key !== "Enter" && event.key !== " ") return;
+        event.preventDefault();
+        select();
+      }
+    };
+  };
+
+  const renderGeography = (geo) => {
+    const abbr = getGeographyAbbr(geo);
+    if (!abbr) return null;
+    const look = getStateLook(abbr);
+    // As on the full map, states with a callout box are reached through the box.
+    const calloutProps = NORTHEAST_CALLOUT_ABBRS.includes(abbr) ? { tabIndex: -1, "aria-hidden": true } : {};
+    return (
+      <Geography
+        key={geo.rsmKey}
+        geography={geo}
+        {...getStateControlProps(abbr, look)}
+        {...calloutProps}
+        className="focus:outline-none"
+        style={getStateGeographyStyle({
+          fills: look.fills,
+          isSelected: look.isSelected,
+          matchesFilter: look.matchesFilter,
+          stroke: look.isSelected ? themeClasses.selectedStroke : themeClasses.stroke,
+          strokeWidth: look.isSelected ? 1.6 : 0.9,
+          hoverStroke: themeClasses.selectedStroke,
+          pressedStroke: themeClasses.selectedStroke
+        })}
+      />
+    );
+  };
+
+  const renderCallout = ({ abbr, anchor }, index) => {
+    const look = getStateLook(abbr);
+    const { fills, isSelected, matchesFilter } = look;
+    return (
+      <MapCallout
+        key={abbr}
+        abbr={abbr}
+        anchor={anchor}
+        index={index}
+        fill={isSelected ? fills.selectedFill : (matchesFilter ? fills.baseFill : fills.mutedFill)}
+        opacity={isSelected ? 1 : (matchesFilter ? 0.97 : 0.42)}
+        stroke={isSelected ? themeClasses.selectedStroke : themeClasses.calloutStroke}
+        strokeWidth={isSelected ? 1.6 : 0.9}
+        isMuted={!isSelected && !matchesFilter}
+        controlProps={getStateControlProps(abbr, look)}
+        leaderColor={themeClasses.leader}
+        anchorColor={themeClasses.leader}
+      />
+    );
+  };
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div ref={rootRef} lang={options.lang} className={`p-3 font-sans ${themeClasses.root}`}>
+        <ComposableMap
+          projection="geoAlbersUsa"
+          className="block h-auto w-full bg-transparent"
+          role="group"
+          aria-label={t("map.label", { layer: t("embed.statusLayer") })}
+        >
+          {mapTopology ? (
+            <Geographies geography={mapTopology}>
+              {({ geographies }) =>
+                geographies
+                  .filter((geo) => !TERRITORY_ABBRS.includes(getGeographyAbbr(geo)))
+                  .map(renderGeography)
+              }
+            </Geographies>
+          ) : null}
+          {mapTopology ? NORTHEAST_CALLOUTS.map(renderCallout) : null}
+        </ComposableMap>
+        <ul className="mt-1 grid grid-cols-5 gap-1.5" aria-label={t("map.territories")}>
+          {TERRITORY_INSETS.map(({ abbr }) => (
+            <li
+              key={abbr}
+              className={`rounded-md border ${abbr === selectedAbbr ? themeClasses.insetSelected : themeClasses.inset}`}
+            >
+              <ComposableMap
+                projection={TERRITORY_INSET_PROJECTIONS[abbr]}
+                width={TERRITORY_INSET_WIDTH}
+                height={TERRITORY_INSET_HEIGHT}
+                className="block h-auto w-full bg-transparent"
+              >
+                {mapTopology ? (
+                  <Geographies geography={mapTopology}>
+                    {({ geographies }) => geographies.filter((geo) => getGeographyAbbr(geo) === abbr).map(renderGeography)}
+                  </Geographies>
+                ) : null}
+              </ComposableMap>
+              <p className={`truncate px-1.5 pb-1 text-[10px] ${themeClasses.muted}`} title={ALL_STATES[abbr]}>
+                {ALL_STATES[abbr]}
+              </p>
+            </li>
+          ))}
+        </ul>
+
+        <div className="mt-1 flex flex-wrap gap-1.5" role="group" aria-label={t("embed.legend")}>
+          {STATUS_ORDER.map((status) => {
+            const meta = statusMeta(status);
+            const isActive = !statusFilter || statusFilter === status;
+            return (
+              <button
+                key={status}
+                type="button"
+                aria-pressed={statusFilter === status}
+                onClick={() => setStatusFilter((prev) => (prev === status ? null : status))}
+                className={`rounded-full border px-2 py-0.5 text-xs font-medium ${isActive ? "" : themeClasses.chipOff}`}
+                style={isActive ? { backgroundColor: meta.chipBg, borderColor: meta.chipBorder, color: meta.chipText } : undefined}
+              >
+                {meta.label}
+              </button>
+            );
+          })}
+        </div>
+
+        {options.panel && selectedEntry ? (
+          <EmbedCard entry={selectedEntry} themeClasses={themeClasses} i18n={i18n} />
+        ) : null}
+
+        <p className={`mt-2 text-right text-[11px] ${themeClasses.muted}`}>
+          <a href={linkBackUrl} target="_blank" rel="noopener" className={`underline underline-offset-2 ${themeClasses.link}`}>
+            {t("embed.attribution")}
+          </a>
+        </p>
+      </div>
+    </I18nContext.Provider>
+  );
+}
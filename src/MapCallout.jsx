@@ -0,0 +1,73 @@
+import { useMapContext } from "react-simple-maps";
+
+// Callout column in the map's default 800x600 viewBox: right of Cape Cod and Maine's
+// southern coast, with every leader line reaching its box without crossing another.
+const MAP_CALLOUT_X = 768;
+const MAP_CALLOUT_TOP = 160;
+const MAP_CALLOUT_WIDTH = 30;
+const MAP_CALLOUT_HEIGHT = 18;
+const MAP_CALLOUT_GAP = 6;
+
+// Labeled box for one of `NORTHEAST_CALLOUTS`, joined to the state by a leader line.
+// Rendered inside a `ComposableMap`; the app map and the embed both use it.
+export default function MapCallout({
+  abbr,
+  anchor,
+  index,
+  fill,
+  opacity,
+  stroke,
+  strokeWidth,
+  isMuted,
+  controlProps,
+  leaderColor = "#a1a1aa",
+  anchorColor = "#e4e4e7"
+}) {
+  const { projection } = useMapContext();
+  const point = projection(anchor);
+  if (!point) return null;
+  const y = MAP_CALLOUT_TOP + index * (MAP_CALLOUT_HEIGHT + MAP_CALLOUT_GAP);
+
+  return (
+    <g>
+      <line
+        x1={point[0]}
+        y1={point[1]}
+        x2={MAP_CALLOUT_X}
+        y2={y + MAP_CALLOUT_HEIGHT / 2}
+        stroke={leaderColor}
+        strokeWidth={0.75}
+        vectorEffect="non-scaling-stroke"
+        pointerEvents="none"
+      />
+      <circle cx={point[0]} cy={point[1]} r={1.6} fill={anchorColor} pointerEvents="none" />
+      <g className="group cursor-pointer focus:outline-none" {...controlProps}>
+        <rect
+          x={MAP_CALLOUT_X}
+          y={y}
+          width={MAP_CALLOUT_WIDTH}
+          height={MAP_CALLOUT_HEIGHT}
+          rx={3}
+          fill={fill}
+          fillOpacity={opacity}
+          stroke={stroke}
+          strokeWidth={strokeWidth}
+          vectorEffect="non-scaling-stroke"
+          className="transition-all duration-200 ease-out group-hover:brightness-125 group-focus-visible:stroke-zinc-100 group-focus-visible:[stroke-width:2.5px]"
+        />
+        <text
+          x={MAP_CALLOUT_X + MAP_CALLOUT_WIDTH / 2}
+          y={y + MAP_CALLOUT_HEIGHT / 2}
+          textAnchor="middle"
+          dominantBaseline="central"
+          fontSize={10}
+          fontWeight={600}
+          fill={isMuted ? "#a1a1aa" : "#f4f4f5"}
+          pointerEvents="none"
+        >
+          {abbr}
+        </text>
+      </g>
+    </g>
+  );
+}
@@ -49,9 +49,16 @@ export const ALL_STATES = {
   WV: "West Virginia",
   WI: "Wisconsin",
   WY: "Wyoming",
-  DC: "District of Columbia"
+  DC: "District of Columbia",
+  PR: "Puerto Rico",
+  GU: "Guam",
+  VI: "U.S. Virgin Islands",
+  AS: "American Samoa",
+  MP: "Northern Mariana Islands"
 };
 
+export const TERRITORY_ABBRS = ["PR", "GU", "VI", "AS", "MP"];
+
 export const STATE_NAME_TO_ABBR = Object.fromEntries(
   Object.entries(ALL_STATES).map(([abbr, name]) => [name, abbr])
 );
@@ -107,5 +114,34 @@ export const FIPS_TO_ABBR = {
   "53": "WA",
   "54": "WV",
   "55": "WI",
-  "56": "WY"
+  "56": "WY",
+  "60": "AS",
+  "66": "GU",
+  "69": "MP",
+  "72": "PR",
+  "78": "VI"
 };
+
+// geoAlbersUsa drops the territories, so each is drawn in its own inset framed on
+// these lon/lat bounds (the main islands; outlying atolls fall outside the frame).
+export const TERRITORY_INSETS = [
+  { abbr: "PR", bounds: [[-67.95, 17.85], [-65.2, 18.55]] },
+  { abbr: "VI", bounds: [[-65.1, 17.65], [-64.55, 18.45]] },
+  { abbr: "GU", bounds: [[144.6, 13.2], [145.0, 13.7]] },
+  { abbr: "MP", bounds: [[145.05, 14.05], [145.9, 15.35]] },
+  { abbr: "AS", bounds: [[-170.9, -14.4], [-169.4, -14.15]] }
+];
+
+// Jurisdictions too small to click on the national map get labeled boxes stacked off the
+// Atlantic coast, in this order; `anchor` is where each leader line meets the state.
+export const NORTHEAST_CALLOUTS = [
+  { abbr: "VT", anchor: [-72.66, 44.07] },
+  { abbr: "NH", anchor: [-71.58, 43.68] },
+  { abbr: "MA", anchor: [-71.8, 42.26] },
+  { abbr: "RI", anchor: [-71.52, 41.68] },
+  { abbr: "CT", anchor: [-72.73, 41.6] },
+  { abbr: "NJ", anchor: [-74.5, 40.15] },
+  { abbr: "DE", anchor: [-75.5, 38.98] },
+  { abbr: "MD", anchor: [-76.64, 39.35] },
+  { abbr: "DC", anchor: [-77.03, 38.9] }
+];
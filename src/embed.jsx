@@ -0,0 +1,19 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import EmbedMap from "./EmbedMap";
+import { getEmbedOptionsFromParams, getEmbedParentOrigin } from "./lib/embed";
+import "./index.css";
+
+const params = new URLSearchParams(window.location.search);
+const options = getEmbedOptionsFromParams(params);
+const parentOrigin = getEmbedParentOrigin(params, document.referrer);
+
+// The widget paints its own themed background; the page behind it stays transparent.
+document.documentElement.style.colorScheme = options.theme;
+document.body.style.background = "transparent";
+
+ReactDOM.createRoot(document.getElementById("embed-root")).render(
+  <React.StrictMode>
+    <EmbedMap options={options} parentOrigin={parentOrigin} />
+  </React.StrictMode>
+);
@@ -0,0 +1,61 @@
+import { renderToString } from "react-dom/server";
+import App from "./App";
+import regulationData from "./data/stablecoinRegulation.json";
+import { ALL_STATES, FIPS_TO_ABBR, TERRITORY_INSETS } from "./data/stateMappings";
+import { API_BASE_PATH, buildApiDocuments } from "./lib/api";
+import { collectBillDataErrors } from "./lib/bills";
+import { collectImplementationDataErrors } from "./lib/genius";
+import { SITE_NAME, getStateOgImagePath, getStatePageMeta, getStatePagePath } from "./lib/pageMeta";
+import { STATUS_META, formatDate, getStateEntry, normalizeStatus } from "./lib/regulation";
+
+const statesData = regulationData.states || regulationData;
+
+export function getPrerenderPages() {
+  return Object.keys(ALL_STATES).map((abbr) => {
+    const entry = getStateEntry(statesData, abbr);
+    return {
+      abbr,
+      path: getStatePagePath(entry.name),
+      meta: getStatePageMeta(abbr, entry)
+    };
+  });
+}
+
+export function getOgImageCards() {
+  return Object.keys(ALL_STATES).map((abbr) => {
+    const entry = getStateEntry(statesData, abbr);
+    const statusMeta = STATUS_META[normalizeStatus(entry.status)];
+    return {
+      abbr,
+      name: entry.name,
+      outputPath: getStateOgImagePath(entry.name),
+      siteName: SITE_NAME,
+      statusLabel: statusMeta.label,
+      lastUpdatedLabel: entry.lastUpdated ? formatDate(entry.lastUpdated) : null,
+      colors: {
+        fill: statusMeta.color,
+        chipBg: statusMeta.chipBg,
+        chipBorder: statusMeta.chipBorder,
+        chipText: statusMeta.chipText
+      }
+    };
+  });
+}
+
+export function getBillDataErrors() {
+  return collectBillDataErrors(regulationData.bills || {});
+}
+
+export function getImplementationDataErrors() {
+  return collectImplementationDataErrors(regulationData.federalContext);
+}
+
+export function getApiDocuments() {
+  return { basePath: API_BASE_PATH, documents: buildApiDocuments(regulationData) };
+}
+
+export { FIPS_TO_ABBR, TERRITORY_INSETS };
+
+export function render(abbr) {
+  return renderToString(<App initialStateAbbr={abbr} />);
+}
@@ -0,0 +1,248 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { buildApiSchema } from "./apiSchema";
+import { getBillDataErrors, getBillsByIds, getKeyLawBillIds, getKeyLawText } from "./bills";
+import { SITE_URL, getStatePagePath } from "./pageMeta";
+import { PROFILE_DIMENSIONS, getProfileValue } from "./regulatoryProfile";
+import {
+  STATUS_META,
+  STATUS_ORDER,
+  getLatestDataDate,
+  getStateDevelopmentRowId,
+  getStateEntry,
+  getStateIssuedPrograms,
+  normalizeStatus
+} from "./regulation";
+
+// Bump the version (and keep publishing the old one) for any breaking change to a
+// document's shape; adding optional fields is fine within a version.
+export const API_VERSION = "v1";
+export const API_BASE_PATH = `/api/${API_VERSION}`;
+export const API_SCHEMA_URL = `${SITE_URL}${API_BASE_PATH}/schema.json`;
+
+export function getStateApiPath(abbr) {
+  return `${API_BASE_PATH}/states/${abbr}.json`;
+}
+
+function toApiDocument(kind, dataLastUpdated, body) {
+  return { $schema: API_SCHEMA_URL, apiVersion: API_VERSION, kind, dataLastUpdated, ...body };
+}
+
+// "data_error" when the lead bill is missing or fails the same checks as `check:data`.
+function getLeadBillStage(billIds, bills) {
+  const [leadBillId] = billIds || [];
+  const bill = leadBillId && bills[leadBillId] ? { id: leadBillId, ...bills[leadBillId] } : null;
+  return bill && !getBillDataErrors(bill).length ? bill.stage : "data_error";
+}
+
+function toApiBills(bills, billIds) {
+  return Object.fromEntries(getBillsByIds(bills, [...new Set(billIds)]).map((bill) => [bill.id, bill]));
+}
+
+function toApiStateSummary(abbr, entry, hasEntry) {
+  const status = normalizeStatus(entry.status);
+  return {
+    abbr,
+    name: entry.name || ALL_STATES[abbr],
+    status,
+    statusLabel: STATUS_META[status].label,
+    isDefault: !hasEntry,
+    // Placeholder entries have no data of their own, so they have no update date either.
+    lastUpdated: hasEntry ? entry.lastUpdated || null : null,
+    pageUrl: `${SITE_URL}${getStatePagePath(entry.name || ALL_STATES[abbr])}`,
+    apiUrl: `${SITE_URL}${getStateApiPath(abbr)}`
+  };
+}
+
+function toApiState(abbr, entry, hasEntry, { bills, stateIssuedStablecoins }) {
+  const keyLaws = (entry.keyLaws || []).map((law) => ({ text: getKeyLawText(law), bills: getKeyLawBillIds(law) }));
+  const timeline = (entry.timeline || []).map((item) => ({
+    date: item.date,
+    label: item.label,
+    detail: item.detail || "",
+    bills: item.bills || [],
+    source: item.source || null
+  }));
+  const programs = getStateIssuedPrograms(stateIssuedStablecoins, abbr, entry.name);
+  return {
+    ...toApiStateSummary(abbr, entry, hasEntry),
+    statusHistory: (entry.statusHistory || []).map((item) => ({ date: item.date, status: normalizeStatus(item.status) })),
+    profile: Object.fromEntries(PROFILE_DIMENSIONS.map(({ key }) => [key, getProfileValue(entry, key)])),
+    regulatoryBody: entry.regulatoryBody || null,
+    summary: entry.summary || "",
+    keyLaws,
+    recentDevelopments: entry.recentDevelopments || "",
+    timeline,
+    sources: entry.sources || [],
+    stateIssued: programs.map((item) => item.program),
+    bills: toApiBills(bills, [...keyLaws.flatMap((law) => law.bills), ...timeline.flatMap((item) => item.bills)]),
+    translations: entry.translations || {}
+  };
+}
+
+function toApiFederalBill(bill, bills) {
+  return {
+    id: bill.id,
+    title: bill.title,
+    category: bill.category || null,
+    statusText: bill.status || "",
+    stage: getLeadBillStage(bill.bills, bills),
+    bills: bill.bills || [],
+    what: bill.what || "",
+    latest: bill.latest || "",
+    sources: bill.sources || [],
+    lastUpdated: bill.lastUpdated || null,
+    translations: bill.translations || {}
+  };
+}
+
+function toApiImplementation(implementation) {
+  return {
+    effectiveDateNote: implementation?.effectiveDateNote || "",
+    milestones: (implementation?.milestones || []).map((milestone) => ({
+      id: milestone.id,
+      date: milestone.date,
+      label: milestone.label,
+      source: milestone.source || null,
+      translations: milestone.translations || {}
+    })),
+    rulemakings: (implementation?.rulemakings || []).map((rulemaking) => ({
+      id: rulemaking.id,
+      agency: rulemaking.agency,
+      agencyName: rulemaking.agencyName || rulemaking.agency,
+      title: rulemaking.title,
+      docketId: rulemaking.docketId || null,
+      status: rulemaking.status,
+      commentOpens: rulemaking.commentOpens || null,
+      commentCloses: rulemaking.commentCloses || null,
+      what: rulemaking.what || "",
+      sources: rulemaking.sources || [],
+      lastUpdated: rulemaking.lastUpdated || null,
+      translations: rulemaking.translations || {}
+    })),
+    translations: implementation?.translations || {}
+  };
+}
+
+function toApiGenius(federalContext, bills) {
+  return {
+    id: "genius",
+    title: federalContext.title,
+    law: federalContext.law,
+    category: federalContext.category,
+    signedDate: federalContext.signedDate,
+    effectiveDate: federalContext.effectiveDate || null,
+    stage: getLeadBillStage(federalContext.bills, bills),
+    bills: federalContext.bills || [],
+    summary: federalContext.summary || "",
+    implementation: toApiImplementation(federalContext.implementation),
+    sources: federalContext.sources || [],
+    lastUpdated: federalContext.lastUpdated || null,
+    translations: federalContext.translations || {}
+  };
+}
+
+// Every document the build publishes under `API_BASE_PATH`, as `{ path, body }` with the
+// path relative to that base. Statuses go through `normalizeStatus`, so legacy values in
+// the dataset never reach consumers, and every `ALL_STATES` jurisdiction gets a document.
+export function buildApiDocuments(regulationData) {
+  const statesData = regulationData.states || regulationData;
+  const federalContext = regulationData.federalContext || null;
+  const pendingFederalBills = regulationData.pendingFederalBills || [];
+  const majorStateDevelopments = regulationData.majorStateDevelopments || [];
+  const stateIssuedStablecoins = regulationData.stateIssuedStablecoins || [];
+  const bills = regulationData.bills || {};
+  const latestDataDate = getLatestDataDate(statesData);
+  const toDocument = (kind, body) => toApiDocument(kind, latestDataDate, body);
+
+  const states = Object.keys(ALL_STATES).map((abbr) => ({
+    abbr,
+    entry: getStateEntry(statesData, abbr),
+    hasEntry: Boolean(statesData[abbr])
+  }));
+
+  const genius = federalContext ? toApiGenius(federalContext, bills) : null;
+  const federalBills = pendingFederalBills.map((bill) => toApiFederalBill(bill, bills));
+  const stateDevelopments = majorStateDevelopments.map((item) => ({
+    id: getStateDevelopmentRowId(item),
+    level: "state",
+    jurisdiction: item.state,
+    title: item.title,
+    category: item.category || null,
+    statusText: item.status || "",
+    stage: getLeadBillStage(item.bills, bills),
+    bills: item.bills || [],
+    what: item.what || "",
+    latest: item.latest || "",
+    sources: item.sources || [],
+    lastUpdated: item.lastUpdated || null,
+    translations: item.translations || {}
+  }));
+
+  return [
+    { path: "schema.json", body: buildApiSchema({ schemaUrl: API_SCHEMA_URL, apiVersion: API_VERSION }) },
+    {
+      path: "states.json",
+      body: toDocument("states", {
+        statuses: STATUS_ORDER.map((key) => ({ key, label: STATUS_META[key].label, description: STATUS_META[key].description })),
+        count: states.length,
+        states: states.map(({ abbr, entry, hasEntry }) => toApiStateSummary(abbr, entry, hasEntry))
+      })
+    },
+    // State documents are published under the uppercase abbreviation, with a lowercase
+    // copy so `states/tx.json` works too; static hosts match paths case-sensitively.
+    ...states.flatMap(({ abbr, entry, hasEntry }) => {
+      const body = toDocument("state", { state: toApiState(abbr, entry, hasEntry, { bills, stateIssuedStablecoins }) });
+      return [{ path: `states/${abbr}.json`, body }, { path: `states/${abbr.toLowerCase()}.json`, body }];
+    }),
+    {
+      path: "federal.json",
+      body: toDocument("federal", {
+        genius,
+        pendingBills: federalBills,
+        bills: toApiBills(bills, [...(genius?.bills || []), ...federalBills.flatMap((bill) => bill.bills)])
+      })
+    },
+    {
+      path: "legislation.json",
+      body: toDocument("legislation", {
+        entries: [
+          ...(genius ? [{
+            id: genius.id,
+            level: "federal",
+            jurisdiction: "US",
+            title: genius.title,
+            category: genius.category,
+            statusText: `Signed ${genius.signedDate}`,
+            stage: genius.stage,
+            bills: genius.bills,
+            what: genius.law,
+            latest: genius.summary,
+            sources: genius.sources,
+            lastUpdated: genius.lastUpdated,
+            translations: genius.translations
+          }] : []),
+          ...federalBills.map(({ id, title, ...bill }) => ({ id, level: "federal", jurisdiction: "US", title, ...bill })),
+          ...stateDevelopments
+        ],
+        bills: toApiBills(bills, Object.keys(bills))
+      })
+    },
+    {
+      path: "state-issued.json",
+      body: toDocument("state-issued", {
+        programs: stateIssuedStablecoins.map((item) => ({
+          state: item.state,
+          stateName: ALL_STATES[item.state] || item.state,
+          program: item.program,
+          statusText: item.status || "",
+          markerType: item.markerType || null,
+          what: item.what || "",
+          latest: item.latest || "",
+          sources: item.sources || [],
+          lastUpdated: item.lastUpdated || null,
+          translations: item.translations || {}
+        }))
+      })
+    }
+  ];
+}
@@ -0,0 +1,195 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { BILL_STAGE_META } from "./bills";
+import { RULEMAKING_STATUS_META } from "./genius";
+import { PROFILE_DIMENSIONS } from "./regulatoryProfile";
+import { STATUS_ORDER } from "./regulation";
+
+// JSON Schema (2020-12) for every document in `buildApiDocuments`. Enums come from the
+// same metadata the app uses, so adding a status, stage or profile value updates the
+// published schema on the next build.
+const ref = (name) => ({ $ref: `#/$defs/${name}` });
+const string = { type: "string" };
+const nullableString = { type: ["string", "null"] };
+const stringList = { type: "array", items: string };
+const isoDate = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" };
+// Bill dates can be as coarse as the record allows ("2023", "2025-07").
+const partialDate = { type: "string", pattern: "^\\d{4}(-\\d{2}){0,2}$" };
+const nullableIsoDate = { type: ["string", "null"], pattern: "^\\d{4}-\\d{2}-\\d{2}$" };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+export function buildApiSchema({ schemaUrl, apiVersion }) {
+  const documentSchema = (kind, properties) => object({
+    $schema: string,
+    apiVersion: { const: apiVersion },
+    kind: { const: kind },
+    dataLastUpdated: isoDate,
+    ...properties
+  });
+
+  const stateSummary = {
+    abbr: ref("stateAbbr"),
+    name: string,
+    status: ref("status"),
+    statusLabel: string,
+    isDefault: { type: "boolean", description: "True when the dataset has no entry and the state shows the default federal baseline." },
+    lastUpdated: { ...nullableIsoDate, description: "Null when the entry is undated, including every default (isDefault) entry." },
+    pageUrl: { type: "string", format: "uri" },
+    apiUrl: {
+      type: "string",
+      format: "uri",
+      description: "The state document, under the uppercase abbreviation (states/TX.json). A lowercase copy (states/tx.json) is published too."
+    }
+  };
+
+  const legislationFields = {
+    id: string,
+    title: string,
+    category: nullableString,
+    statusText: { type: "string", description: "Free-text legislative status as written in the dataset." },
+    stage: ref("leadStage"),
+    bills: stringList,
+    what: string,
+    latest: string,
+    sources: stringList,
+    lastUpdated: nullableIsoDate,
+    translations: ref("translations")
+  };
+
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: schemaUrl,
+    title: `StablecoinReg static API ${apiVersion}`,
+    oneOf: ["statesDocument", "stateDocument", "federalDocument", "legislationDocument", "stateIssuedDocument"].map(ref),
+    $defs: {
+      stateAbbr: { enum: Object.keys(ALL_STATES), description: "Uppercase USPS abbreviation." },
+      status: { enum: STATUS_ORDER },
+      billStage: { enum: Object.keys(BILL_STAGE_META) },
+      leadStage: {
+        enum: [...Object.keys(BILL_STAGE_META), "data_error"],
+        description: "Stage of the first listed bill, or data_error when that bill is missing or inconsistent."
+      },
+      translations: {
+        type: "object",
+        description: "Translated prose keyed by locale, e.g. { \"es\": { \"summary\": \"...\" } }.",
+        additionalProperties: { type: "object", additionalProperties: string }
+      },
+      bill: object({
+        id: string,
+        jurisdiction: string,
+        chamber: string,
+        session: string,
+        number: string,
+        title: string,
+        companions: stringList,
+        stage: ref("billStage"),
+        stageDates: { type: "object", propertyNames: ref("billStage"), additionalProperties: partialDate },
+        lastAction: string,
+        lastActionDate: partialDate,
+        sourceUrl: { type: "string", format: "uri" }
+      }, ["id", "jurisdiction", "number", "title", "stage"]),
+      bills: { type: "object", additionalProperties: ref("bill") },
+      implementation: object({
+        effectiveDateNote: string,
+        milestones: {
+          type: "array",
+          items: object({ id: string, date: isoDate, label: string, source: nullableString, translations: ref("translations") })
+        },
+        rulemakings: {
+          type: "array",
+          items: object({
+            id: string,
+            agency: string,
+            agencyName: string,
+            title: string,
+            docketId: { type: ["string", "null"], description: "Null until the agency's docket is recorded in the dataset." },
+            status: { enum: Object.keys(RULEMAKING_STATUS_META) },
+            commentOpens: nullableIsoDate,
+            commentCloses: nullableIsoDate,
+            what: string,
+            sources: stringList,
+            lastUpdated: nullableIsoDate,
+            translations: ref("translations")
+          })
+        },
+        translations: ref("translations")
+      }),
+      stateSummary: object(stateSummary),
+      state: object({
+        ...stateSummary,
+        statusHistory: { type: "array", items: object({ date: string, status: ref("status") }) },
+        profile: object(Object.fromEntries(PROFILE_DIMENSIONS.map(({ key, values }) => [key, { enum: Object.keys(values) }]))),
+        regulatoryBody: nullableString,
+        summary: string,
+        keyLaws: { type: "array", items: object({ text: string, bills: stringList }) },
+        recentDevelopments: string,
+        timeline: {
+          type: "array",
+          items: object({ date: string, label: string, detail: string, bills: stringList, source: nullableString })
+        },
+        sources: stringList,
+        stateIssued: stringList,
+        bills: ref("bills"),
+        translations: ref("translations")
+      }),
+      legislationEntry: object({
+        ...legislationFields,
+        level: { enum: ["federal", "state"] },
+        jurisdiction: string
+      }),
+      statesDocument: documentSchema("states", {
+        statuses: { type: "array", items: object({ key: ref("status"), label: string, description: string }) },
+        count: { type: "integer" },
+        states: { type: "array", items: ref("stateSummary") }
+      }),
+      stateDocument: documentSchema("state", { state: ref("state") }),
+      federalDocument: documentSchema("federal", {
+        genius: {
+          oneOf: [
+            { type: "null" },
+            object({
+              id: { const: "genius" },
+              title: string,
+              law: string,
+              category: string,
+              signedDate: isoDate,
+              effectiveDate: nullableIsoDate,
+              stage: ref("leadStage"),
+              bills: stringList,
+              summary: string,
+              implementation: ref("implementation"),
+              sources: stringList,
+              lastUpdated: nullableIsoDate,
+              translations: ref("translations")
+            })
+          ]
+        },
+        pendingBills: { type: "array", items: object(legislationFields) },
+        bills: ref("bills")
+      }),
+      legislationDocument: documentSchema("legislation", {
+        entries: { type: "array", items: ref("legislationEntry") },
+        bills: ref("bills")
+      }),
+      stateIssuedDocument: documentSchema("state-issued", {
+        programs: {
+          type: "array",
+          items: object({
+            state: ref("stateAbbr"),
+            stateName: string,
+            program: string,
+            statusText: string,
+            markerType: nullableString,
+            what: string,
+            latest: string,
+            sources: stringList,
+            lastUpdated: nullableIsoDate,
+            translations: ref("translations")
+          })
+        }
+      })
+    }
+  };
+}
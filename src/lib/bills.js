@@ -0,0 +1,189 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { getStateDevelopmentRowId, toComparableDate } from "./regulation";
+
+export const BILL_STAGE_META = {
+  introduced: { label: "Introduced", shortLabel: "Introduced", dot: "#71717a" },
+  in_committee: { label: "In committee", shortLabel: "In Committee", dot: "#fb923c" },
+  reported: { label: "Reported from committee", shortLabel: "Reported", dot: "#fb923c" },
+  passed_one_chamber: { label: "Passed one chamber", shortLabel: "Passed Chamber", dot: "#fbbf24" },
+  passed_both_chambers: { label: "Passed both chambers", shortLabel: "Passed Both", dot: "#fbbf24" },
+  enrolled: { label: "Enrolled", shortLabel: "Enrolled", dot: "#fbbf24" },
+  enacted: { label: "Signed / enacted", shortLabel: "Signed", dot: "#2dd4bf" },
+  effective: { label: "Effective", shortLabel: "Effective", dot: "#2dd4bf" },
+  vetoed: { label: "Vetoed", shortLabel: "Vetoed", dot: "#f87171" },
+  died: { label: "Died at sine die", shortLabel: "Died", dot: "#71717a" }
+};
+
+// Normal progression of a bill; vetoed and died end it early instead of extending it.
+export const BILL_STAGE_PATH = [
+  "introduced",
+  "in_committee",
+  "reported",
+  "passed_one_chamber",
+  "passed_both_chambers",
+  "enrolled",
+  "enacted",
+  "effective"
+];
+
+export const BILL_TERMINAL_STAGES = ["vetoed", "died"];
+
+export const BILL_DATA_ERROR_META = { label: "Data error", shortLabel: "Data Error", dot: "#f87171" };
+
+export function getKeyLawText(law) {
+  return typeof law === "string" ? law : law?.text || "";
+}
+
+export function getKeyLawBillIds(law) {
+  return typeof law === "string" ? [] : law?.bills || [];
+}
+
+export function getBillJurisdictionName(bill) {
+  if (!bill) return "";
+  return bill.jurisdiction === "US" ? "United States" : ALL_STATES[bill.jurisdiction] || bill.jurisdiction;
+}
+
+export function getBillsByIds(bills, billIds) {
+  return (billIds || []).map((id) => (bills[id] ? { id, ...bills[id] } : null)).filter(Boolean);
+}
+
+// Plain-text form used wherever chips cannot render (exports, search text, metadata).
+export function formatKeyLaw(law, bills) {
+  const text = getKeyLawText(law);
+  const numbers = getBillsByIds(bills, getKeyLawBillIds(law)).map((bill) => bill.number);
+  return numbers.length ? `${text} (${numbers.join(", ")})` : text;
+}
+
+export function getBillIdFromParam(bills, billParam) {
+  if (!billParam) return null;
+  const normalized = String(billParam).trim().toUpperCase();
+  return Object.keys(bills).find((id) => id.toUpperCase() === normalized) || null;
+}
+
+// Reverse index from bill ID to every record that cites it, for the bill detail view.
+export function buildBillReferences({ federalContext, pendingFederalBills, majorStateDevelopments, statesData }) {
+  const references = {};
+  const add = (billIds, reference) => {
+    (billIds || []).forEach((id) => {
+      references[id] = references[id] || [];
+      if (references[id].some((item) => item.label === reference.label)) return;
+      references[id].push(reference);
+    });
+  };
+
+  if (federalContext) add(federalContext.bills, { kind: "legislation", rowId: "genius", label: `${federalContext.title} (federal)` });
+  pendingFederalBills.forEach((bill) => {
+    add(bill.bills, { kind: "legislation", rowId: bill.id, label: `${bill.title} (federal)` });
+  });
+  majorStateDevelopments.forEach((item) => {
+    add(item.bills, {
+      kind: "legislation",
+      rowId: getStateDevelopmentRowId(item),
+      label: `${item.title} (${ALL_STATES[item.state] || item.state})`
+    });
+  });
+  Object.entries(statesData).forEach(([abbr, entry]) => {
+    const name = entry.name || ALL_STATES[abbr];
+    (entry.keyLaws || []).forEach((law) => {
+      add(getKeyLawBillIds(law), { kind: "state", abbr, section: "key-laws", label: `${name}: key laws` });
+    });
+    (entry.timeline || []).forEach((item) => {
+      add(item.bills, { kind: "state", abbr, section: "timeline", label: `${name}: timeline (${item.date})` });
+    });
+  });
+
+  return references;
+}
+
+export function getBillStageMeta(stage) {
+  return BILL_STAGE_META[stage] || null;
+}
+
+export function getBillStageLabel(bill) {
+  return getBillStageMeta(bill?.stage)?.label || "Unknown stage";
+}
+
+// Still moving through the legislature: not yet signed, and not vetoed or dead.
+export function isBillPending(bill) {
+  return Boolean(getBillStageMeta(bill?.stage)) && !["enacted", "effective", ...BILL_TERMINAL_STAGES].includes(bill.stage);
+}
+
+export function countPendingBills(bills, jurisdiction) {
+  return Object.values(bills).filter((bill) => bill.jurisdiction === jurisdiction && isBillPending(bill)).length;
+}
+
+export function getBillDataErrors(bill) {
+  if (!bill) return ["Bill record is missing."];
+  const errors = [];
+  const stageDates = bill.stageDates || {};
+  const pathIndex = BILL_STAGE_PATH.indexOf(bill.stage);
+  const isTerminal = BILL_TERMINAL_STAGES.includes(bill.stage);
+
+  if (!BILL_STAGE_META[bill.stage]) {
+    errors.push(`Unknown stage "${bill.stage}".`);
+    return errors;
+  }
+  Object.keys(stageDates).forEach((stage) => {
+    if (!BILL_STAGE_META[stage]) errors.push(`Date recorded for unknown stage "${stage}".`);
+  });
+  if (!stageDates[bill.stage]) {
+    errors.push(`Current stage "${bill.stage}" has no date.`);
+  }
+
+  BILL_STAGE_PATH.forEach((stage, index) => {
+    if (stageDates[stage] && !isTerminal && index > pathIndex) {
+      errors.push(`Stage mismatch: "${stage}" is dated but the current stage is "${bill.stage}".`);
+    }
+  });
+  BILL_TERMINAL_STAGES.forEach((stage) => {
+    if (stageDates[stage] && stage !== bill.stage) {
+      errors.push(`Stage mismatch: "${stage}" is dated but the current stage is "${bill.stage}".`);
+    }
+  });
+
+  const dated = [...BILL_STAGE_PATH, ...BILL_TERMINAL_STAGES]
+    .filter((stage) => stageDates[stage])
+    .map((stage) => ({ stage, date: toComparableDate(stageDates[stage]) }));
+  dated.forEach((item, index) => {
+    const previous = dated[index - 1];
+    if (previous && item.date < previous.date) {
+      errors.push(`Backwards transition: "${item.stage}" (${stageDates[item.stage]}) is dated before "${previous.stage}" (${stageDates[previous.stage]}).`);
+    }
+  });
+
+  // Dying at sine die is not a recorded action, so it can follow the last action.
+  const currentDate = toComparableDate(stageDates[bill.stage]);
+  if (currentDate && bill.stage !== "died" && bill.lastActionDate && toComparableDate(bill.lastActionDate) < currentDate) {
+    errors.push(`Last action (${bill.lastActionDate}) is dated before the current stage (${stageDates[bill.stage]}).`);
+  }
+
+  return errors;
+}
+
+export function collectBillDataErrors(bills) {
+  return Object.entries(bills)
+    .flatMap(([id, bill]) => getBillDataErrors(bill).map((message) => ({ id, message })));
+}
+
+// Steps for the progress bar: the normal path up to where the bill stopped, then the
+// terminal outcome if it has one. Undated steps before the current stage still count as done.
+export function getBillProgressSteps(bill) {
+  const stageDates = bill?.stageDates || {};
+  if (BILL_TERMINAL_STAGES.includes(bill?.stage)) {
+    const reachedIndex = BILL_STAGE_PATH.reduce(
+      (last, stage, index) => (stageDates[stage] ? index : last),
+      0
+    );
+    return [
+      ...BILL_STAGE_PATH.slice(0, reachedIndex + 1).map((stage) => ({ stage, state: "done", date: stageDates[stage] || null })),
+      { stage: bill.stage, state: "current", date: stageDates[bill.stage] || null }
+    ];
+  }
+
+  const currentIndex = BILL_STAGE_PATH.indexOf(bill?.stage);
+  return BILL_STAGE_PATH.map((stage, index) => ({
+    stage,
+    state: index < currentIndex ? "done" : index === currentIndex ? "current" : "upcoming",
+    date: stageDates[stage] || null
+  }));
+}
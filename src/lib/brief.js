@@ -0,0 +1,107 @@
+import { getBillsByIds, getKeyLawBillIds, getKeyLawText } from "./bills";
+import { SITE_URL, getStatePagePath } from "./pageMeta";
+import { PROFILE_DIMENSIONS, getProfileValue } from "./regulatoryProfile";
+import { normalizeStatus, toStateSlug } from "./regulation";
+import { getSourceLabel } from "./sources";
+
+// Print layout and PDF both render this model, so the handout reads the same either way.
+// Blocks are `paragraph` ({ text, notes }), `list` ({ items: [{ text, notes }] }) or
+// `definitions` ({ items: [{ term, value }] }); `notes` are footnote numbers.
+export function buildStateBrief({ abbr, entry, regulatoryBody, programs, bills, federalContext, today, i18n }) {
+  const { t, field, formatDate, statusMeta, mapLayer } = i18n;
+  const footnotes = [];
+  const cite = (urls) => [...new Set((urls || []).filter(Boolean))].map((url) => {
+    const existing = footnotes.find((note) => note.url === url);
+    if (existing) return existing.number;
+    const number = footnotes.length + 1;
+    footnotes.push({ number, url, label: getSourceLabel(url) });
+    return number;
+  });
+
+  const status = normalizeStatus(entry.status);
+  const meta = statusMeta(status);
+  const keyLaws = (entry.keyLaws || []).map((law) => {
+    const lawBills = getBillsByIds(bills, getKeyLawBillIds(law));
+    const numbers = lawBills.map((bill) => bill.number);
+    return {
+      text: numbers.length ? `${getKeyLawText(law)} (${numbers.join(", ")})` : getKeyLawText(law),
+      notes: cite(lawBills.map((bill) => bill.sourceUrl))
+    };
+  });
+
+  const sections = [
+    { id: "summary", heading: t("panel.summary"), blocks: [{ kind: "paragraph", text: entry.summary, notes: cite(entry.sources) }] },
+    {
+      id: "profile",
+      heading: t("panel.profile"),
+      blocks: [{
+        kind: "definitions",
+        items: PROFILE_DIMENSIONS.map(({ key }) => {
+          const dimension = mapLayer(key);
+          return { term: dimension.label, value: dimension.values[getProfileValue(entry, key)].label };
+        })
+      }]
+    },
+    { id: "key-laws", heading: t("panel.keyLaws"), blocks: [{ kind: "list", items: keyLaws }] },
+    { id: "regulator", heading: t("panel.regulator"), blocks: [{ kind: "paragraph", text: regulatoryBody, notes: [] }] },
+    {
+      id: "recent",
+      heading: t("panel.recent"),
+      blocks: [{ kind: "paragraph", text: entry.recentDevelopments || t("panel.noRecent"), notes: [] }]
+    },
+    ...(programs.length ? [{
+      id: "state-issued",
+      heading: t("panel.stateIssued"),
+      blocks: [{
+        kind: "list",
+        items: programs.map((item) => ({
+          text: [`${item.program} (${item.status})`, field(item, "what"), field(item, "latest")].filter(Boolean).join(" "),
+          notes: cite(item.sources)
+        }))
+      }]
+    }] : []),
+    ...(entry.timeline?.length ? [{
+      id: "timeline",
+      heading: t("panel.timeline"),
+      blocks: [{
+        kind: "list",
+        items: entry.timeline.map((item) => ({
+          text: `${item.date}: ${item.label}${item.detail ? `. ${item.detail}` : ""}`,
+          notes: cite([item.source, ...getBillsByIds(bills, item.bills).map((bill) => bill.sourceUrl)])
+        }))
+      }]
+    }] : [])
+  ];
+
+  // The federal baseline applies to every state, so each brief carries it. Translations
+  // split the English summary into `what` and `latest`.
+  const federalTranslation = federalContext?.translations?.[i18n.locale];
+  const federal = federalContext ? {
+    heading: t("brief.federal"),
+    law: federalContext.law,
+    signedDate: formatDate(federalContext.signedDate),
+    text: federalTranslation
+      ? [federalTranslation.what, federalTranslation.latest].filter(Boolean).join(" ")
+      : federalContext.summary,
+    notes: cite(federalContext.sources)
+  } : null;
+
+  return {
+    abbr,
+    name: entry.name,
+    status,
+    statusLabel: meta.label,
+    statusDescription: meta.description,
+    statusColor: meta.color,
+    lastUpdated: entry.lastUpdated ? formatDate(entry.lastUpdated) : null,
+    generatedOn: formatDate(today),
+    pageUrl: `${SITE_URL}${getStatePagePath(entry.name)}`,
+    sections,
+    federal,
+    footnotes
+  };
+}
+
+export function getStateBriefFileName(name) {
+  return `${toStateSlug(name)}-stablecoin-brief.pdf`;
+}
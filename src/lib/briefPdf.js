@@ -0,0 +1,182 @@
+// Letter-size PDF of a `buildStateBrief` model, drawn with jsPDF in the browser. jsPDF is
+// loaded on demand, so it only downloads when someone asks for a brief.
+const PAGE = { width: 612, height: 792, margin: 36, footer: 16 };
+const LOCATOR = { width: 150, height: 112 };
+const COLORS = { text: "#18181b", muted: "#52525b", faint: "#a1a1aa", link: "#0e7490", panel: "#f4f4f5" };
+const LINE_HEIGHT = 1.3;
+
+function withNotes(text, notes) {
+  return notes?.length ? `${text} [${notes.join(", ")}]` : text;
+}
+
+// Renders an on-screen SVG (the print layout's locator map) to a PNG at least `minWidth`
+// pixels wide, resolving to `{ dataUrl, width, height }` with the viewBox size.
+export function rasterizeSvg(svg, { minWidth = 800 } = {}) {
+  const { width, height } = svg.viewBox.baseVal;
+  const scale = Math.max(1, minWidth / width);
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", String(width));
+  clone.setAttribute("height", String(height));
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: "image/svg+xml" }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve({ dataUrl: canvas.toDataURL("image/png"), width, height });
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the locator map."));
+    };
+    image.src = url;
+  });
+}
+
+export async function renderStateBriefPdf(brief, { locatorImage, labels }) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const bottom = PAGE.height - PAGE.margin - PAGE.footer;
+  let y = PAGE.margin;
+
+  doc.setProperties({ title: `${brief.name}: ${labels.title}`, subject: brief.statusLabel, creator: brief.pageUrl });
+
+  const setType = (size, style = "normal", color = COLORS.text) => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+  const ensureSpace = (height) => {
+    if (y + height <= bottom) return;
+    doc.addPage();
+    y = PAGE.margin;
+  };
+  const writeLines = (text, { size = 8, style = "normal", color = COLORS.text, x = PAGE.margin, width = contentWidth, prefix = null } = {}) => {
+    setType(size, style, color);
+    const lineHeight = size * LINE_HEIGHT;
+    doc.splitTextToSize(String(text || ""), width).forEach((line, index) => {
+      ensureSpace(lineHeight);
+      if (prefix && index === 0) doc.text(prefix, x - 9, y, { baseline: "top" });
+      doc.text(line, x, y, { baseline: "top" });
+      y += lineHeight;
+    });
+  };
+
+  // Header: name, status, dates and the locator map on the right.
+  const headerWidth = contentWidth - LOCATOR.width - 16;
+  if (locatorImage) {
+    const fit = Math.min(LOCATOR.width / locatorImage.width, LOCATOR.height / locatorImage.height);
+    const width = locatorImage.width * fit;
+    doc.addImage(locatorImage.dataUrl, "PNG", PAGE.width - PAGE.margin - width, y, width, locatorImage.height * fit);
+  }
+  setType(8, "bold", COLORS.muted);
+  doc.text(labels.title.toUpperCase(), PAGE.margin, y, { baseline: "top" });
+  y += 14;
+  writeLines(brief.name, { size: 22, style: "bold", width: headerWidth });
+  y += 4;
+  setType(9, "bold", "#ffffff");
+  const chipWidth = doc.getTextWidth(brief.statusLabel) + 14;
+  doc.setFillColor(brief.statusColor);
+  doc.roundedRect(PAGE.margin, y, chipWidth, 16, 8, 8, "F");
+  doc.text(brief.statusLabel, PAGE.margin + 7, y + 4, { baseline: "top" });
+  y += 22;
+  writeLines(brief.statusDescription, { size: 8.5, color: COLORS.muted, width: headerWidth });
+  y += 2;
+  writeLines([labels.lastUpdated, labels.generated].filter(Boolean).join("  ·  "), { size: 8.5, style: "bold", color: COLORS.muted, width: headerWidth });
+  y = Math.max(y, PAGE.margin + (locatorImage ? LOCATOR.height : 0)) + 12;
+
+  brief.sections.forEach((section) => {
+    ensureSpace(30);
+    doc.setDrawColor("#e4e4e7");
+    doc.line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+    y += 7;
+    writeLines(section.heading.toUpperCase(), { size: 7.5, style: "bold", color: COLORS.muted });
+    y += 2;
+    section.blocks.forEach((block) => {
+      if (block.kind === "paragraph") writeLines(withNotes(block.text, block.notes));
+      if (block.kind === "list") {
+        block.items.forEach((item) => writeLines(withNotes(item.text, item.notes), { x: PAGE.margin + 10, width: contentWidth - 10, prefix: "•" }));
+      }
+      if (block.kind === "definitions") {
+        // Two columns, filled left to right, to keep the profile to three lines.
+        const columnWidth = (contentWidth - 16) / 2;
+        for (let index = 0; index < block.items.length; index += 2) {
+          const rowTop = y;
+          let rowBottom = y;
+          block.items.slice(index, index + 2).forEach((item, column) => {
+            y = rowTop;
+            writeLines(`${item.term}: ${item.value}`, { x: PAGE.margin + column * (columnWidth + 16), width: columnWidth });
+            rowBottom = Math.max(rowBottom, y);
+          });
+          y = rowBottom;
+        }
+      }
+    });
+    y += 4;
+  });
+
+  if (brief.federal) {
+    const textX = PAGE.margin + 12;
+    const textWidth = contentWidth - 20;
+    const lineHeight = 8 * LINE_HEIGHT;
+    setType(8, "bold");
+    const lawLines = doc.splitTextToSize(`${brief.federal.law} (${labels.signed})`, textWidth);
+    setType(8);
+    const federalLines = doc.splitTextToSize(withNotes(brief.federal.text, brief.federal.notes), textWidth);
+    // Drawn as one box, so it moves to the next page whole rather than splitting.
+    const boxHeight = 8 + 7.5 * LINE_HEIGHT + 2 + (lawLines.length + federalLines.length) * lineHeight + 8;
+    ensureSpace(boxHeight);
+    doc.setFillColor(COLORS.panel);
+    doc.rect(PAGE.margin, y, contentWidth, boxHeight, "F");
+    doc.setFillColor(brief.statusColor);
+    doc.rect(PAGE.margin, y, 3, boxHeight, "F");
+    const top = y;
+    y += 8;
+    writeLines(brief.federal.heading.toUpperCase(), { size: 7.5, style: "bold", color: COLORS.muted, x: textX });
+    y += 2;
+    [[lawLines, "bold"], [federalLines, "normal"]].forEach(([lines, style]) => {
+      setType(8, style);
+      lines.forEach((line) => {
+        doc.text(line, textX, y, { baseline: "top" });
+        y += lineHeight;
+      });
+    });
+    y = top + boxHeight + 12;
+  }
+
+  if (brief.footnotes.length) {
+    ensureSpace(24);
+    writeLines(labels.sources.toUpperCase(), { size: 7.5, style: "bold", color: COLORS.muted });
+    y += 2;
+    // Full URLs, one per line where they fit, so the handout still works on paper.
+    brief.footnotes.forEach((note) => {
+      ensureSpace(6.5 * LINE_HEIGHT);
+      setType(6.5, "normal", COLORS.muted);
+      doc.text(`${note.number}.`, PAGE.margin, y, { baseline: "top" });
+      setType(6.5, "normal", COLORS.link);
+      doc.splitTextToSize(note.url, contentWidth - 14).forEach((line) => {
+        ensureSpace(6.5 * LINE_HEIGHT);
+        doc.textWithLink(line, PAGE.margin + 14, y, { url: note.url, baseline: "top" });
+        y += 6.5 * LINE_HEIGHT;
+      });
+    });
+  }
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page);
+    setType(7, "normal", COLORS.faint);
+    doc.text(brief.pageUrl, PAGE.margin, PAGE.height - PAGE.margin, { baseline: "bottom" });
+    if (pageCount > 1) {
+      doc.text(`${page} / ${pageCount}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin, { align: "right", baseline: "bottom" });
+    }
+  }
+
+  return doc.output("blob");
+}
@@ -0,0 +1,346 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { getKeyLawBillIds } from "./bills";
+import { SITE_NAME, SITE_URL, getStatePagePath } from "./pageMeta";
+import { getSourceHealth } from "./sourceHealth";
+import {
+  getSourceAgency,
+  getSourceBillParts,
+  getSourceContextLabel,
+  getSourceStatuteParts,
+  normalizeSourceUrl
+} from "./sources";
+
+export const CITATION_FORMATS = ["bluebook", "apa", "bibtex"];
+
+export const DEFAULT_CITATION_FORMAT = "bluebook";
+
+// Bluebook T1 jurisdiction abbreviations, used in bill parentheticals.
+const BLUEBOOK_JURISDICTIONS = {
+  AL: "Ala.", AK: "Alaska", AZ: "Ariz.", AR: "Ark.", CA: "Cal.", CO: "Colo.", CT: "Conn.", DE: "Del.",
+  DC: "D.C.", FL: "Fla.", GA: "Ga.", HI: "Haw.", ID: "Idaho", IL: "Ill.", IN: "Ind.", IA: "Iowa",
+  KS: "Kan.", KY: "Ky.", LA: "La.", ME: "Me.", MD: "Md.", MA: "Mass.", MI: "Mich.", MN: "Minn.",
+  MS: "Miss.", MO: "Mo.", MT: "Mont.", NE: "Neb.", NV: "Nev.", NH: "N.H.", NJ: "N.J.", NM: "N.M.",
+  NY: "N.Y.", NC: "N.C.", ND: "N.D.", OH: "Ohio", OK: "Okla.", OR: "Or.", PA: "Pa.", RI: "R.I.",
+  SC: "S.C.", SD: "S.D.", TN: "Tenn.", TX: "Tex.", UT: "Utah", VT: "Vt.", VA: "Va.", WA: "Wash.",
+  WV: "W. Va.", WI: "Wis.", WY: "Wyo.", PR: "P.R.", GU: "Guam", VI: "V.I.", AS: "Am. Samoa",
+  MP: "N. Mar. I."
+};
+
+const BLUEBOOK_CODES = {
+  "FL-STAT": "Fla. Stat.",
+  "TX-FI": "Tex. Fin. Code Ann.",
+  "WA-RCW": "Wash. Rev. Code",
+  "VA-CODE": "Va. Code Ann.",
+  "NH-RSA": "N.H. Rev. Stat. Ann."
+};
+
+const BLUEBOOK_SESSION_WORDS = {
+  Congress: "Cong.",
+  Legislature: "Leg.",
+  Legislative: "Leg.",
+  Regular: "Reg.",
+  Special: "Spec.",
+  Session: "Sess.",
+  General: "Gen.",
+  Assembly: "Assemb."
+};
+
+const BLUEBOOK_MONTHS = ["Jan.", "Feb.", "Mar.", "Apr.", "May", "June", "July", "Aug.", "Sept.", "Oct.", "Nov.", "Dec."];
+const APA_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+function toIsoDate(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const text = String(value || "");
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : "";
+}
+
+function getDateParts(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return { year, month: month - 1, day };
+}
+
+function formatBluebookDate(isoDate) {
+  const { year, month, day } = getDateParts(isoDate);
+  return `${BLUEBOOK_MONTHS[month]} ${day}, ${year}`;
+}
+
+function formatApaDate(isoDate) {
+  const { year, month, day } = getDateParts(isoDate);
+  return `${APA_MONTHS[month]} ${day}, ${year}`;
+}
+
+function toOrdinal(value) {
+  const remainder = value % 100;
+  if (remainder >= 11 && remainder <= 13) return `${value}th`;
+  return `${value}${["th", "st", "nd", "rd"][value % 10] || "th"}`;
+}
+
+function toSentenceCase(value) {
+  const text = String(value || "").trim();
+  return text ? `${text[0].toUpperCase()}${text.slice(1)}` : "";
+}
+
+function toCitationKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .split("-")
+    .slice(0, 6)
+    .join("-") || "source";
+}
+
+function escapeBibtex(value) {
+  return String(value || "").replace(/[\\{}&%$#_~^]/g, (char) => (
+    { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" }[char] || `\\${char}`
+  ));
+}
+
+function normalizeBillNumber(number) {
+  const compact = String(number || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const match = compact.match(/^([A-Z]+)0*(\d+[A-Z]*)$/);
+  return match ? `${match[1]}${match[2]}` : compact;
+}
+
+// "HB0264" -> "H.B. 264", "S8901" -> "S. 8901", "H.R. 3633" stays as is.
+function formatBluebookBillNumber(number) {
+  const match = String(number || "").replace(/\s+/g, "").match(/^([A-Z.]+?)\.?0*(\d+[A-Z]*)$/i);
+  if (!match) return String(number || "");
+  const prefix = match[1].replace(/\./g, "").toUpperCase().split("").join(".");
+  return `${prefix}. ${match[2]}`;
+}
+
+function formatBluebookSession(bill) {
+  if (!bill.session) return bill.congress ? `${toOrdinal(bill.congress)} Cong.` : "";
+  return bill.session
+    .replace(/\b(\d{4})-(\d{4})\b/g, "$1–$2")
+    .replace(/\b[A-Z][a-z]+\b/g, (word) => BLUEBOOK_SESSION_WORDS[word] || word);
+}
+
+function getBillYear(bill) {
+  const dated = bill.stageDates?.introduced || bill.lastActionDate;
+  if (dated) return String(dated).slice(0, 4);
+  if (bill.sessionYear) return bill.sessionYear;
+  return bill.congress ? String(1787 + (2 * bill.congress)) : "";
+}
+
+function getLegislatureName(jurisdiction) {
+  return jurisdiction === "US" ? "United States Congress" : `${ALL_STATES[jurisdiction] || jurisdiction} Legislature`;
+}
+
+function getBillsBySourceUrl(url, bills) {
+  const normalized = normalizeSourceUrl(url);
+  return Object.entries(bills).filter(([, bill]) => bill.sourceUrl && normalizeSourceUrl(bill.sourceUrl) === normalized);
+}
+
+// A URL used as the source of exactly one bill record cites as that bill. Otherwise a
+// Congress.gov or NY Senate bill URL is matched to a record by its parsed number, and
+// falls back to the parsed parts alone.
+function findSourceBill(url, bills) {
+  const byUrl = getBillsBySourceUrl(url, bills);
+  if (byUrl.length === 1) return { id: byUrl[0][0], ...byUrl[0][1] };
+
+  const parts = getSourceBillParts(url);
+  if (!parts) return null;
+  const match = Object.entries(bills).find(([, bill]) => (
+    bill.jurisdiction === parts.jurisdiction && normalizeBillNumber(bill.number) === normalizeBillNumber(parts.number)
+  ));
+  return match ? { ...parts, id: match[0], ...match[1] } : { ...parts, id: null };
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+}
+
+// The code's own year: the edition the URL pins, or else the year of the latest enacted
+// bill that cites the page as its source. Without either the year is left out, since the
+// day the page was read says nothing about how current the code is.
+function getStatuteYear(url, statute, bills) {
+  if (statute.year) return statute.year;
+  return getBillsBySourceUrl(url, bills)
+    .filter(([, bill]) => ["enacted", "effective"].includes(bill.stage))
+    .map(([, bill]) => String(bill.stageDates?.effective || bill.stageDates?.enacted || "").slice(0, 4))
+    .filter(Boolean)
+    .sort()
+    .pop() || "";
+}
+
+function getSourceAccessDate(url, accessDate) {
+  return toIsoDate(getSourceHealth(url)?.lastOkAt) || toIsoDate(accessDate);
+}
+
+// Structured record behind each citation: a bill, a code chapter or section, or a plain
+// web page with the publishing agency as author.
+export function getSourceCitation(url, { bills = {}, accessDate = new Date() } = {}) {
+  const accessed = getSourceAccessDate(url, accessDate);
+
+  const statute = getSourceStatuteParts(url);
+  if (statute && BLUEBOOK_CODES[statute.code]) {
+    const year = getStatuteYear(url, statute, bills);
+    const location = statute.section
+      ? `§ ${statute.section}`
+      : [statute.title ? `tit. ${statute.title}` : "", `ch. ${statute.chapter}`].filter(Boolean).join(", ");
+    return {
+      kind: "statute",
+      key: toCitationKey(`${statute.code} ${statute.title || ""} ${statute.section || statute.chapter}`),
+      url,
+      accessed,
+      author: getLegislatureName(statute.jurisdiction),
+      title: `${BLUEBOOK_CODES[statute.code]} ${location}`,
+      year
+    };
+  }
+
+  const bill = findSourceBill(url, bills);
+  if (bill) {
+    return {
+      kind: "bill",
+      key: toCitationKey(bill.id || `${bill.jurisdiction} ${normalizeBillNumber(bill.number)}`),
+      url,
+      accessed,
+      author: getLegislatureName(bill.jurisdiction),
+      title: bill.title || "",
+      number: bill.number,
+      bluebookNumber: formatBluebookBillNumber(bill.number),
+      session: formatBluebookSession(bill),
+      sessionLabel: bill.session || (bill.congress ? `${toOrdinal(bill.congress)} Congress` : ""),
+      jurisdiction: bill.jurisdiction,
+      year: getBillYear(bill),
+      isEnacted: ["enacted", "effective"].includes(bill.stage)
+    };
+  }
+
+  const hostname = getHostname(url);
+  const title = toSentenceCase(getSourceContextLabel(url)) || "Home page";
+  return {
+    kind: "web",
+    key: toCitationKey(`${hostname.split(".")[0]} ${title}`),
+    url,
+    accessed,
+    author: getSourceAgency(url) || hostname,
+    title
+  };
+}
+
+export function getStateCitation(abbr, entry, { accessDate = new Date() } = {}) {
+  const name = entry.name || ALL_STATES[abbr] || abbr;
+  return {
+    kind: "page",
+    key: toCitationKey(`${SITE_NAME} ${abbr}`),
+    url: `${SITE_URL}${getStatePagePath(name)}`,
+    accessed: toIsoDate(accessDate),
+    author: SITE_NAME,
+    title: `${name} Stablecoin Regulation`,
+    sentenceTitle: `${name} stablecoin regulation`,
+    updated: toIsoDate(entry.lastUpdated)
+  };
+}
+
+function getBluebookBillCore(citation) {
+  const court = citation.jurisdiction === "US" ? "" : `${BLUEBOOK_JURISDICTIONS[citation.jurisdiction] || citation.jurisdiction} `;
+  const parenthetical = citation.year || court ? ` (${court}${citation.year})` : "";
+  const session = citation.session ? `, ${citation.session}` : "";
+  return `${citation.bluebookNumber}${session}${parenthetical}${citation.isEnacted ? " (enacted)" : ""}`;
+}
+
+function formatBluebook(citation) {
+  const visited = citation.accessed ? ` (last visited ${formatBluebookDate(citation.accessed)})` : "";
+  if (citation.kind === "bill") return `${getBluebookBillCore(citation)}, ${citation.url}.`;
+  if (citation.kind === "statute") return `${citation.title}${citation.year ? ` (${citation.year})` : ""}, ${citation.url}.`;
+  if (citation.kind === "page") {
+    const updated = citation.updated ? ` (${formatBluebookDate(citation.updated)})` : "";
+    return `${citation.author}, ${citation.title}${updated}, ${citation.url}${visited}.`;
+  }
+  return `${citation.author}, ${citation.title}, ${citation.url}${visited}.`;
+}
+
+// APA 7 sends legislation to legal (Bluebook) form; pages without a publication date
+// are "n.d." with a retrieval date.
+function formatApa(citation) {
+  if (citation.kind === "bill") {
+    return `${citation.title ? `${citation.title}, ` : ""}${getBluebookBillCore(citation)}. ${citation.url}`;
+  }
+  if (citation.kind === "statute") return `${citation.title} (${citation.year || "n.d."}). ${citation.url}`;
+  if (citation.kind === "page" && citation.updated) {
+    const { year, month, day } = getDateParts(citation.updated);
+    return `${citation.author}. (${year}, ${APA_MONTHS[month]} ${day}). ${citation.sentenceTitle}. ${citation.url}`;
+  }
+  const retrieved = citation.accessed ? `Retrieved ${formatApaDate(citation.accessed)}, from ` : "";
+  return `${citation.author}. (n.d.). ${citation.title}. ${retrieved}${citation.url}`;
+}
+
+function formatBibtex(citation) {
+  const fields = [
+    ["author", `{${escapeBibtex(citation.author)}}`],
+    ["title", citation.kind === "bill" && citation.title
+      ? `{${escapeBibtex(citation.title)}}, ${escapeBibtex(citation.number)}`
+      : escapeBibtex(citation.title || citation.number)],
+    ["year", citation.kind === "page" ? (citation.updated || "").slice(0, 4) : citation.year || ""],
+    ["howpublished", `\\url{${citation.url}}`],
+    ["note", [
+      citation.kind === "bill" ? [citation.sessionLabel, citation.isEnacted ? "enacted" : ""].filter(Boolean).join(", ") : "",
+      citation.kind === "page" && citation.updated ? `Last updated ${citation.updated}` : "",
+      citation.accessed ? `Accessed ${citation.accessed}` : ""
+    ].filter(Boolean).join(". ")]
+  ].filter(([, value]) => value);
+  return `@misc{${citation.key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(",\n")}\n}`;
+}
+
+const CITATION_FORMATTERS = { bluebook: formatBluebook, apa: formatApa, bibtex: formatBibtex };
+
+export function formatCitation(citation, format) {
+  return (CITATION_FORMATTERS[format] || formatBluebook)(citation);
+}
+
+// BibTeX keys must be unique within one file, so repeats get a numeric suffix.
+export function formatCitationList(citations, format) {
+  const seenKeys = new Map();
+  return citations
+    .map((citation) => {
+      const count = seenKeys.get(citation.key) || 0;
+      seenKeys.set(citation.key, count + 1);
+      return formatCitation(count ? { ...citation, key: `${citation.key}-${count + 1}` } : citation, format);
+    })
+    .join(format === "bibtex" ? "\n\n" : "\n");
+}
+
+// Every source behind a state's panel: its own sources, timeline sources, the bills its
+// key laws, timeline and legislation entries reference, and its state-issued programs.
+export function getStateSourceUrls({ abbr, entry, bills, majorStateDevelopments = [], programs = [] }) {
+  const developments = majorStateDevelopments.filter((item) => item.state === abbr);
+  const billIds = [
+    ...(entry.keyLaws || []).flatMap(getKeyLawBillIds),
+    ...(entry.timeline || []).flatMap((item) => item.bills || []),
+    ...developments.flatMap((item) => item.bills || [])
+  ];
+  const urls = [
+    ...(entry.sources || []),
+    ...(entry.timeline || []).map((item) => item.source),
+    ...billIds.map((id) => bills[id]?.sourceUrl),
+    ...developments.flatMap((item) => item.sources || []),
+    ...programs.flatMap((item) => item.sources || [])
+  ];
+  // The same page linked with its query params in another order is cited once.
+  const seen = new Set();
+  return urls.map((url) => String(url || "").trim()).filter((url) => {
+    const key = normalizeSourceUrl(url);
+    if (!url || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function getStateCitations({ abbr, entry, bills, majorStateDevelopments, programs, accessDate = new Date() }) {
+  return [
+    getStateCitation(abbr, entry, { accessDate }),
+    ...getStateSourceUrls({ abbr, entry, bills, majorStateDevelopments, programs })
+      .map((url) => getSourceCitation(url, { bills, accessDate }))
+  ];
+}
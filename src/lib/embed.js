@@ -0,0 +1,100 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { getLocaleFromParam } from "./i18n";
+import { SITE_URL } from "./pageMeta";
+import { STATUS_META } from "./regulation";
+
+// `embed.html` is a separate Vite entry; `public/embed/stablecoin-map.js` defines the
+// <stablecoin-map> element, which frames that page with its attributes as query params.
+export const EMBED_PAGE_PATH = "/embed.html";
+export const EMBED_SCRIPT_PATH = "/embed/stablecoin-map.js";
+export const EMBED_ELEMENT_NAME = "stablecoin-map";
+export const EMBED_RESIZE_MESSAGE = "stablecoin-map:resize";
+// Set by the element to the embedding page's origin, which is the only origin the
+// widget reports its height to.
+export const EMBED_PARENT_PARAM = "parent";
+export const EMBED_THEMES = ["dark", "light"];
+export const DEFAULT_EMBED_HEIGHT = 520;
+
+export const DEFAULT_EMBED_OPTIONS = {
+  state: null,
+  filter: null,
+  theme: "dark",
+  panel: true,
+  linkBack: null,
+  lang: "en"
+};
+
+function toHttpUrl(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Same attribute names as the element: state, filter, theme, panel ("hidden"), link-back, lang.
+// Anything unrecognized falls back to the default rather than breaking the partner's page.
+export function getEmbedOptionsFromParams(params) {
+  const state = String(params.get("state") || "").trim().toUpperCase();
+  const filter = String(params.get("filter") || "").trim().toLowerCase().replace(/-/g, "_");
+  const theme = String(params.get("theme") || "").trim().toLowerCase();
+  return {
+    state: ALL_STATES[state] ? state : DEFAULT_EMBED_OPTIONS.state,
+    filter: STATUS_META[filter] ? filter : DEFAULT_EMBED_OPTIONS.filter,
+    theme: EMBED_THEMES.includes(theme) ? theme : DEFAULT_EMBED_OPTIONS.theme,
+    panel: String(params.get("panel") || "").trim().toLowerCase() !== "hidden",
+    linkBack: toHttpUrl(params.get("link-back")),
+    lang: getLocaleFromParam(params.get("lang"))
+  };
+}
+
+function toOrigin(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// Origin to post resize messages to: the one the element passed, or else the page that
+// loaded the frame. A plain <iframe> with its referrer stripped gets no messages, which
+// is fine since nothing on that page listens for them.
+export function getEmbedParentOrigin(params, referrer) {
+  return toOrigin(params.get(EMBED_PARENT_PARAM)) || toOrigin(referrer);
+}
+
+// Attribute list in a stable order, leaving out anything at its default.
+export function getEmbedAttributes(options) {
+  return [
+    ["state", options.state],
+    ["filter", options.filter ? options.filter.replace(/_/g, "-") : null],
+    ["theme", options.theme !== DEFAULT_EMBED_OPTIONS.theme ? options.theme : null],
+    ["panel", options.panel ? null : "hidden"],
+    ["link-back", toHttpUrl(options.linkBack)],
+    ["lang", options.lang !== DEFAULT_EMBED_OPTIONS.lang ? options.lang : null]
+  ].filter(([, value]) => value);
+}
+
+export function getEmbedPageUrl(options, siteUrl = SITE_URL) {
+  const params = new URLSearchParams(getEmbedAttributes(options));
+  const query = params.toString();
+  return `${siteUrl}${EMBED_PAGE_PATH}${query ? `?${query}` : ""}`;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+export function buildEmbedSnippet(options, kind, siteUrl = SITE_URL) {
+  if (kind === "iframe") {
+    return `<iframe src="${escapeAttribute(getEmbedPageUrl(options, siteUrl))}" title="U.S. stablecoin regulation map" `
+      + `width="100%" height="${DEFAULT_EMBED_HEIGHT}" style="border:0" loading="lazy"></iframe>`;
+  }
+  const attributes = getEmbedAttributes(options)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+  return `<script src="${siteUrl}${EMBED_SCRIPT_PATH}" async></script>\n`
+    + `<${EMBED_ELEMENT_NAME}${attributes}></${EMBED_ELEMENT_NAME}>`;
+}
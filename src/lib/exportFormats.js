@@ -0,0 +1,72 @@
+function formatCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.filter(Boolean).join("; ");
+  return String(value);
+}
+
+// A leading =, +, - or @ (or tab/CR) makes spreadsheets read the cell as a formula, so
+// such cells get a leading apostrophe and are shown as text.
+function escapeCsvCell(value) {
+  const raw = formatCellValue(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return formatCellValue(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toSheetName(value) {
+  const cleaned = String(value || "Sheet").replace(/[[\]:*?/\\]/g, " ").trim();
+  return (cleaned || "Sheet").slice(0, 31);
+}
+
+export function toCsv(columns, rows) {
+  const header = columns.map((column) => escapeCsvCell(column.label)).join(",");
+  const body = rows.map((row) => columns.map((column) => escapeCsvCell(row[column.key])).join(","));
+  // Leading BOM so Excel opens UTF-8 CSV without mangling curly quotes and section signs.
+  return `\uFEFF${[header, ...body].join("\r\n")}\r\n`;
+}
+
+export function toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+// SpreadsheetML 2003 workbook: a single XML file that Excel, Numbers, LibreOffice
+// and Google Sheets open natively with one worksheet per sheet entry.
+export function toSpreadsheetXml(sheets) {
+  const worksheets = sheets.map(({ name, columns, rows }) => {
+    const headerRow = `<Row>${columns.map((column) => `<Cell ss:StyleID="header"><Data ss:Type="String">${escapeXml(column.label)}</Data></Cell>`).join("")}</Row>`;
+    const bodyRows = rows.map((row) =>
+      `<Row>${columns.map((column) => `<Cell><Data ss:Type="String">${escapeXml(row[column.key])}</Data></Cell>`).join("")}</Row>`
+    );
+    return `<Worksheet ss:Name="${escapeXml(toSheetName(name))}"><Table>${[headerRow, ...bodyRows].join("")}</Table></Worksheet>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    ...worksheets,
+    "</Workbook>",
+    ""
+  ].join("\n");
+}
+
+export function downloadFile(filename, content, mimeType) {
+  if (typeof document === "undefined") return;
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,169 @@
+import { ALL_STATES } from "../data/stateMappings";
+import { getStateDevelopmentRowId, toComparableDate } from "./regulation";
+
+export const DATA_AGE_LAYER = "dataAge";
+
+export const FRESHNESS_STORAGE_KEY = "stablecoinreg:freshness-thresholds:v1";
+
+// Days since `lastUpdated` at which an entry turns "aging" and then "stale".
+export const DEFAULT_FRESHNESS_THRESHOLDS = { agingDays: 90, staleDays: 180 };
+
+export const FRESHNESS_LEVEL_META = {
+  fresh: {
+    label: "Recently Updated",
+    description: "updated within the aging threshold set in Data freshness",
+    color: "#0f766e",
+    chipBg: "#134e4a",
+    chipBorder: "#2dd4bf",
+    chipText: "#99f6e4"
+  },
+  aging: {
+    label: "Aging",
+    description: "older than the aging threshold but not yet stale",
+    color: "#b45309",
+    chipBg: "#78350f",
+    chipBorder: "#fbbf24",
+    chipText: "#fde68a"
+  },
+  stale: {
+    label: "Stale",
+    description: "older than the stale threshold; the entry may be out of date",
+    color: "#9b2c2c",
+    chipBg: "#7f1d1d",
+    chipBorder: "#f87171",
+    chipText: "#fecaca"
+  },
+  undated: {
+    label: "No Date",
+    description: "no last-updated date recorded (including jurisdictions with no entry in the dataset)",
+    color: "#3b4250",
+    chipBg: "#1f2530",
+    chipBorder: "#6b7280",
+    chipText: "#d1d5db"
+  }
+};
+
+export const FRESHNESS_LEVEL_ORDER = ["fresh", "aging", "stale", "undated"];
+
+export const FRESHNESS_KINDS = ["state", "federal-bill", "state-development", "state-issued"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function toLocalIsoDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function getDataAgeDays(lastUpdated, today) {
+  const from = toComparableDate(lastUpdated);
+  const to = toComparableDate(today);
+  if (!from || !to) return null;
+  return Math.max(0, Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS));
+}
+
+export function getFreshnessLevel(lastUpdated, { today, thresholds = DEFAULT_FRESHNESS_THRESHOLDS } = {}) {
+  const ageDays = getDataAgeDays(lastUpdated, today);
+  if (ageDays === null) return "undated";
+  if (ageDays > thresholds.staleDays) return "stale";
+  if (ageDays > thresholds.agingDays) return "aging";
+  return "fresh";
+}
+
+// Whole days, at least one, with the stale threshold kept after the aging one.
+export function normalizeFreshnessThresholds(value) {
+  const toDays = (days, fallback) => {
+    const parsed = Math.round(Number(days));
+    return Number.isFinite(parsed) && parsed >= 1 ? parsed : fallback;
+  };
+  const agingDays = toDays(value?.agingDays, DEFAULT_FRESHNESS_THRESHOLDS.agingDays);
+  const staleDays = Math.max(agingDays + 1, toDays(value?.staleDays, DEFAULT_FRESHNESS_THRESHOLDS.staleDays));
+  return { agingDays, staleDays };
+}
+
+export function readFreshnessThresholds(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(FRESHNESS_STORAGE_KEY) || "null");
+    return parsed ? normalizeFreshnessThresholds(parsed) : DEFAULT_FRESHNESS_THRESHOLDS;
+  } catch {
+    return DEFAULT_FRESHNESS_THRESHOLDS;
+  }
+}
+
+export function writeFreshnessThresholds(storage, thresholds) {
+  try {
+    storage.setItem(FRESHNESS_STORAGE_KEY, JSON.stringify(thresholds));
+  } catch {
+    // Storage can be unavailable (private browsing); the thresholds then last for the session only.
+  }
+}
+
+// One row per dated record in the dataset, oldest first. Every jurisdiction in
+// `ALL_STATES` is listed, so those without an entry show up as undated.
+export function buildFreshnessRows({
+  statesData,
+  federalContext,
+  pendingFederalBills = [],
+  majorStateDevelopments = [],
+  stateIssuedStablecoins = []
+}, freshness) {
+  const toRow = (row) => {
+    const ageDays = getDataAgeDays(row.lastUpdated, freshness.today);
+    return { ...row, lastUpdated: row.lastUpdated || "", ageDays, level: getFreshnessLevel(row.lastUpdated, freshness) };
+  };
+  const getStateName = (abbr) => statesData[abbr]?.name || ALL_STATES[abbr] || abbr;
+
+  const rows = [
+    ...Object.keys(ALL_STATES).map((abbr) => ({
+      kind: "state",
+      id: `state-${abbr}`,
+      title: getStateName(abbr),
+      jurisdiction: abbr,
+      lastUpdated: statesData[abbr]?.lastUpdated,
+      target: { kind: "state", abbr, section: "summary" }
+    })),
+    ...(federalContext ? [{
+      kind: "federal-bill",
+      id: "federal-genius",
+      title: federalContext.title,
+      jurisdiction: "US",
+      lastUpdated: federalContext.lastUpdated,
+      target: { kind: "legislation", rowId: "genius" }
+    }] : []),
+    ...pendingFederalBills.map((bill) => ({
+      kind: "federal-bill",
+      id: `federal-${bill.id}`,
+      title: bill.title,
+      jurisdiction: "US",
+      lastUpdated: bill.lastUpdated,
+      target: { kind: "legislation", rowId: bill.id }
+    })),
+    ...majorStateDevelopments.map((item) => ({
+      kind: "state-development",
+      id: `development-${getStateDevelopmentRowId(item)}`,
+      title: item.title,
+      jurisdiction: item.state,
+      lastUpdated: item.lastUpdated,
+      target: { kind: "legislation", rowId: getStateDevelopmentRowId(item) }
+    })),
+    ...stateIssuedStablecoins.map((item) => ({
+      kind: "state-issued",
+      id: `program-${item.state}-${item.program}`,
+      title: item.program,
+      jurisdiction: item.state,
+      lastUpdated: item.lastUpdated,
+      target: { kind: "state", abbr: item.state, section: "state-issued" }
+    }))
+  ].map(toRow);
+
+  return rows.sort((a, b) => {
+    if ((a.ageDays === null) !== (b.ageDays === null)) return a.ageDays === null ? 1 : -1;
+    return (b.ageDays || 0) - (a.ageDays || 0) || a.title.localeCompare(b.title);
+  });
+}
+
+export function countFreshnessLevels(rows) {
+  return Object.fromEntries(FRESHNESS_LEVEL_ORDER.map((level) => [
+    level,
+    rows.filter((row) => row.level === level).length
+  ]));
+}
@@ -0,0 +1,145 @@
+import { toComparableDate } from "./regulation";
+
+// Where an agency's GENIUS Act rulemaking stands, as recorded in
+// `federalContext.implementation.rulemakings`.
+export const RULEMAKING_STATUS_META = {
+  expected: {
+    label: "Expected",
+    description: "required by the Act or announced, but not yet proposed",
+    chipBg: "#1f2530",
+    chipBorder: "#6b7280",
+    chipText: "#d1d5db"
+  },
+  proposed: {
+    label: "Proposed",
+    description: "proposal published for public comment",
+    chipBg: "#78350f",
+    chipBorder: "#f59e0b",
+    chipText: "#fde68a"
+  },
+  final: {
+    label: "Final rule",
+    description: "final rule issued",
+    chipBg: "#14532d",
+    chipBorder: "#22c55e",
+    chipText: "#bbf7d0"
+  }
+};
+
+// Comment period relative to "today": not yet open, open (through the closing day) or closed.
+export const COMMENT_PERIOD_META = {
+  upcoming: { label: "Opens soon", color: "#a1a1aa" },
+  open: { label: "Open for comment", color: "#fbbf24" },
+  closed: { label: "Comments closed", color: "#71717a" }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from `today` to `date`: negative once the date has passed.
+export function getDaysUntil(date, today) {
+  const to = toComparableDate(date);
+  const from = toComparableDate(today);
+  if (!to || !from) return null;
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function getCommentPeriodState(rulemaking, today) {
+  const opens = toComparableDate(rulemaking.commentOpens);
+  const closes = toComparableDate(rulemaking.commentCloses);
+  const now = toComparableDate(today);
+  if (!closes || !now) return null;
+  if (opens && now < opens) return "upcoming";
+  return now <= closes ? "open" : "closed";
+}
+
+export function getRulemakings(federalContext) {
+  return federalContext?.implementation?.rulemakings || [];
+}
+
+// Every dated event in the Act's implementation, oldest first: enactment, comment periods,
+// statutory milestones and the effective date. An event dated today counts as upcoming.
+export function buildGeniusTimeline(federalContext, today) {
+  if (!federalContext) return [];
+  const now = toComparableDate(today);
+  const events = [
+    { id: "signed", kind: "signed", date: federalContext.signedDate, source: federalContext.sources?.[0] || null },
+    ...getRulemakings(federalContext).flatMap((rulemaking) => [
+      ["comment_opens", rulemaking.commentOpens],
+      ["comment_closes", rulemaking.commentCloses]
+    ].filter(([, date]) => date).map(([kind, date]) => ({
+      id: `${rulemaking.id}-${kind}`,
+      kind,
+      date,
+      rulemaking,
+      source: rulemaking.sources?.[0] || null
+    }))),
+    ...(federalContext.implementation?.milestones || []).map((milestone) => ({
+      id: milestone.id,
+      kind: "milestone",
+      date: milestone.date,
+      milestone,
+      source: milestone.source || null
+    })),
+    ...(federalContext.effectiveDate ? [{
+      id: "effective",
+      kind: "effective",
+      date: federalContext.effectiveDate,
+      source: federalContext.sources?.[0] || null
+    }] : [])
+  ];
+
+  return events
+    .filter((event) => toComparableDate(event.date))
+    .sort((a, b) => toComparableDate(a.date).localeCompare(toComparableDate(b.date)))
+    .map((event) => ({ ...event, isPast: Boolean(now) && toComparableDate(event.date) < now }));
+}
+
+// The statutory effective date plus every comment deadline that has not passed, soonest first.
+export function getGeniusCountdowns(federalContext, today) {
+  if (!federalContext) return [];
+  const countdowns = [
+    ...(federalContext.effectiveDate ? [{ id: "effective", kind: "effective", date: federalContext.effectiveDate }] : []),
+    ...getRulemakings(federalContext)
+      .filter((rulemaking) => rulemaking.commentCloses)
+      .map((rulemaking) => ({ id: `${rulemaking.id}-comments`, kind: "comment_closes", date: rulemaking.commentCloses, rulemaking }))
+  ].map((countdown) => ({ ...countdown, days: getDaysUntil(countdown.date, today) }));
+
+  return countdowns
+    .filter((countdown) => countdown.days !== null && (countdown.kind === "effective" || countdown.days >= 0))
+    .sort((a, b) => a.days - b.days);
+}
+
+export function collectImplementationDataErrors(federalContext) {
+  if (!federalContext?.implementation) return [];
+  const errors = [];
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  const seen = new Set();
+
+  if (federalContext.effectiveDate && !isoDate.test(federalContext.effectiveDate)) {
+    errors.push({ id: "genius", message: `Effective date "${federalContext.effectiveDate}" is not YYYY-MM-DD.` });
+  }
+  (federalContext.implementation.milestones || []).forEach((milestone) => {
+    if (!isoDate.test(milestone.date || "")) {
+      errors.push({ id: milestone.id, message: `Milestone date "${milestone.date}" is not YYYY-MM-DD.` });
+    }
+  });
+  getRulemakings(federalContext).forEach((rulemaking) => {
+    const add = (message) => errors.push({ id: rulemaking.id || "(rulemaking)", message });
+    if (!rulemaking.id) add("Rulemaking has no id.");
+    if (seen.has(rulemaking.id)) add("Duplicate rulemaking id.");
+    seen.add(rulemaking.id);
+    if (!rulemaking.agency) add("Rulemaking has no agency.");
+    if (!RULEMAKING_STATUS_META[rulemaking.status]) add(`Unknown rulemaking status "${rulemaking.status}".`);
+    ["commentOpens", "commentCloses"].forEach((key) => {
+      if (rulemaking[key] && !isoDate.test(rulemaking[key])) add(`${key} "${rulemaking[key]}" is not YYYY-MM-DD.`);
+    });
+    if (rulemaking.commentOpens && rulemaking.commentCloses && rulemaking.commentCloses < rulemaking.commentOpens) {
+      add(`Comment period closes (${rulemaking.commentCloses}) before it opens (${rulemaking.commentOpens}).`);
+    }
+    if (rulemaking.status === "expected" && rulemaking.commentOpens) {
+      add("An expected rulemaking has a comment period; it should be marked proposed.");
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,86 @@
+import { createContext, useContext } from "react";
+import en from "../locales/en.json";
+import es from "../locales/es.json";
+import { BILL_DATA_ERROR_META, BILL_STAGE_META } from "./bills";
+import { COMMENT_PERIOD_META, RULEMAKING_STATUS_META } from "./genius";
+import { STATUS_META, formatDate, toComparableDate } from "./regulation";
+import { DEFAULT_MAP_LAYER, getMapLayer } from "./regulatoryProfile";
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  en: { label: "English", intl: "en-US", messages: en },
+  es: { label: "Español", intl: "es-US", messages: es }
+};
+
+export function getLocaleFromParam(localeParam) {
+  const normalized = String(localeParam || "").trim().toLowerCase();
+  return LOCALES[normalized] ? normalized : DEFAULT_LOCALE;
+}
+
+// Missing keys fall back to English, then to `defaultValue`, then to the key itself.
+export function translate(locale, key, params = {}) {
+  const template = LOCALES[locale]?.messages[key] ?? en[key] ?? params.defaultValue ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+// Status, layer and stage labels are authored in English next to their colors, so the
+// catalogs only carry overrides for other locales.
+function localizeMeta(locale, prefix, meta) {
+  const messages = LOCALES[locale]?.messages || {};
+  return {
+    ...meta,
+    ...Object.fromEntries(
+      ["label", "shortLabel", "description"]
+        .filter((field) => meta[field] !== undefined && messages[`${prefix}.${field}`])
+        .map((field) => [field, messages[`${prefix}.${field}`]])
+    )
+  };
+}
+
+// Data entries carry translations as `translations: { es: { summary, what, latest } }`;
+// anything missing shows the English field.
+export function getLocalizedField(item, field, locale) {
+  if (!item) return "";
+  return (locale !== DEFAULT_LOCALE && item.translations?.[locale]?.[field]) || item[field] || "";
+}
+
+export function createI18n(locale) {
+  const { intl } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const t = (key, params) => translate(locale, key, params);
+  return {
+    locale,
+    t,
+    field: (item, field) => getLocalizedField(item, field, locale),
+    formatDate: (isoDate) => (isoDate ? formatDate(isoDate, intl) : t("common.notAvailable")),
+    formatMonthYear: (isoDate) => {
+      const value = new Date(`${toComparableDate(isoDate)}T00:00:00`);
+      if (Number.isNaN(value.getTime())) return isoDate;
+      return new Intl.DateTimeFormat(intl, { year: "numeric", month: "short" }).format(value);
+    },
+    statusMeta: (status) => localizeMeta(locale, `status.${status}`, STATUS_META[status]),
+    mapLayer: (layerKey) => {
+      const layer = getMapLayer(layerKey);
+      return {
+        ...localizeMeta(locale, `layer.${layer.key}`, layer),
+        values: Object.fromEntries(Object.entries(layer.values).map(([key, value]) => [
+          key,
+          localizeMeta(locale, layer.key === DEFAULT_MAP_LAYER ? `status.${key}` : `layer.${layer.key}.${key}`, value)
+        ]))
+      };
+    },
+    billStage: (stage) => (
+      stage === "data_error" || !BILL_STAGE_META[stage]
+        ? localizeMeta(locale, "stage.data_error", BILL_DATA_ERROR_META)
+        : localizeMeta(locale, `stage.${stage}`, BILL_STAGE_META[stage])
+    ),
+    rulemakingStatus: (status) => localizeMeta(locale, `rulemaking.${status}`, RULEMAKING_STATUS_META[status]),
+    commentPeriod: (state) => localizeMeta(locale, `comment.${state}`, COMMENT_PERIOD_META[state])
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,152 @@
+import { toComparableDate } from "./regulation";
+
+export const LEGISLATION_FACETS = ["level", "jurisdiction", "category", "stage"];
+
+export const LEGISLATION_SORTS = ["file", "recent"];
+
+export const LEGISLATION_GROUPS = ["level", "state", "category"];
+
+export const DEFAULT_LEGISLATION_FILTERS = {
+  level: [],
+  jurisdiction: [],
+  category: [],
+  stage: [],
+  from: "",
+  to: "",
+  sort: "file",
+  group: "level"
+};
+
+function toFilterValue(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Facet values are slugged so links stay readable, e.g. `?level=state&stage=enrolled`.
+export function getLegislationFacetValue(row, facet) {
+  if (facet === "stage") return row.stage;
+  return toFilterValue(row[facet]);
+}
+
+function parseDateParam(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : "";
+}
+
+export function getLegislationFiltersFromParams(searchParams) {
+  const filters = { ...DEFAULT_LEGISLATION_FILTERS };
+  LEGISLATION_FACETS.forEach((facet) => {
+    filters[facet] = (searchParams.get(facet) || "")
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean);
+  });
+  filters.from = parseDateParam(searchParams.get("from"));
+  filters.to = parseDateParam(searchParams.get("to"));
+  const sort = searchParams.get("sort");
+  const group = searchParams.get("group");
+  if (LEGISLATION_SORTS.includes(sort)) filters.sort = sort;
+  if (LEGISLATION_GROUPS.includes(group)) filters.group = group;
+  return filters;
+}
+
+export function setLegislationFilterParams(searchParams, filters) {
+  LEGISLATION_FACETS.forEach((facet) => {
+    if (filters[facet].length) searchParams.set(facet, filters[facet].join(","));
+    else searchParams.delete(facet);
+  });
+  ["from", "to"].forEach((key) => {
+    if (filters[key]) searchParams.set(key, filters[key]);
+    else searchParams.delete(key);
+  });
+  ["sort", "group"].forEach((key) => {
+    if (filters[key] !== DEFAULT_LEGISLATION_FILTERS[key]) searchParams.set(key, filters[key]);
+    else searchParams.delete(key);
+  });
+}
+
+const LEGISLATION_FILTER_PARAMS = [...LEGISLATION_FACETS, "from", "to", "sort", "group"];
+
+// True when two query strings differ, but only in legislation filter params.
+export function isLegislationFilterOnlyChange(previousSearch, nextSearch) {
+  const previous = new URLSearchParams(previousSearch);
+  const next = new URLSearchParams(nextSearch);
+  if (!LEGISLATION_FILTER_PARAMS.some((key) => previous.get(key) !== next.get(key))) return false;
+  LEGISLATION_FILTER_PARAMS.forEach((key) => {
+    previous.delete(key);
+    next.delete(key);
+  });
+  previous.sort();
+  next.sort();
+  return previous.toString() === next.toString();
+}
+
+export function hasActiveLegislationFilters(filters) {
+  return LEGISLATION_FACETS.some((facet) => filters[facet].length) || Boolean(filters.from || filters.to);
+}
+
+export function clearLegislationFilterFacets(filters) {
+  return { ...filters, level: [], jurisdiction: [], category: [], stage: [], from: "", to: "" };
+}
+
+// `ignoreFacet` leaves one facet out so its chip counts show what selecting it would add.
+export function filterLegislationRows(rows, filters, ignoreFacet = null) {
+  const from = toComparableDate(filters.from);
+  const to = toComparableDate(filters.to);
+  return rows.filter((row) => {
+    const matchesFacets = LEGISLATION_FACETS.every((facet) => (
+      facet === ignoreFacet
+      || !filters[facet].length
+      || filters[facet].includes(getLegislationFacetValue(row, facet))
+    ));
+    if (!matchesFacets) return false;
+    const updated = toComparableDate(row.lastUpdated);
+    if (from && (!updated || updated < from)) return false;
+    if (to && (!updated || updated > to)) return false;
+    return true;
+  });
+}
+
+export function getLegislationFacetOptions(rows, filters, facet, getLabel) {
+  const counts = new Map();
+  filterLegislationRows(rows, filters, facet).forEach((row) => {
+    const value = getLegislationFacetValue(row, facet);
+    if (!value) return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  // Keep selected values visible even when other facets have narrowed them to zero.
+  filters[facet].forEach((value) => {
+    if (!counts.has(value)) counts.set(value, 0);
+  });
+
+  const firstRowByValue = new Map();
+  rows.forEach((row) => {
+    const value = getLegislationFacetValue(row, facet);
+    if (!firstRowByValue.has(value)) firstRowByValue.set(value, row);
+  });
+
+  return [...counts.entries()].map(([value, count]) => ({
+    value,
+    count,
+    label: getLabel(value, firstRowByValue.get(value))
+  }));
+}
+
+export function sortLegislationRows(rows, sort) {
+  if (sort !== "recent") return rows;
+  return [...rows].sort((a, b) => (
+    toComparableDate(b.lastActionDate).localeCompare(toComparableDate(a.lastActionDate))
+  ));
+}
+
+export function groupLegislationRows(rows, group) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = group === "state" ? row.jurisdiction : group === "category" ? row.category : row.level;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()].map(([key, groupRows]) => ({ key, rows: groupRows }));
+}
@@ -0,0 +1,31 @@
+export const MAP_ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 }
+};
+
+export function getElementCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+// Points are on-screen centers, so Alaska, Hawaii and the territory insets are reached
+// where they are drawn. Off-axis distance counts double: ArrowRight from Kansas lands
+// on Missouri rather than on a nearer state that sits mostly above or below it.
+export function findNeighborInDirection(originKey, points, direction) {
+  const origin = points.find((point) => point.key === originKey);
+  if (!origin) return null;
+
+  let best = null;
+  points.forEach((point) => {
+    if (point.key === originKey) return;
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const along = dx * direction.x + dy * direction.y;
+    if (along <= 0) return;
+    const score = along + 2 * Math.abs(dx * direction.y - dy * direction.x);
+    if (!best || score < best.score) best = { key: point.key, score };
+  });
+  return best?.key || null;
+}
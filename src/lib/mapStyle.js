@@ -0,0 +1,91 @@
+import { geoMercator } from "d3-geo";
+import { FIPS_TO_ABBR, STATE_NAME_TO_ABBR, TERRITORY_INSETS } from "../data/stateMappings";
+
+// Shared by the app map and the embed, so both draw states the same way.
+export const MUTED_STATE_FILL = "#2f3744";
+
+export const TERRITORY_INSET_WIDTH = 160;
+export const TERRITORY_INSET_HEIGHT = 100;
+export const TERRITORY_INSET_PROJECTIONS = Object.fromEntries(
+  TERRITORY_INSETS.map(({ abbr, bounds }) => [
+    abbr,
+    geoMercator().fitExtent(
+      [[8, 8], [TERRITORY_INSET_WIDTH - 8, TERRITORY_INSET_HEIGHT - 8]],
+      { type: "MultiPoint", coordinates: bounds }
+    )
+  ])
+);
+
+const STROKE_STYLE = {
+  strokeLinejoin: "round",
+  strokeLinecap: "round",
+  vectorEffect: "non-scaling-stroke",
+  transition: "all 180ms cubic-bezier(0.22, 1, 0.36, 1)"
+};
+
+export function getGeographyAbbr(geo) {
+  return FIPS_TO_ABBR[String(geo.id).padStart(2, "0")] || STATE_NAME_TO_ABBR[geo.properties.name];
+}
+
+export function shiftHexColor(hex, amount) {
+  const normalized = hex.replace("#", "");
+  if (normalized.length !== 6) return hex;
+  const num = Number.parseInt(normalized, 16);
+  if (Number.isNaN(num)) return hex;
+
+  const clamp = (value) => Math.min(255, Math.max(0, value));
+  const r = clamp((num >> 16) + amount);
+  const g = clamp(((num >> 8) & 0x00ff) + amount);
+  const b = clamp((num & 0x0000ff) + amount);
+
+  return `#${(r << 16 | g << 8 | b).toString(16).padStart(6, "0")}`;
+}
+
+// Fills for one state from its layer color: selected, hover and pressed are lighter shades.
+export function getStateFills(baseFill, isSelected) {
+  return {
+    baseFill,
+    mutedFill: MUTED_STATE_FILL,
+    selectedFill: shiftHexColor(baseFill, 26),
+    hoverFill: isSelected ? shiftHexColor(baseFill, 34) : shiftHexColor(baseFill, 14),
+    pressedFill: shiftHexColor(baseFill, 38)
+  };
+}
+
+// `style` prop for a react-simple-maps `Geography`. States outside the active filter take
+// the muted fill; `stroke` and `strokeWidth` carry the caller's outline (selection, compare).
+export function getStateGeographyStyle({
+  fills,
+  isSelected,
+  matchesFilter,
+  stroke,
+  strokeWidth,
+  hoverStroke = "#27272a",
+  pressedStroke = "#3f3f46",
+  isInteractive = true
+}) {
+  return {
+    default: {
+      fill: isSelected ? fills.selectedFill : (matchesFilter ? fills.baseFill : fills.mutedFill),
+      opacity: isSelected ? 1 : (matchesFilter ? 0.97 : 0.42),
+      stroke,
+      strokeWidth,
+      ...STROKE_STYLE
+    },
+    hover: {
+      fill: matchesFilter ? fills.hoverFill : fills.mutedFill,
+      opacity: matchesFilter ? 1 : 0.52,
+      stroke: hoverStroke,
+      strokeWidth: 0.95,
+      ...STROKE_STYLE,
+      cursor: isInteractive ? "pointer" : "default"
+    },
+    pressed: {
+      fill: matchesFilter ? fills.pressedFill : fills.mutedFill,
+      opacity: 1,
+      stroke: pressedStroke,
+      strokeWidth: 0.95,
+      ...STROKE_STYLE
+    }
+  };
+}
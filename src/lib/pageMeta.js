@@ -0,0 +1,81 @@
+import { STATUS_META, normalizeStatus, toStateSlug } from "./regulation";
+
+export const SITE_URL = "https://stablecoinreg.org";
+export const SITE_NAME = "StablecoinReg";
+export const DEFAULT_PAGE_TITLE = "United States Stablecoin Regulation";
+export const DEFAULT_OG_IMAGE = `${SITE_URL}/og-preview-v4.png`;
+
+export function getStatePagePath(stateName) {
+  return `/states/${toStateSlug(stateName)}/`;
+}
+
+export function getStateOgImagePath(stateName) {
+  return `/og/${toStateSlug(stateName)}.png`;
+}
+
+export function getStateSlugFromPath(pathname) {
+  const match = String(pathname || "").match(/^\/states\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function truncateText(value, maxLength) {
+  const text = String(value || "").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+export function getStatePageMeta(abbr, entry) {
+  const statusMeta = STATUS_META[normalizeStatus(entry.status)];
+  const name = entry.name;
+  const summary = entry.summary || "State-by-state stablecoin framework tracker.";
+  const title = `${name} Stablecoin Regulation: ${statusMeta.label}`;
+  const description = `${name}: ${truncateText(summary, 180)}`;
+  const canonicalUrl = `${SITE_URL}${getStatePagePath(name)}`;
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    imageUrl: `${SITE_URL}${getStateOgImagePath(name)}`,
+    imageAlt: `${name} on the U.S. stablecoin regulation map (${statusMeta.label})`,
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "WebPage",
+      name: title,
+      description: truncateText(summary, 300),
+      url: canonicalUrl,
+      inLanguage: "en-US",
+      dateModified: entry.lastUpdated || undefined,
+      isPartOf: {
+        "@type": "WebSite",
+        name: SITE_NAME,
+        url: `${SITE_URL}/`
+      },
+      about: {
+        "@type": "AdministrativeArea",
+        name,
+        identifier: abbr
+      }
+    }
+  };
+}
+
+// Client-side counterpart of the prerendered <head>: keeps the tags in sync as the
+// selected state changes so shares made from the live page match the static page.
+export function applyPageMeta(meta) {
+  if (typeof document === "undefined") return;
+  document.title = meta.title;
+
+  const setContent = (selector, value) => {
+    document.querySelector(selector)?.setAttribute("content", value);
+  };
+  setContent("meta[name='description']", meta.description);
+  setContent("meta[property='og:title']", meta.title);
+  setContent("meta[property='og:description']", meta.description);
+  setContent("meta[property='og:url']", meta.canonicalUrl);
+  setContent("meta[property='og:image']", meta.imageUrl);
+  setContent("meta[property='og:image:alt']", meta.imageAlt);
+  setContent("meta[property='twitter:title']", meta.title);
+  setContent("meta[property='twitter:description']", meta.description);
+  setContent("meta[property='twitter:image']", meta.imageUrl);
+  document.querySelector("link[rel='canonical']")?.setAttribute("href", meta.canonicalUrl);
+}
@@ -0,0 +1,182 @@
+import { ALL_STATES, TERRITORY_ABBRS } from "../data/stateMappings";
+
+export const STATUS_META = {
+  clear_friendly: {
+    label: "Clear + Favorable",
+    mobileLabel: "Clear + Favorable",
+    description: "has stablecoin-relevant frameworks, charters, or explicit exemptions that support operations",
+    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
+    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
+    color: "#0f766e",
+    chipBg: "#134e4a",
+    chipBorder: "#2dd4bf",
+    chipText: "#99f6e4"
+  },
+  clear_restrictive: {
+    label: "Clear + Strict",
+    mobileLabel: "Clear + Strict",
+    description: "clear framework with higher licensing burden and compliance cost",
+    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
+    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
+    color: "#35508f",
+    chipBg: "#1e3a6b",
+    chipBorder: "#7aa2ff",
+    chipText: "#dbe7ff"
+  },
+  pending: {
+    label: "Pending",
+    mobileLabel: "Pending",
+    description: "active stablecoin-related bills, pilots, or money-transmission modernization",
+    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
+    tooltipPositionClass: "sm:left-0 sm:translate-x-0",
+    color: "#b45309",
+    chipBg: "#78350f",
+    chipBorder: "#fbbf24",
+    chipText: "#fde68a"
+  },
+  federal_default: {
+    label: "No State Framework",
+    mobileLabel: "No State Framework",
+    description: "no meaningful state stablecoin framework identified; current baseline is existing money-transmission rules plus applicable federal law",
+    tooltipClass: "w-[min(17rem,calc(100vw-2.5rem))] whitespace-normal leading-snug break-words sm:w-80",
+    tooltipPositionClass: "sm:right-0 sm:left-auto sm:translate-x-0",
+    color: "#5b667a",
+    chipBg: "#273244",
+    chipBorder: "#a7b0bf",
+    chipText: "#e5e7eb"
+  }
+};
+
+export const STATUS_ORDER = ["clear_friendly", "clear_restrictive", "pending", "federal_default"];
+export const DEFAULT_REGULATORY_BODY = "State financial regulator(s); see sources for detail.";
+
+export function normalizeLookup(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+export function toStateSlug(value) {
+  return normalizeLookup(value).replace(/\./g, "").replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+}
+
+export function getAbbrFromStateParam(stateParam) {
+  if (!stateParam) return null;
+  const trimmed = String(stateParam).trim();
+  const upper = trimmed.toUpperCase();
+  if (ALL_STATES[upper]) return upper;
+
+  const normalized = normalizeLookup(trimmed);
+  const match = Object.entries(ALL_STATES).find(([, name]) => toStateSlug(name) === normalized);
+  return match?.[0] || null;
+}
+
+export function formatDate(isoDate, locale = "en-US") {
+  if (!isoDate) return "N/A";
+  const value = new Date(`${isoDate}T00:00:00`);
+  if (Number.isNaN(value.getTime())) return isoDate;
+  return new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "long",
+    day: "numeric"
+  }).format(value);
+}
+
+export function getStateEntry(statesData, abbr) {
+  const fromData = statesData[abbr];
+  if (fromData) return fromData;
+
+  const name = ALL_STATES[abbr] || "Unknown";
+  const kind = TERRITORY_ABBRS.includes(abbr) ? "territory" : "state";
+  // Territories are on the map but have not been researched yet, so their placeholder
+  // says so instead of implying that no framework exists.
+  if (kind === "territory") {
+    return {
+      name,
+      placeholderKind: kind,
+      status: "federal_default",
+      summary:
+        `${name}'s own stablecoin, money transmission and digital asset rules have not been researched for this dataset yet. ` +
+        "Federal stablecoin rules apply, but check the territory's financial regulator before relying on this entry.",
+      keyLaws: ["Territory law not yet researched for this dataset."],
+      recentDevelopments: "Territory developments are not tracked in this dataset yet.",
+      sources: [],
+      lastUpdated: null
+    };
+  }
+  return {
+    name,
+    placeholderKind: kind,
+    status: "federal_default",
+    summary:
+      `${name} does not currently have a clearly identified state-specific stablecoin framework in this dataset. ` +
+      "As a baseline, activity may still be governed by federal stablecoin rules plus general money transmission, banking, and consumer protection law.",
+    keyLaws: ["No dedicated state-level stablecoin framework identified in this dataset."],
+    recentDevelopments:
+      "No major state-specific stablecoin development is currently listed in this starter dataset.",
+    sources: [],
+    lastUpdated: null
+  };
+}
+
+export function getStateIssuedPrograms(stateIssuedStablecoins, abbr, stateName) {
+  const selectedName = (stateName || "").trim().toLowerCase();
+  return stateIssuedStablecoins.filter((item) => {
+    const code = String(item.state || "").trim().toUpperCase();
+    const codeName = (ALL_STATES[code] || "").trim().toLowerCase();
+    const directName = String(item.state || "").trim().toLowerCase();
+    return code === abbr || codeName === selectedName || directName === selectedName;
+  });
+}
+
+export function getStateDevelopmentRowId(item) {
+  return `${item.state}-${item.title}`;
+}
+
+export function normalizeStatus(input) {
+  if (!input) return "federal_default";
+  if (Object.hasOwn(STATUS_META, input)) return input;
+
+  const legacyMap = {
+    friendly: "clear_friendly",
+    restrictive: "clear_restrictive",
+    none: "federal_default",
+    unclear: "pending"
+  };
+
+  return legacyMap[input] || "federal_default";
+}
+
+export function toComparableDate(value) {
+  const match = String(value || "").trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!match) return "";
+  return `${match[1]}-${match[2] || "01"}-${match[3] || "01"}`;
+}
+
+// Without a `statusHistory`, the current status only holds from the entry's first dated
+// event (its earliest timeline date, else `lastUpdated`); before that it is the baseline.
+export function getStatusAsOf(entry, asOfDate) {
+  if (!asOfDate) return entry?.status;
+  const history = entry?.statusHistory;
+  const cutoff = toComparableDate(asOfDate);
+  if (!history?.length) {
+    const firstDate = (entry?.timeline || [])
+      .map((item) => toComparableDate(item.date))
+      .filter(Boolean)
+      .sort()[0] || toComparableDate(entry?.lastUpdated);
+    return firstDate && cutoff < firstDate ? "federal_default" : entry?.status;
+  }
+
+  const effective = history
+    .map((item) => ({ ...item, sortDate: toComparableDate(item.date) }))
+    .filter((item) => item.sortDate && item.sortDate <= cutoff)
+    .sort((a, b) => a.sortDate.localeCompare(b.sortDate));
+
+  return effective.length ? effective[effective.length - 1].status : "federal_default";
+}
+
+export function getLatestDataDate(statesData) {
+  const allLastUpdated = Object.values(statesData)
+    .map((item) => item.lastUpdated)
+    .filter(Boolean)
+    .sort();
+  return allLastUpdated[allLastUpdated.length - 1] || null;
+}
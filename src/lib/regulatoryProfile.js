@@ -0,0 +1,123 @@
+import { DATA_AGE_LAYER, FRESHNESS_LEVEL_META, FRESHNESS_LEVEL_ORDER, getFreshnessLevel } from "./freshness";
+import { STATUS_META, STATUS_ORDER, getStatusAsOf, normalizeStatus } from "./regulation";
+
+const NOT_ASSESSED = {
+  label: "Not Yet Assessed",
+  description: "this dimension has not been assessed for the jurisdiction yet",
+  color: "#3b4250",
+  chipBg: "#1f2530",
+  chipBorder: "#6b7280",
+  chipText: "#d1d5db"
+};
+
+// Shared palette so every layer reads like the status legend: teal = clearest path,
+// blue = established but demanding, amber = in motion, slate = nothing specific.
+const PALETTE = {
+  teal: { color: "#0f766e", chipBg: "#134e4a", chipBorder: "#2dd4bf", chipText: "#99f6e4" },
+  blue: { color: "#35508f", chipBg: "#1e3a6b", chipBorder: "#7aa2ff", chipText: "#dbe7ff" },
+  violet: { color: "#6b4fa3", chipBg: "#3b2a63", chipBorder: "#b69cff", chipText: "#ede4ff" },
+  amber: { color: "#b45309", chipBg: "#78350f", chipBorder: "#fbbf24", chipText: "#fde68a" },
+  slate: { color: "#5b667a", chipBg: "#273244", chipBorder: "#a7b0bf", chipText: "#e5e7eb" }
+};
+
+export const PROFILE_DIMENSIONS = [
+  {
+    key: "issuerLicensing",
+    label: "Issuer Licensing",
+    values: {
+      stablecoin_specific: { label: "Stablecoin-Specific Rules", description: "issuers face licensing conditions written for stablecoins", ...PALETTE.teal },
+      general_license: { label: "General License Applies", description: "issuers fall under a general money-transmission or digital-asset license", ...PALETTE.blue },
+      exempt: { label: "Exempt / Light Touch", description: "virtual-currency-only activity is exempt from state licensing", ...PALETTE.violet },
+      proposed: { label: "Proposed", description: "a stablecoin issuer framework is pending in the legislature", ...PALETTE.amber },
+      not_addressed: { label: "Not Addressed", description: "no state position on licensing stablecoin issuers identified", ...PALETTE.slate }
+    }
+  },
+  {
+    key: "moneyTransmission",
+    label: "Money Transmission",
+    values: {
+      covered: { label: "Covered", description: "transmitting stablecoins triggers a money-transmission or digital-asset business license", ...PALETTE.blue },
+      exempt: { label: "Exempt", description: "transmitting solely virtual currency is exempt from money-transmission licensing", ...PALETTE.teal },
+      modernizing: { label: "Modernizing", description: "a money-transmission modernization (e.g. UMTMA) is adopted but not yet fully in effect, or pending", ...PALETTE.amber },
+      unclear: { label: "No Clear Position", description: "no explicit treatment of stablecoins under the money-transmission law identified", ...PALETTE.slate }
+    }
+  },
+  {
+    key: "trustCharter",
+    label: "Trust Charter",
+    values: {
+      digital_asset_charter: { label: "Digital-Asset Charter", description: "a bank or depository charter built for digital-asset activity is available", ...PALETTE.teal },
+      trust_charter: { label: "Trust Charter Used", description: "general trust-company charters are used for digital-asset custody and issuance", ...PALETTE.blue },
+      none: { label: "None", description: "no digital-asset-oriented charter path identified", ...PALETTE.slate }
+    }
+  },
+  {
+    key: "reserveRules",
+    label: "Reserves & Redemption",
+    values: {
+      statutory: { label: "Statutory Rules", description: "reserve or redemption requirements are set in statute", ...PALETTE.teal },
+      guidance: { label: "Regulator Guidance", description: "reserve and redemption expectations come from regulator guidance", ...PALETTE.blue },
+      proposed: { label: "Proposed", description: "reserve and redemption rules are part of pending legislation", ...PALETTE.amber },
+      none: { label: "None", description: "no stablecoin-specific reserve or redemption rules identified", ...PALETTE.slate }
+    }
+  },
+  {
+    key: "stateIssuedToken",
+    label: "State-Issued Token",
+    values: {
+      launched: { label: "Launched", description: "a state-issued or state-linked stablecoin is live", ...PALETTE.teal },
+      in_development: { label: "In Development", description: "a state-linked stablecoin has been announced and is being built", ...PALETTE.blue },
+      proposed: { label: "Proposed", description: "legislation proposes a state-issued or state-backed token", ...PALETTE.amber },
+      none: { label: "None", description: "no state-issued token activity identified", ...PALETTE.slate }
+    }
+  },
+  {
+    key: "geniusEligibility",
+    label: "GENIUS Act State Regime",
+    values: {
+      certified: { label: "Certified", description: "state regime certified as substantially similar under the GENIUS Act", ...PALETTE.teal },
+      existing_framework: { label: "Existing Framework", description: "an existing state framework could be put forward for certification; not yet certified", ...PALETTE.blue },
+      in_progress: { label: "Legislation In Progress", description: "a payment-stablecoin regime aimed at GENIUS Act eligibility is moving through the legislature", ...PALETTE.amber },
+      none: { label: "No State Regime", description: "no state payment-stablecoin regime identified", ...PALETTE.slate }
+    }
+  }
+].map((dimension) => ({
+  ...dimension,
+  values: { ...dimension.values, not_assessed: NOT_ASSESSED },
+  order: [...Object.keys(dimension.values), "not_assessed"]
+}));
+
+export const DEFAULT_MAP_LAYER = "status";
+
+export const MAP_LAYERS = [
+  { key: DEFAULT_MAP_LAYER, label: "Overall Status", values: STATUS_META, order: STATUS_ORDER },
+  ...PROFILE_DIMENSIONS,
+  { key: DATA_AGE_LAYER, label: "Data Age", values: FRESHNESS_LEVEL_META, order: FRESHNESS_LEVEL_ORDER }
+];
+
+export function getMapLayer(layerKey) {
+  return MAP_LAYERS.find((layer) => layer.key === layerKey) || MAP_LAYERS[0];
+}
+
+export function getProfileValue(entry, dimensionKey) {
+  const dimension = PROFILE_DIMENSIONS.find((item) => item.key === dimensionKey);
+  const value = entry?.profile?.[dimensionKey];
+  return dimension?.values[value] ? value : "not_assessed";
+}
+
+// Only the overall status has dated history, so other layers ignore `asOfDate`. The data
+// age layer measures `lastUpdated` against `freshness` ({ today, thresholds }).
+export function getMapLayerValue(entry, layerKey, asOfDate = null, freshness = null) {
+  if (layerKey === DEFAULT_MAP_LAYER) return normalizeStatus(getStatusAsOf(entry, asOfDate));
+  if (layerKey === DATA_AGE_LAYER) return getFreshnessLevel(entry?.lastUpdated, freshness || undefined);
+  return getProfileValue(entry, layerKey);
+}
+
+export function toMapLayerParam(layerKey) {
+  return layerKey.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+export function getMapLayerFromParam(layerParam) {
+  const normalized = String(layerParam || "").trim().toLowerCase();
+  return MAP_LAYERS.find((layer) => toMapLayerParam(layer.key) === normalized)?.key || DEFAULT_MAP_LAYER;
+}
@@ -0,0 +1,16 @@
+import sourceHealth from "../data/sourceHealth.json";
+
+// Written by `npm run check:sources`; snapshots are served from `public/source-archive/`.
+export const SOURCE_ARCHIVE_PATH = "/source-archive";
+
+export function getSourceHealth(url) {
+  return sourceHealth.sources[url] || null;
+}
+
+export function isSourceDead(health) {
+  return health?.state === "broken";
+}
+
+export function getSourceArchiveUrl(health) {
+  return health?.archive ? `${SOURCE_ARCHIVE_PATH}/${health.archive}` : null;
+}
@@ -0,0 +1,366 @@
+// Publishers the dataset links to, matched on hostname and, for shared portals such as
+// mn.gov, on the path too. Entries with a `path` come first so they win over the host.
+const SOURCE_PUBLISHERS = [
+  { pattern: /congress\.gov$/i, label: "United States Congress (Congress.gov)", agency: "United States Congress" },
+  { pattern: /whitehouse\.gov$/i, label: "White House (United States)", agency: "The White House" },
+  { pattern: /occ\.gov$/i, label: "Office of the Comptroller of the Currency (OCC)", agency: "Office of the Comptroller of the Currency" },
+  { pattern: /fdic\.gov$/i, label: "Federal Deposit Insurance Corporation (FDIC)", agency: "Federal Deposit Insurance Corporation" },
+  { pattern: /treasury\.gov$/i, label: "U.S. Department of the Treasury", agency: "U.S. Department of the Treasury" },
+  { pattern: /federalregister\.gov$/i, label: "Federal Register", agency: "Office of the Federal Register" },
+  { pattern: /federalreserve\.gov$/i, label: "Federal Reserve", agency: "Board of Governors of the Federal Reserve System" },
+  {
+    pattern: /banking\.senate\.gov$/i,
+    label: "U.S. Senate Banking Committee",
+    agency: "U.S. Senate Committee on Banking, Housing, and Urban Affairs"
+  },
+  { pattern: /nysenate\.gov$/i, label: "New York State Senate", agency: "New York State Senate" },
+  { pattern: /dfs\.ny\.gov$/i, label: "New York Department of Financial Services (NYDFS)", agency: "New York Department of Financial Services" },
+  {
+    pattern: /dfpi\.ca\.gov$/i,
+    label: "California Department of Financial Protection and Innovation (DFPI)",
+    agency: "California Department of Financial Protection and Innovation"
+  },
+  { pattern: /stabletoken\.wyo\.gov$/i, label: "Wyoming Stable Token Commission", agency: "Wyoming Stable Token Commission" },
+  ...[
+    [/^mn\.gov$/i, /^\/commerce(\/|$)/i, "Minnesota Department of Commerce"],
+    [/^in\.gov$/i, /^\/dfi(\/|$)/i, "Indiana Department of Financial Institutions"],
+    [/^ok\.gov$/i, /^\/banking(\/|$)/i, "Oklahoma State Banking Department"],
+    [/^tn\.gov$/i, /^\/tdfi(\/|$)/i, "Tennessee Department of Financial Institutions"],
+    [/^nd\.gov$/i, /^\/dfi(\/|$)/i, "North Dakota Department of Financial Institutions"],
+    [/^nj\.gov$/i, /^\/dobi(\/|$)/i, "New Jersey Department of Banking and Insurance"],
+    [/^mass\.gov$/i, /^\/orgs\/division-of-banks(\/|$)/i, "Massachusetts Division of Banks"],
+    [/^maine\.gov$/i, /^\/pfr(\/|$)/i, "Maine Department of Professional and Financial Regulation"],
+    [/^michigan\.gov$/i, /^\/difs(\/|$)/i, "Michigan Department of Insurance and Financial Services"],
+    [/^portal\.ct\.gov$/i, /^\/governor(\/|$)/i, "Office of the Governor of Connecticut"],
+    [/^cca\.hawaii\.gov$/i, /^\/dfi(\/|$)/i, "Hawaii Division of Financial Institutions"],
+    [/^content\.govdelivery\.com$/i, /^\/accounts\/WYGOV(\/|$)/i, "Office of the Governor of Wyoming"],
+    [/banking\.alabama\.gov$/i, null, "Alabama State Banking Department"],
+    [/commerce\.alaska\.gov$/i, null, "Alaska Department of Commerce, Community, and Economic Development"],
+    [/azleg\.gov$/i, null, "Arizona State Legislature"],
+    [/arkleg\.state\.ar\.us$/i, null, "Arkansas General Assembly"],
+    [/leg\.colorado\.gov$/i, null, "Colorado General Assembly"],
+    [/cga\.ct\.gov$/i, null, "Connecticut General Assembly"],
+    [/banking\.delaware\.gov$/i, null, "Delaware Office of the State Bank Commissioner"],
+    [/disb\.dc\.gov$/i, null, "District of Columbia Department of Insurance, Securities and Banking"],
+    [/flsenate\.gov$/i, null, "The Florida Senate"],
+    [/dbf\.georgia\.gov$/i, null, "Georgia Department of Banking and Finance"],
+    [/legis\.ga\.gov$/i, null, "Georgia General Assembly"],
+    [/capitol\.hawaii\.gov$/i, null, "Hawaii State Legislature"],
+    [/finance\.idaho\.gov$/i, null, "Idaho Department of Finance"],
+    [/idfpr\.illinois\.gov$/i, null, "Illinois Department of Financial and Professional Regulation"],
+    [/ilga\.gov$/i, null, "Illinois General Assembly"],
+    [/idob\.iowa\.gov$/i, null, "Iowa Division of Banking"],
+    [/osbckansas\.org$/i, null, "Kansas Office of the State Bank Commissioner"],
+    [/legislature\.ky\.gov$/i, null, "Kentucky General Assembly"],
+    [/ofi\.la\.gov$/i, null, "Louisiana Office of Financial Institutions"],
+    [/mgaleg\.maryland\.gov$/i, null, "Maryland General Assembly"],
+    [/dbcf\.ms\.gov$/i, null, "Mississippi Department of Banking and Consumer Finance"],
+    [/finance\.mo\.gov$/i, null, "Missouri Division of Finance"],
+    [/leg\.mt\.gov$/i, null, "Montana Legislature"],
+    [/ndbf\.nebraska\.gov$/i, null, "Nebraska Department of Banking and Finance"],
+    [/governor\.nebraska\.gov$/i, null, "Office of the Governor of Nebraska"],
+    [/nebraskalegislature\.gov$/i, null, "Nebraska Legislature"],
+    [/leg\.state\.nv\.us$/i, null, "Nevada Legislature"],
+    [/banking\.nh\.gov$/i, null, "New Hampshire Banking Department"],
+    [/gencourt\.state\.nh\.us$/i, null, "New Hampshire General Court"],
+    [/njleg\.state\.nj\.us$/i, null, "New Jersey Legislature"],
+    [/rld\.nm\.gov$/i, null, "New Mexico Regulation and Licensing Department"],
+    [/nccob\.gov$/i, null, "North Carolina Commissioner of Banks"],
+    [/bnd\.nd\.gov$/i, null, "Bank of North Dakota"],
+    [/legislature\.ohio\.gov$/i, null, "Ohio Legislature"],
+    [/dfr\.oregon\.gov$/i, null, "Oregon Division of Financial Regulation"],
+    [/dobs\.pa\.gov$/i, null, "Pennsylvania Department of Banking and Securities"],
+    [/legis\.state\.pa\.us$/i, null, "Pennsylvania General Assembly"],
+    [/dbr\.ri\.gov$/i, null, "Rhode Island Department of Business Regulation"],
+    [/consumer\.sc\.gov$/i, null, "South Carolina Department of Consumer Affairs"],
+    [/dlr\.sd\.gov$/i, null, "South Dakota Department of Labor and Regulation"],
+    [/dob\.texas\.gov$/i, null, "Texas Department of Banking"],
+    [/capitol\.texas\.gov$/i, null, "Texas Legislature"],
+    [/dfi\.utah\.gov$/i, null, "Utah Department of Financial Institutions"],
+    [/le\.utah\.gov$/i, null, "Utah State Legislature"],
+    [/dfr\.vermont\.gov$/i, null, "Vermont Department of Financial Regulation"],
+    [/scc\.virginia\.gov$/i, null, "Virginia State Corporation Commission"],
+    [/lis\.virginia\.gov$/i, null, "Virginia General Assembly"],
+    [/dfi\.wa\.gov$/i, null, "Washington State Department of Financial Institutions"],
+    [/leg\.wa\.gov$/i, null, "Washington State Legislature"],
+    [/dfi\.wv\.gov$/i, null, "West Virginia Division of Financial Institutions"],
+    [/wdfi\.org$/i, null, "Wisconsin Department of Financial Institutions"],
+    [/wyomingbankingdivision\.wyo\.gov$/i, null, "Wyoming Division of Banking"],
+    [/wyoleg\.gov$/i, null, "Wyoming Legislature"],
+    [/kraken\.com$/i, null, "Kraken"],
+    [/businesswire\.com$/i, null, "Business Wire"]
+  ].map(([pattern, path, agency]) => ({ pattern, path, label: agency, agency }))
+].sort((a, b) => Number(Boolean(b.path)) - Number(Boolean(a.path)));
+
+const CONGRESS_BILL_PATH = /\/bill\/(\d+)(?:st|nd|rd|th)-congress\/(senate-bill|house-bill)\/(\d+)(?:\/([^/]+))?/i;
+const NY_SENATE_BILL_PATH = /\/legislation\/bills\/(\d{4})\/([A-Z]\d+[A-Z0-9]*)/i;
+const TX_BILL_TEXT_PATH = /\/tlodocs\/\d+[A-Z0-9]*\/billtext\/[a-z]+\/([HS][BJRC]*?)0*(\d+)[A-Z]?\.[a-z]+$/i;
+const FL_SENATE_BILL_SUMMARY_PATH = /\/billsummaries\/\d+\/html\/(\d+)/i;
+const FL_STATUTE_PATH = /\/laws\/statutes\/(\d{4})\/(?:chapter(\d+)|(\d+\.\d+))/i;
+const TX_STATUTE_PATH = /\/docs\/([A-Z]{2})\/[a-z]+\/\1\.(\d+)\.[a-z]+$/i;
+const VA_CODE_PATH = /\/vacodefull\/title([\d.]+)\/chapter([\d.]+)/i;
+const NH_RSA_PATH = /\/rsa\/html\/nhtoc\/nhtoc-[ivxlc]+-([\dA-Z]+(?:-[A-Z])?)\.htm/i;
+
+function parseSourceUrl(source) {
+  const parsed = new URL(source);
+  const hostname = parsed.hostname.replace(/^www\./, "");
+  const pathname = parsed.pathname.replace(/\/+$/, "");
+  return { parsed, hostname, pathname };
+}
+
+function findSourcePublisher(hostname, pathname) {
+  return SOURCE_PUBLISHERS.find((item) => item.pattern.test(hostname) && (!item.path || item.path.test(pathname)));
+}
+
+// Host without `www.`, path without a trailing slash and query params in sorted order,
+// so one page linked two ways (e.g. `?Bill=SB2922&LegSess=89R` and
+// `?LegSess=89R&Bill=SB2922`) compares equal. The protocol and hash are ignored.
+export function normalizeSourceUrl(source) {
+  try {
+    const { parsed, hostname, pathname } = parseSourceUrl(String(source || "").trim());
+    parsed.searchParams.sort();
+    const query = parsed.searchParams.toString();
+    return `${hostname}${pathname}${query ? `?${query}` : ""}`;
+  } catch {
+    return String(source || "").trim();
+  }
+}
+
+function getDomainLabel(hostname) {
+  const domainLabel = hostname
+    .split(".")
+    .slice(0, -1)
+    .join(" ")
+    .replace(/[-_]/g, " ")
+    .replace(/\b\w/g, (char) => char.toUpperCase())
+    .trim();
+  return domainLabel || hostname;
+}
+
+export function getSourceLabel(source) {
+  try {
+    const { hostname, pathname } = parseSourceUrl(source);
+    const matched = findSourcePublisher(hostname, pathname);
+    if (matched) return matched.label;
+
+    if (hostname.endsWith(".gov")) {
+      if (hostname.includes(".state.")) return `U.S. State Government (${hostname})`;
+      return `Government Source (${hostname})`;
+    }
+
+    return getDomainLabel(hostname);
+  } catch {
+    return source;
+  }
+}
+
+// Publisher name without the display-only acronym, for use as a citation's author.
+// Unknown .gov hosts fall back to the hostname, which is more useful in a memo than
+// a generic "Government Source".
+export function getSourceAgency(source) {
+  try {
+    const { hostname, pathname } = parseSourceUrl(source);
+    const matched = findSourcePublisher(hostname, pathname);
+    if (matched) return matched.agency;
+    return hostname.endsWith(".gov") ? hostname : getDomainLabel(hostname);
+  } catch {
+    return "";
+  }
+}
+
+export function formatPathText(value) {
+  const cleaned = decodeURIComponent(String(value || ""))
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[-_]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!cleaned) return "";
+  return cleaned.replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+export function getSourceContextLabel(source) {
+  try {
+    const { hostname, pathname } = parseSourceUrl(source);
+    const segments = pathname.split("/").filter(Boolean);
+
+    // The landing page of an agency on a shared portal (mn.gov/commerce) has no context.
+    const publisher = findSourcePublisher(hostname, pathname);
+    if (publisher?.path && !pathname.replace(publisher.path, "")) return "";
+
+    if (/congress\.gov$/i.test(hostname)) {
+      const billMatch = pathname.match(CONGRESS_BILL_PATH);
+      if (billMatch) {
+        const section = billMatch[4]?.toLowerCase();
+        const sectionLabelMap = {
+          text: "bill text",
+          actions: "bill actions",
+          "all-info": "bill overview"
+        };
+        const sectionLabel = section ? (sectionLabelMap[section] || formatPathText(section)) : "bill page";
+        return `Congress ${sectionLabel}`;
+      }
+    }
+
+    if (/nysenate\.gov$/i.test(hostname)) {
+      if (NY_SENATE_BILL_PATH.test(pathname)) return "bill page";
+      if (pathname.includes("/newsroom/")) return "newsroom update";
+    }
+
+    if (/dfs\.ny\.gov$/i.test(hostname)) {
+      if (pathname.includes("industry_letters")) return "industry guidance";
+      if (pathname.includes("virtual_currency_businesses")) return "virtual currency businesses page";
+      if (pathname.includes("application_fee_schedule")) return "fee schedule";
+    }
+
+    if (/dfpi\.ca\.gov$/i.test(hostname)) {
+      if (pathname.includes("digital-financial-assets-law-regulations-opinions-releases")) return "DFAL regulations and releases";
+      if (pathname.includes("digital-financial-assets")) return "digital financial assets framework";
+    }
+
+    if (/govdelivery\.com$/i.test(hostname) && pathname.includes("/bulletins/")) return "bulletin";
+
+    if (/flsenate\.gov$/i.test(hostname)) {
+      if (FL_SENATE_BILL_SUMMARY_PATH.test(pathname)) return "bill summary";
+      if (pathname.includes("/laws/statutes/")) return "statutes reference";
+    }
+
+    if (segments.length) {
+      const last = segments[segments.length - 1];
+      const prev = segments.length > 1 ? segments[segments.length - 2] : "";
+      if (/^\d+$/.test(last) && prev) return formatPathText(`${prev} ${last}`);
+      return formatPathText(last);
+    }
+  } catch {
+    return "";
+  }
+
+  return "";
+}
+
+// The bill a legislature URL points at, as far as the URL itself says: jurisdiction,
+// number in the jurisdiction's own style, and the Congress or session year.
+export function getSourceBillParts(source) {
+  try {
+    const { hostname, pathname } = parseSourceUrl(source);
+
+    if (/congress\.gov$/i.test(hostname)) {
+      const billMatch = pathname.match(CONGRESS_BILL_PATH);
+      if (billMatch) {
+        const isSenate = billMatch[2].toLowerCase() === "senate-bill";
+        return {
+          jurisdiction: "US",
+          chamber: isSenate ? "Senate" : "House",
+          number: `${isSenate ? "S." : "H.R."} ${billMatch[3]}`,
+          congress: Number(billMatch[1])
+        };
+      }
+    }
+
+    if (/capitol\.texas\.gov$/i.test(hostname)) {
+      const billMatch = pathname.match(TX_BILL_TEXT_PATH);
+      if (billMatch) {
+        const prefix = billMatch[1].toUpperCase();
+        return {
+          jurisdiction: "TX",
+          chamber: prefix.startsWith("S") ? "Senate" : "House",
+          number: `${prefix} ${billMatch[2]}`
+        };
+      }
+    }
+
+    if (/nysenate\.gov$/i.test(hostname)) {
+      const billMatch = pathname.match(NY_SENATE_BILL_PATH);
+      if (billMatch) {
+        const number = billMatch[2].toUpperCase();
+        return {
+          jurisdiction: "NY",
+          chamber: number.startsWith("A") ? "Assembly" : "Senate",
+          number,
+          sessionYear: billMatch[1]
+        };
+      }
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
+
+// Code chapters and sections on the official statute sites the dataset links to.
+// `code` names the compilation (`FL-STAT`, `TX-FI`, `WA-RCW`, `VA-CODE`, `NH-RSA`);
+// `year` is only set when the URL pins an edition.
+export function getSourceStatuteParts(source) {
+  try {
+    const { parsed, hostname, pathname } = parseSourceUrl(source);
+
+    if (/flsenate\.gov$/i.test(hostname)) {
+      const match = pathname.match(FL_STATUTE_PATH);
+      if (match) return { jurisdiction: "FL", code: "FL-STAT", chapter: match[2] || null, section: match[3] || null, year: match[1] };
+    }
+
+    if (/statutes\.capitol\.texas\.gov$/i.test(hostname)) {
+      const match = pathname.match(TX_STATUTE_PATH);
+      if (match) return { jurisdiction: "TX", code: `TX-${match[1].toUpperCase()}`, chapter: match[2], section: null, year: null };
+    }
+
+    if (/app\.leg\.wa\.gov$/i.test(hostname) && /^\/rcw\//i.test(pathname)) {
+      const cite = parsed.searchParams.get("cite") || "";
+      if (/^\d+[A-Z]?\.\d+[A-Z]?$/i.test(cite)) return { jurisdiction: "WA", code: "WA-RCW", chapter: cite, section: null, year: null };
+      if (/^\d+[A-Z]?\.\d+[A-Z]?\.\d+$/i.test(cite)) return { jurisdiction: "WA", code: "WA-RCW", chapter: null, section: cite, year: null };
+    }
+
+    if (/law\.lis\.virginia\.gov$/i.test(hostname)) {
+      const match = pathname.match(VA_CODE_PATH);
+      if (match) return { jurisdiction: "VA", code: "VA-CODE", title: match[1], chapter: match[2], section: null, year: null };
+    }
+
+    if (/gencourt\.state\.nh\.us$/i.test(hostname)) {
+      const match = pathname.match(NH_RSA_PATH);
+      if (match) return { jurisdiction: "NH", code: "NH-RSA", chapter: match[1].toUpperCase(), section: null, year: null };
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
+
+export function getSourceConflictHint(source) {
+  try {
+    const parsed = new URL(source);
+    const segments = parsed.pathname.split("/").filter(Boolean);
+    if (!segments.length) return parsed.hostname.replace(/^www\./, "");
+    const hint = formatPathText(segments.slice(-2).join(" "));
+    return hint || parsed.hostname.replace(/^www\./, "");
+  } catch {
+    return "link";
+  }
+}
+
+export function getSourceDisplayItems(sources) {
+  const grouped = new Map();
+  const uniqueSources = [...new Set((sources || []).map((item) => String(item || "").trim()).filter(Boolean))];
+
+  uniqueSources.forEach((source) => {
+    const providerLabel = getSourceLabel(source);
+    const contextLabel = getSourceContextLabel(source);
+    let label = contextLabel ? `${providerLabel}: ${contextLabel}` : providerLabel;
+
+    if (grouped.has(label) && grouped.get(label).url !== source) {
+      const hint = getSourceConflictHint(source);
+      label = `${label} (${hint})`;
+    }
+
+    if (grouped.has(label) && grouped.get(label).url === source) {
+      return;
+    }
+
+    grouped.set(label, {
+      label,
+      url: source
+    });
+  });
+
+  return Array.from(grouped.values());
+}
@@ -0,0 +1,43 @@
+import { normalizeLookup, toComparableDate } from "./regulation";
+
+export const STATE_TABLE_SORT_KEYS = ["name", "status", "layer", "regulator", "keyLaws", "lastUpdated"];
+
+export const DEFAULT_STATE_TABLE_SORT = { key: "name", direction: "ascending" };
+
+const SORT_VALUES = {
+  name: (row) => row.name,
+  status: (row) => row.statusOrder,
+  layer: (row) => row.layerOrder,
+  regulator: (row) => row.regulator,
+  keyLaws: (row) => row.keyLawCount,
+  lastUpdated: (row) => toComparableDate(row.lastUpdated)
+};
+
+export function filterStateTableRows(rows, query) {
+  const needle = normalizeLookup(query);
+  if (!needle) return rows;
+  return rows.filter((row) =>
+    [row.name, row.abbr, row.regulator, row.statusLabel].some((value) => normalizeLookup(value).includes(needle))
+  );
+}
+
+// Rows without a value (no listed update date) stay at the bottom in both directions;
+// ties fall back to the state name.
+export function sortStateTableRows(rows, { key, direction }) {
+  const getValue = SORT_VALUES[key] || SORT_VALUES.name;
+  const sign = direction === "descending" ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    if ((left === "") !== (right === "")) return left === "" ? 1 : -1;
+    const compared = typeof left === "number" && typeof right === "number"
+      ? left - right
+      : String(left).localeCompare(String(right));
+    return sign * compared || a.name.localeCompare(b.name);
+  });
+}
+
+export function getNextStateTableSort(sort, key) {
+  if (sort.key !== key) return { key, direction: "ascending" };
+  return { key, direction: sort.direction === "ascending" ? "descending" : "ascending" };
+}
@@ -0,0 +1,132 @@
+import { getKeyLawText } from "./bills";
+import { normalizeStatus } from "./regulation";
+
+export const VISIT_SNAPSHOT_STORAGE_KEY = "stablecoinreg:last-visit:v1";
+
+function formatTimelineEntry(item) {
+  return `${item.date}: ${item.label}`;
+}
+
+// Only the fields the change drawer can diff are stored, which keeps the snapshot small.
+export function buildVisitSnapshot({ statesData, legislationRows, visitedAt }) {
+  return {
+    visitedAt,
+    states: Object.fromEntries(Object.entries(statesData).map(([abbr, entry]) => [abbr, {
+      lastUpdated: entry.lastUpdated || "",
+      status: normalizeStatus(entry.status),
+      summary: entry.summary || "",
+      keyLaws: (entry.keyLaws || []).map(getKeyLawText),
+      timeline: (entry.timeline || []).map(formatTimelineEntry)
+    }])),
+    legislation: Object.fromEntries(legislationRows.map((row) => [row.id, {
+      lastUpdated: row.lastUpdated || "",
+      status: row.statusStr || "",
+      latest: row.latest || ""
+    }]))
+  };
+}
+
+export function readVisitSnapshot(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(VISIT_SNAPSHOT_STORAGE_KEY) || "null");
+    return parsed?.states && parsed?.legislation ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeVisitSnapshot(storage, snapshot) {
+  try {
+    storage.setItem(VISIT_SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+  } catch {
+    // Private browsing or a full quota: the tracker still works, it just cannot remember.
+  }
+}
+
+// Word-level diff (longest common subsequence), returned as runs of kept/added/removed text.
+export function diffWords(previousText, nextText) {
+  const a = String(previousText || "").split(/(\s+)/).filter(Boolean);
+  const b = String(nextText || "").split(/(\s+)/).filter(Boolean);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i]);
+      i += 1;
+    } else {
+      push("added", b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return parts;
+}
+
+function diffList(previousItems, nextItems) {
+  const added = nextItems.filter((item) => !previousItems.includes(item));
+  const removed = previousItems.filter((item) => !nextItems.includes(item));
+  return added.length || removed.length ? { added, removed } : null;
+}
+
+function diffStateFields(previous, next) {
+  const fields = [];
+  if (previous.status !== next.status) {
+    fields.push({ field: "status", type: "status", from: previous.status, to: next.status });
+  }
+  if (previous.summary !== next.summary) {
+    fields.push({ field: "summary", type: "text", parts: diffWords(previous.summary, next.summary) });
+  }
+  const keyLaws = diffList(previous.keyLaws || [], next.keyLaws);
+  if (keyLaws) fields.push({ field: "keyLaws", type: "list", ...keyLaws });
+  const timeline = diffList(previous.timeline || [], next.timeline);
+  if (timeline) fields.push({ field: "timeline", type: "list", ...timeline });
+  return fields;
+}
+
+function diffLegislationFields(previous, next) {
+  const fields = [];
+  if (previous.status !== next.status) {
+    fields.push({ field: "status", type: "text", parts: diffWords(previous.status, next.status) });
+  }
+  if (previous.latest !== next.latest) {
+    fields.push({ field: "latest", type: "text", parts: diffWords(previous.latest, next.latest) });
+  }
+  return fields;
+}
+
+// Anything new since the snapshot, or whose `lastUpdated` or tracked text moved, counts as changed.
+export function diffVisitSnapshots(previous, current) {
+  const collect = (previousItems, currentItems, diffFields) => Object.entries(currentItems)
+    .map(([key, next]) => {
+      const before = previousItems[key];
+      if (!before) return { key, isNew: true, previousLastUpdated: null, lastUpdated: next.lastUpdated, fields: [] };
+      const fields = diffFields(before, next);
+      if (!fields.length && before.lastUpdated === next.lastUpdated) return null;
+      return { key, isNew: false, previousLastUpdated: before.lastUpdated, lastUpdated: next.lastUpdated, fields };
+    })
+    .filter(Boolean);
+
+  return {
+    since: previous.visitedAt,
+    states: collect(previous.states, current.states, diffStateFields),
+    legislation: collect(previous.legislation, current.legislation, diffLegislationFields)
+  };
+}
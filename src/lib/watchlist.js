@@ -0,0 +1,72 @@
+export const WATCHLIST_STORAGE_KEY = "stablecoinreg:watchlist:v1";
+
+export const WATCHLIST_FILE_VERSION = 1;
+
+export const EMPTY_WATCHLIST = { states: [], legislation: [] };
+
+function toIdList(value) {
+  return Array.isArray(value) ? [...new Set(value.filter((item) => typeof item === "string" && item))] : [];
+}
+
+export function readWatchlist(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(WATCHLIST_STORAGE_KEY) || "null");
+    return parsed ? { states: toIdList(parsed.states), legislation: toIdList(parsed.legislation) } : EMPTY_WATCHLIST;
+  } catch {
+    return EMPTY_WATCHLIST;
+  }
+}
+
+export function writeWatchlist(storage, watchlist) {
+  try {
+    storage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+  } catch {
+    // Storage can be unavailable (private browsing); the watchlist then lasts for the session only.
+  }
+}
+
+export function isWatchlistEmpty(watchlist) {
+  return !watchlist.states.length && !watchlist.legislation.length;
+}
+
+export function toggleWatchlistItem(watchlist, kind, id) {
+  const items = watchlist[kind];
+  return {
+    ...watchlist,
+    [kind]: items.includes(id) ? items.filter((item) => item !== id) : [...items, id]
+  };
+}
+
+export function serializeWatchlist(watchlist) {
+  return `${JSON.stringify({ version: WATCHLIST_FILE_VERSION, ...watchlist }, null, 2)}\n`;
+}
+
+// `code` lets the UI word the failure in the active locale; `message` stays English for logs.
+function createImportError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+// Unknown IDs are dropped rather than rejected so a teammate's file from a newer
+// dataset still imports whatever this build knows about.
+export function parseWatchlistFile(text, { stateAbbrs, legislationIds }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw createImportError("invalid_json", "The file is not valid JSON.");
+  }
+  if (!parsed || typeof parsed !== "object" || (!Array.isArray(parsed.states) && !Array.isArray(parsed.legislation))) {
+    throw createImportError("not_watchlist", "The file does not look like a watchlist export.");
+  }
+  if (parsed.version !== undefined && parsed.version > WATCHLIST_FILE_VERSION) {
+    throw createImportError(
+      "unsupported_version",
+      `Watchlist file version ${parsed.version} is newer than this app supports.`,
+      { version: parsed.version }
+    );
+  }
+  return {
+    states: toIdList(parsed.states).map((abbr) => abbr.toUpperCase()).filter((abbr) => stateAbbrs.includes(abbr)),
+    legislation: toIdList(parsed.legislation).filter((id) => legislationIds.includes(id))
+  };
+}
@@ -3,8 +3,22 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import "./index.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
+const rootElement = document.getElementById("root");
+const app = (
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
+
+// Prerendered state pages ship server markup inside #root; hydrate it instead of replacing it.
+// The prerender is the English, path-only view, so a query or hash (language, layer, state,
+// filters, an expanded bill) would start the client in a different view than the markup:
+// render those from scratch rather than hydrate into a mismatch.
+const matchesPrerender = !window.location.search && !window.location.hash;
+
+if (rootElement.hasChildNodes() && matchesPrerender) {
+  ReactDOM.hydrateRoot(rootElement, app);
+} else {
+  rootElement.replaceChildren();
+  ReactDOM.createRoot(rootElement).render(app);
+}
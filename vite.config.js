@@ -2,5 +2,14 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  build: {
+    rollupOptions: {
+      // `embed.html` is the page the <stablecoin-map> widget frames on third-party sites.
+      input: {
+        main: "index.html",
+        embed: "embed.html"
+      }
+    }
+  }
 });